@@ -0,0 +1,360 @@
+/**
+ * Rocket Sled Free Body Diagram Exercise
+ * Students draw the forces on the sled, then compare them with the engine's forces
+ */
+
+// Forces a student can draw (labels follow the overlay: "F type on Sled by Agent"; colors are COLORS keys)
+const FBD_FORCE_TYPES = {
+    applied: { name: 'Applied force', label: 'F applied on Sled by Rockets', color: 'forceApplied' },
+    friction: { name: 'Friction', label: 'F friction on Sled by Track', color: 'forceFriction' },
+    airDrag: { name: 'Air drag', label: 'F air on Sled by Air', color: 'forceAir' },
+    normal: { name: 'Normal force', label: 'F normal on Sled by Track', color: 'forceNormal' },
+    gravity: { name: 'Gravity', label: 'F gravity on Sled by Earth', color: 'forceGravity' }
+};
+
+// Grading: allowed direction error, allowed error in size relative to the largest arrow,
+// and the smallest force that counts as acting (same cut-off as the overlay)
+const FBD_ANGLE_TOLERANCE = 20; // degrees
+const FBD_SIZE_TOLERANCE = 0.25;
+const FBD_MIN_FORCE = 0.1; // N
+
+const FBD_DIRECTION_NAMES = ['right', 'up and to the right', 'up', 'up and to the left',
+    'left', 'down and to the left', 'down', 'down and to the right'];
+
+/**
+ * Wrap an angle to (-180, 180] degrees
+ */
+function wrapAngle(degrees) {
+    const wrapped = ((degrees % 360) + 360) % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+/**
+ * The forces acting on the sled, as the FBD overlay draws them
+ * Angles are in degrees counterclockwise from the right (the track tilts by the incline angle).
+ * @param {Object} state - Physics state snapshot
+ * @returns {Array<{type: string, angle: number, magnitude: number}>}
+ */
+function getFreeBodyForces(state) {
+    const theta = state.inclineAngle || 0;
+    const forces = [];
+    const alongTrack = (type, force) => {
+        if (Math.abs(force) > FBD_MIN_FORCE) {
+            forces.push({ type, angle: wrapAngle(force > 0 ? theta : theta + 180), magnitude: Math.abs(force) });
+        }
+    };
+
+    alongTrack('applied', state.appliedForce);
+    alongTrack('friction', state.frictionForce);
+    alongTrack('airDrag', state.airDragForce);
+    forces.push({ type: 'normal', angle: wrapAngle(theta + 90), magnitude: state.normalForce });
+    forces.push({ type: 'gravity', angle: -90, magnitude: state.gravityForce });
+    return forces;
+}
+
+/**
+ * Describe a direction in words (for feedback)
+ * @param {number} angle - Degrees counterclockwise from the right
+ * @returns {string}
+ */
+function describeDirection(angle) {
+    const sector = Math.round((((angle % 360) + 360) % 360) / 45) % 8;
+    return FBD_DIRECTION_NAMES[sector];
+}
+
+/**
+ * Compare a drawn free body diagram with the actual forces
+ * Each arrow is checked for its direction and for its size relative to the largest arrow,
+ * so students can draw at any scale.
+ * @param {Array<{type: string, angle: number, length: number}>} drawn - Student's arrows
+ * @param {Array<Object>} actual - From getFreeBodyForces()
+ * @returns {{arrows: Array<Object>, missing: string[], correct: boolean}} Per-arrow feedback
+ *     ({type, status, direction, size, message}) and the forces that were not drawn
+ */
+function gradeFreeBodyDiagram(drawn, actual) {
+    const maxDrawn = Math.max(...drawn.map(a => a.length), 1e-9);
+    const maxActual = Math.max(...actual.map(f => f.magnitude), 1e-9);
+    const seen = new Set();
+
+    const arrows = drawn.map(arrow => {
+        const { name } = FBD_FORCE_TYPES[arrow.type];
+        const force = actual.find(f => f.type === arrow.type);
+
+        if (seen.has(arrow.type)) {
+            return { type: arrow.type, status: 'duplicate', direction: false, size: null,
+                message: `${name} is drawn twice: each force gets one arrow` };
+        }
+        seen.add(arrow.type);
+        if (!force) {
+            return { type: arrow.type, status: 'extra', direction: false, size: null,
+                message: `No ${name.toLowerCase()} acts on the sled right now` };
+        }
+
+        const direction = Math.abs(wrapAngle(arrow.angle - force.angle)) <= FBD_ANGLE_TOLERANCE;
+        const sizeError = arrow.length / maxDrawn - force.magnitude / maxActual;
+        const size = Math.abs(sizeError) <= FBD_SIZE_TOLERANCE ? 'ok' : sizeError > 0 ? 'too long' : 'too short';
+
+        const problems = [];
+        if (!direction) problems.push(`should point ${describeDirection(force.angle)}`);
+        if (size !== 'ok') problems.push(`is ${size} compared with the other forces`);
+        return {
+            type: arrow.type,
+            status: problems.length === 0 ? 'correct' : 'incorrect',
+            direction,
+            size,
+            message: problems.length === 0 ? `${name} is right` : `${name} ${problems.join(' and ')}`
+        };
+    });
+
+    const missing = actual.filter(f => !seen.has(f.type)).map(f => f.type);
+    return {
+        arrows,
+        missing,
+        correct: missing.length === 0 && arrows.every(a => a.status === 'correct')
+    };
+}
+
+// --- FBD Exercise (browser only) ---
+
+const FBD_GRAB_RADIUS = 16; // px around the dot or an arrow tip that starts a drag
+const FBD_MIN_ARROW = 15; // px; shorter drags are dropped
+const FBD_MAX_ARROW = 110; // px
+
+const fbdExercise = {
+    active: false,
+    arrows: [],         // { type, dx, dy } in box pixels from the dot
+    dragging: null,     // Arrow being drawn or reshaped
+    result: null,       // Last grading (shown until the drawing changes)
+    forces: []          // Engine forces when the exercise started
+};
+let fbdPanel, fbdTypeSelect, fbdArrowList, fbdResultEl;
+
+/**
+ * Initialize the FBD exercise panel
+ */
+function initFbdExercise() {
+    fbdPanel = document.getElementById('fbdPanel');
+    fbdTypeSelect = document.getElementById('fbdTypeSelect');
+    fbdArrowList = document.getElementById('fbdArrowList');
+    fbdResultEl = document.getElementById('fbdResult');
+
+    if (fbdTypeSelect) {
+        fbdTypeSelect.innerHTML = '';
+        Object.entries(FBD_FORCE_TYPES).forEach(([type, force]) => {
+            fbdTypeSelect.appendChild(new Option(force.label, type));
+        });
+    }
+
+    // Change the force an arrow stands for, or remove it
+    fbdArrowList?.addEventListener('change', (e) => {
+        const index = Number(e.target.closest('li')?.dataset.index);
+        if (e.target.matches('select') && fbdExercise.arrows[index]) {
+            fbdExercise.arrows[index].type = e.target.value;
+            markFbdChanged();
+        }
+    });
+    fbdArrowList?.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.fbd-delete');
+        if (!deleteBtn) return;
+        fbdExercise.arrows.splice(Number(deleteBtn.closest('li').dataset.index), 1);
+        markFbdChanged();
+    });
+
+    document.getElementById('fbdCheckBtn')?.addEventListener('click', checkFbdExercise);
+    document.getElementById('fbdClearBtn')?.addEventListener('click', () => {
+        fbdExercise.arrows = [];
+        markFbdChanged();
+    });
+    document.getElementById('fbdDoneBtn')?.addEventListener('click', () => setFbdExerciseActive(false));
+}
+
+/**
+ * Start or end the exercise; the sled freezes so the forces hold still while students draw
+ * @param {boolean} active
+ */
+function setFbdExerciseActive(active) {
+    if (active && isReplaying()) setReplayActive(false);
+    fbdExercise.active = active;
+    fbdExercise.arrows = [];
+    fbdExercise.dragging = null;
+    fbdExercise.result = null;
+    fbdExercise.forces = active ? getFreeBodyForces(getPhysicsState()) : [];
+
+    fbdPanel?.classList.toggle('hidden', !active);
+    document.getElementById('fbdBtn')?.classList.toggle('active', active);
+    setSimulationPaused(active);
+    renderFbdArrowList();
+}
+
+function isFbdExerciseActive() {
+    return fbdExercise.active;
+}
+
+/**
+ * Grade the drawing against the forces on the frozen sled
+ */
+function checkFbdExercise() {
+    fbdExercise.result = gradeFreeBodyDiagram(fbdExercise.arrows.map(arrow => ({
+        type: arrow.type,
+        // Screen y points down; angles count counterclockwise
+        angle: Math.atan2(-arrow.dy, arrow.dx) * 180 / Math.PI,
+        length: Math.hypot(arrow.dx, arrow.dy)
+    })), fbdExercise.forces);
+    renderFbdArrowList();
+}
+
+/**
+ * The drawing changed: the previous check no longer applies
+ */
+function markFbdChanged() {
+    fbdExercise.result = null;
+    renderFbdArrowList();
+}
+
+/**
+ * Rebuild the arrow list with each arrow's force and, after a check, its feedback
+ */
+function renderFbdArrowList() {
+    if (!fbdArrowList) return;
+
+    const result = fbdExercise.result;
+    fbdArrowList.innerHTML = '';
+    fbdExercise.arrows.forEach((arrow, i) => {
+        const item = document.createElement('li');
+        item.dataset.index = i;
+        const feedback = result?.arrows[i];
+        if (feedback) item.className = feedback.status === 'correct' ? 'correct' : 'incorrect';
+
+        const select = document.createElement('select');
+        Object.entries(FBD_FORCE_TYPES).forEach(([type, force]) => {
+            select.appendChild(new Option(force.label, type, false, type === arrow.type));
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'fbd-delete';
+        deleteBtn.title = 'Remove this arrow';
+        deleteBtn.textContent = '✕';
+        item.append(select, deleteBtn);
+
+        if (feedback) {
+            const message = document.createElement('div');
+            message.className = 'fbd-feedback';
+            message.textContent = `${feedback.status === 'correct' ? '✅' : '❌'} ${feedback.message}`;
+            item.appendChild(message);
+        }
+        fbdArrowList.appendChild(item);
+    });
+
+    if (!fbdResultEl) return;
+    if (!result) {
+        fbdResultEl.textContent = fbdExercise.arrows.length === 0 ? 'Drag from the dot to draw a force.' : '';
+        fbdResultEl.className = 'fbd-result';
+    } else if (result.correct) {
+        fbdResultEl.textContent = '🎉 Your diagram matches the forces on the sled!';
+        fbdResultEl.className = 'fbd-result correct';
+    } else {
+        const missing = result.missing.map(type => FBD_FORCE_TYPES[type].name.toLowerCase());
+        fbdResultEl.textContent = missing.length > 0
+            ? `Missing: ${missing.join(', ')}. Dashed arrows show the actual forces.`
+            : 'Not quite. Dashed arrows show the actual forces.';
+        fbdResultEl.className = 'fbd-result incorrect';
+    }
+}
+
+/**
+ * Start a new arrow at the dot, or grab an arrow tip to reshape it
+ * @returns {boolean} True if the press belongs to the exercise
+ */
+function handleFbdMousePressed(x, y) {
+    if (!fbdExercise.active) return false;
+    const box = getFreeBodyDiagramBox();
+
+    const tip = fbdExercise.arrows.find(a => Math.hypot(box.centerX + a.dx - x, box.centerY + a.dy - y) < FBD_GRAB_RADIUS);
+    if (tip) {
+        fbdExercise.dragging = tip;
+    } else if (Math.hypot(box.centerX - x, box.centerY - y) < FBD_GRAB_RADIUS) {
+        fbdExercise.dragging = { type: fbdTypeSelect?.value || 'applied', dx: 0, dy: 0 };
+        fbdExercise.arrows.push(fbdExercise.dragging);
+    } else {
+        return false;
+    }
+    return true;
+}
+
+function handleFbdMouseDragged(x, y) {
+    const arrow = fbdExercise.dragging;
+    if (!arrow) return false;
+
+    const box = getFreeBodyDiagramBox();
+    let dx = x - box.centerX;
+    let dy = y - box.centerY;
+    const length = Math.hypot(dx, dy);
+    if (length > FBD_MAX_ARROW) {
+        dx *= FBD_MAX_ARROW / length;
+        dy *= FBD_MAX_ARROW / length;
+    }
+    arrow.dx = dx;
+    arrow.dy = dy;
+    return true;
+}
+
+function handleFbdMouseReleased() {
+    const arrow = fbdExercise.dragging;
+    if (!arrow) return false;
+
+    fbdExercise.dragging = null;
+    if (Math.hypot(arrow.dx, arrow.dy) < FBD_MIN_ARROW) {
+        fbdExercise.arrows.splice(fbdExercise.arrows.indexOf(arrow), 1);
+    }
+    markFbdChanged();
+    return true;
+}
+
+/**
+ * Draw the student's diagram in the FBD box (and, after a check, the actual forces dashed)
+ */
+function drawFbdExercise() {
+    const box = getFreeBodyDiagramBox();
+
+    push();
+    fill(COLORS.bgDark + 'E6');
+    stroke(COLORS.primary);
+    strokeWeight(2);
+    rect(box.x, box.y, box.width, box.height, 10);
+
+    noStroke();
+    fill(COLORS.textSecondary);
+    textSize(11);
+    textAlign(LEFT, TOP);
+    text('Your free body diagram', box.x + 10, box.y + 8);
+
+    // Actual forces for comparison once checked (directions only, scaled to the largest)
+    if (fbdExercise.result) {
+        const maxActual = Math.max(...fbdExercise.forces.map(f => f.magnitude));
+        for (const force of fbdExercise.forces) {
+            const length = Math.max(25, (force.magnitude / maxActual) * 80);
+            const angle = force.angle * Math.PI / 180;
+            drawFBDArrow(box.centerX, box.centerY, Math.cos(angle) * length, -Math.sin(angle) * length,
+                COLORS[FBD_FORCE_TYPES[force.type].color] + '80', '', '', false, true);
+        }
+    }
+
+    for (const arrow of fbdExercise.arrows) {
+        const force = FBD_FORCE_TYPES[arrow.type];
+        const hint = Math.abs(arrow.dx) > Math.abs(arrow.dy)
+            ? (arrow.dx > 0 ? 'RIGHT' : 'LEFT')
+            : (arrow.dy > 0 ? 'BOTTOM' : 'TOP');
+        drawFBDArrow(box.centerX, box.centerY, arrow.dx, arrow.dy, COLORS[force.color], force.label.replace(' on ', ' on\n'), hint);
+    }
+
+    // The dot to drag from
+    fill(COLORS.text);
+    stroke(COLORS.primary);
+    strokeWeight(2);
+    ellipse(box.centerX, box.centerY, 14, 14);
+    pop();
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FBD_FORCE_TYPES, getFreeBodyForces, describeDirection, gradeFreeBodyDiagram };
+}
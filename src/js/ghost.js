@@ -0,0 +1,202 @@
+/**
+ * Rocket Sled Ghost Comparison
+ * A second, see-through sled that changes one setting and copies the live sled's thrust step for step
+ */
+
+// Settings the ghost can change (toggles are flipped relative to the live sled)
+const GHOST_VARIABLES = {
+    friction: { label: 'Friction', key: 'frictionEnabled', toggle: true },
+    airDrag: { label: 'Air drag', key: 'airDragEnabled', toggle: true },
+    sledMass: { label: 'Sled mass', key: 'sledMass', unit: 'kg', min: 100, max: 2000, step: 50, value: 1000 },
+    frictionCoefficient: { label: 'Kinetic µk', key: 'frictionCoefficient', min: 0, max: 1, step: 0.05, value: 0.3 },
+    payload: { label: 'Cargo', key: 'payloadLoaded', toggle: true }
+};
+
+/**
+ * Settings for the ghost: the live sled's, with one of them changed
+ * @param {Object} liveConfig - From simulation.getConfig()
+ * @param {string} variable - Key of GHOST_VARIABLES
+ * @param {number} [value] - New value for numeric settings (ignored for toggles)
+ * @returns {Object} Config for createSimulation()
+ */
+function getGhostConfig(liveConfig, variable, value) {
+    const setting = GHOST_VARIABLES[variable];
+    if (!setting) throw new Error(`Unknown ghost setting "${variable}"`);
+
+    return {
+        ...liveConfig,
+        [setting.key]: setting.toggle ? !liveConfig[setting.key] : value
+    };
+}
+
+/**
+ * Step the ghost once with the thrust the live sled is using
+ * Only the controls are copied: each sled burns its own fuel and feels its own forces.
+ * @param {Object} live - Live simulation
+ * @param {Object} ghost - Ghost simulation
+ */
+function stepGhostSled(live, ghost) {
+    ghost.setThrustDirection(live.state.thrustDirection);
+    ghost.setAppliedForceMagnitude(live.getAppliedForceMagnitude());
+    ghost.step();
+}
+
+// --- Ghost Sled (browser only) ---
+
+const ghostComparison = {
+    active: false,
+    variable: 'friction',
+    values: {},         // Last value chosen for each numeric setting
+    simulation: null    // Rebuilt at every reset from the live settings
+};
+let ghostBtn, ghostPanel, ghostVariableSelect, ghostValueInput, ghostValueLabel, ghostReadoutsEl;
+
+/**
+ * Initialize the ghost panel
+ */
+function initGhost() {
+    ghostBtn = document.getElementById('ghostBtn');
+    ghostPanel = document.getElementById('ghostPanel');
+    ghostVariableSelect = document.getElementById('ghostVariableSelect');
+    ghostValueInput = document.getElementById('ghostValueInput');
+    ghostValueLabel = document.getElementById('ghostValueLabel');
+    ghostReadoutsEl = document.getElementById('ghostReadouts');
+
+    Object.entries(GHOST_VARIABLES).forEach(([name, setting]) => {
+        if (!setting.toggle) ghostComparison.values[name] = setting.value;
+        ghostVariableSelect?.appendChild(new Option(setting.label, name, false, name === ghostComparison.variable));
+    });
+
+    ghostBtn?.addEventListener('click', () => setGhostActive(!ghostComparison.active));
+    document.getElementById('ghostCloseBtn')?.addEventListener('click', () => setGhostActive(false));
+
+    // A new comparison starts both sleds over together
+    ghostVariableSelect?.addEventListener('change', () => {
+        ghostComparison.variable = ghostVariableSelect.value;
+        renderGhostValueInput();
+        restartRun();
+    });
+    ghostValueInput?.addEventListener('change', () => {
+        const setting = GHOST_VARIABLES[ghostComparison.variable];
+        const value = Math.min(setting.max, Math.max(setting.min, parseFloat(ghostValueInput.value) || 0));
+        ghostComparison.values[ghostComparison.variable] = value;
+        ghostValueInput.value = value;
+        restartRun();
+    });
+
+    renderGhostValueInput();
+}
+
+/**
+ * Turn the comparison on (both sleds start over) or off
+ * @param {boolean} active
+ */
+function setGhostActive(active) {
+    ghostComparison.active = active;
+    ghostComparison.simulation = null;
+    ghostPanel?.classList.toggle('hidden', !active);
+    ghostBtn?.classList.toggle('active', active);
+
+    if (active) {
+        restartRun();
+    } else {
+        updateGhostReadouts();
+    }
+}
+
+function isGhostActive() {
+    return ghostComparison.active && ghostComparison.simulation !== null;
+}
+
+/**
+ * Show the number box for numeric settings, or what a toggle becomes
+ */
+function renderGhostValueInput() {
+    const setting = GHOST_VARIABLES[ghostComparison.variable];
+    ghostValueInput?.classList.toggle('hidden', Boolean(setting.toggle));
+    if (ghostValueLabel) {
+        ghostValueLabel.textContent = setting.toggle ? 'Opposite of the live sled' : `Ghost value${setting.unit ? ` (${setting.unit})` : ''}:`;
+    }
+    if (ghostValueInput && !setting.toggle) {
+        ghostValueInput.min = setting.min;
+        ghostValueInput.max = setting.max;
+        ghostValueInput.step = setting.step;
+        ghostValueInput.value = ghostComparison.values[ghostComparison.variable];
+    }
+}
+
+/**
+ * Start the ghost with the live sled at the beginning of a run (called after every reset)
+ * @param {Object} state - The live sled's starting state
+ */
+function resetGhostSled(state) {
+    if (!ghostComparison.active) return;
+
+    const config = getGhostConfig(defaultSimulation.getConfig(), ghostComparison.variable,
+        ghostComparison.values[ghostComparison.variable]);
+    ghostComparison.simulation = createSimulation(config);
+    ghostComparison.simulation.setInitialState({ position: state.position, velocity: state.velocity });
+    updateGhostReadouts();
+}
+
+/**
+ * Step the ghost alongside the live sled (called after every live physics step)
+ */
+function stepGhost() {
+    if (!isGhostActive()) return;
+    stepGhostSled(defaultSimulation, ghostComparison.simulation);
+}
+
+/**
+ * The ghost's state, or null when there is no ghost
+ * @returns {Object|null}
+ */
+function getGhostState() {
+    return isGhostActive() ? ghostComparison.simulation.getState() : null;
+}
+
+/**
+ * Ghost state to draw with a live sled that is drawn between physics steps
+ * @param {number} lag - s the drawn live sled is behind its latest step
+ * @returns {Object|null}
+ */
+function getGhostRenderState(lag) {
+    const state = getGhostState();
+    if (!state) return null;
+    return { ...state, time: state.time - lag, position: state.position - state.velocity * lag };
+}
+
+/**
+ * Refresh the ghost's force and motion readouts
+ */
+function updateGhostReadouts() {
+    if (!ghostReadoutsEl) return;
+
+    const state = getGhostState();
+    if (!state) {
+        ghostReadoutsEl.innerHTML = '';
+        return;
+    }
+
+    const live = getPhysicsState();
+    const gap = state.position - live.position;
+    const rows = [
+        ['applied', 'Push', `${state.appliedForce.toFixed(0)} N`],
+        ['friction', 'Friction', `${state.frictionForce.toFixed(0)} N`],
+        ['air', 'Drag', `${state.airDragForce.toFixed(0)} N`],
+        ['mass', 'Mass', `${state.mass.toFixed(0)} kg`],
+        ['net', 'Net', `${state.netForce.toFixed(0)} N`],
+        ['', 'Velocity', `${state.velocity.toFixed(1)} m/s`],
+        ['', 'Position', `${state.position.toFixed(1)} m`]
+    ];
+    ghostReadoutsEl.innerHTML = rows.map(([type, label, value]) =>
+        `<div class="force-row"><span class="label ${type}">${label}:</span> <span>${value}</span></div>`
+    ).join('') + `<div class="ghost-gap">${Math.abs(gap) < 0.05
+        ? 'Level with the live sled'
+        : `${Math.abs(gap).toFixed(1)} m to the ${gap > 0 ? 'right' : 'left'} of the live sled`}</div>`;
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GHOST_VARIABLES, getGhostConfig, stepGhostSled };
+}
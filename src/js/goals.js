@@ -0,0 +1,329 @@
+/**
+ * Rocket Sled Scenario Goals
+ * Success criteria and timed challenges checked against the physics steps, and the task banner over the canvas
+ */
+
+// Quantities a goal condition can test (state keys, plus speed = |velocity|)
+const GOAL_QUANTITIES = {
+    speed: (state) => Math.abs(state.velocity),
+    velocity: (state) => state.velocity,
+    position: (state) => state.position,
+    distance: (state) => state.distance,
+    acceleration: (state) => state.acceleration,
+    appliedForce: (state) => state.appliedForce,
+    netForce: (state) => state.netForce,
+    time: (state) => state.time
+};
+
+/**
+ * Does the state satisfy one condition?
+ * A condition has a quantity and either min and/or max, or a target with an optional tolerance.
+ * @param {Object} condition - e.g. { quantity: 'speed', max: 0.2 }
+ * @param {Object} state - Physics state snapshot
+ * @returns {boolean}
+ */
+function checkGoalCondition(condition, state) {
+    const value = GOAL_QUANTITIES[condition.quantity](state);
+    if (condition.target !== undefined) {
+        return Math.abs(value - condition.target) <= (condition.tolerance || 0);
+    }
+    if (condition.min !== undefined && value < condition.min) return false;
+    if (condition.max !== undefined && value > condition.max) return false;
+    return true;
+}
+
+/**
+ * Validate a goal from a scenario definition
+ * @param {Object} goal - { text, when: [conditions], holdFor? }
+ * @returns {Object} A new goal
+ * @throws {Error} If a condition names an unknown quantity or has no bounds
+ */
+function normalizeGoal(goal) {
+    const conditions = Array.isArray(goal?.when) ? goal.when : [];
+    if (conditions.length === 0) {
+        throw new Error(`Goal "${goal?.text}" needs at least one condition`);
+    }
+
+    for (const condition of conditions) {
+        if (!GOAL_QUANTITIES[condition.quantity]) {
+            throw new Error(`Unknown goal quantity "${condition.quantity}"`);
+        }
+        if (condition.target === undefined && condition.min === undefined && condition.max === undefined) {
+            throw new Error(`Condition on "${condition.quantity}" needs a target, min or max`);
+        }
+    }
+
+    return {
+        text: String(goal.text || ''),
+        when: conditions.map(c => ({ ...c })),
+        holdFor: Math.max(0, Number(goal.holdFor) || 0)
+    };
+}
+
+/**
+ * Create a checklist of goals met in order
+ * Each goal is checked only after the previous one is met; all of its conditions must hold
+ * together, for holdFor seconds if given. Met goals stay met until a new run starts.
+ * @param {Array<Object>} [goals=[]] - From a scenario definition
+ * @returns {Object} Tracker with capture() and status queries
+ */
+function createGoalTracker(goals = []) {
+    const checklist = goals.map(normalizeGoal);
+    let metCount = 0;
+    let holdingSince = null;
+    let lastTime = null;
+
+    return {
+        reset() {
+            metCount = 0;
+            holdingSince = null;
+            lastTime = null;
+        },
+
+        /**
+         * Check a physics snapshot against the current goal
+         * A clock that runs backwards (reset or new scenario) starts over.
+         * @param {Object} state - Physics state snapshot
+         * @returns {boolean} True if a goal was met (or the checklist started over)
+         */
+        capture(state) {
+            let changed = false;
+            if (lastTime !== null && state.time < lastTime) {
+                changed = metCount > 0;
+                this.reset();
+            }
+            lastTime = state.time;
+
+            while (metCount < checklist.length) {
+                const goal = checklist[metCount];
+                if (!goal.when.every(condition => checkGoalCondition(condition, state))) {
+                    holdingSince = null;
+                    break;
+                }
+
+                if (holdingSince === null) holdingSince = state.time;
+                // Small tolerance so a 3 s hold ends on the step at 3 s despite rounding
+                if (state.time - holdingSince < goal.holdFor - 1e-9) break;
+
+                metCount++;
+                holdingSince = null;
+                changed = true;
+            }
+            return changed;
+        },
+
+        /**
+         * @returns {Array<{text: string, met: boolean, current: boolean}>}
+         */
+        getStatus() {
+            return checklist.map((goal, i) => ({
+                text: goal.text,
+                met: i < metCount,
+                current: i === metCount
+            }));
+        },
+
+        isComplete() {
+            return checklist.length > 0 && metCount === checklist.length;
+        }
+    };
+}
+
+/**
+ * Create a pass/fail judge for a challenge
+ * The run passes when every goal is met in order, and fails when a fail condition holds
+ * or the time limit runs out first. Time counts from the start of the run (t = 0).
+ * @param {Object} challenge
+ * @param {Array<Object>} [challenge.goals=[]] - Goals to meet (see createGoalTracker)
+ * @param {number} [challenge.timeLimit] - Seconds allowed (none if omitted)
+ * @param {Array<Object>} [challenge.failWhen=[]] - { text, when: [conditions] } that end the attempt
+ * @returns {Object} Judge with capture() and getResult()
+ */
+function createChallengeJudge({ goals = [], timeLimit = null, failWhen = [] } = {}) {
+    const tracker = createGoalTracker(goals);
+    const failures = failWhen.map(rule => ({ ...normalizeGoal(rule), holdFor: 0 }));
+    let result = { status: 'running', time: 0, reason: '' };
+
+    function finish(status, time, reason) {
+        result = { status, time, reason };
+    }
+
+    return {
+        reset() {
+            tracker.reset();
+            finish('running', 0, '');
+        },
+
+        /**
+         * Judge a physics snapshot
+         * A clock that runs backwards (reset or retry) starts a new attempt.
+         * @param {Object} state - Physics state snapshot
+         * @returns {boolean} True if a goal was met or the result changed
+         */
+        capture(state) {
+            if (result.status !== 'running') {
+                if (state.time >= result.time) return false;
+                this.reset();
+            }
+
+            let changed = tracker.capture(state);
+            if (tracker.isComplete()) {
+                finish('passed', state.time, '');
+                return true;
+            }
+
+            const failure = failures.find(rule => rule.when.every(c => checkGoalCondition(c, state)));
+            if (failure) {
+                finish('failed', state.time, failure.text);
+                changed = true;
+            } else if (timeLimit && state.time > timeLimit) {
+                finish('failed', timeLimit, 'Out of time');
+                changed = true;
+            }
+            return changed;
+        },
+
+        /**
+         * @returns {{status: string, time: number, reason: string}} 'running', 'passed' or 'failed',
+         *     with the time it was decided and the fail reason
+         */
+        getResult() {
+            return { ...result };
+        },
+
+        getGoalStatus() {
+            return tracker.getStatus();
+        },
+
+        getTimeLimit() {
+            return timeLimit;
+        }
+    };
+}
+
+// --- Task Banner (browser only) ---
+
+let goalTracker = createChallengeJudge();
+let activeTask = null;
+let taskGoalError = ''; // Why the active task's goals cannot be checked ('' when they can)
+let taskBanner, taskTitleEl, taskInstructionsEl, taskGoalsEl, taskTimerEl, taskResultEl, taskRetryBtn;
+
+/**
+ * Initialize task banner references
+ */
+function initTaskBanner() {
+    taskBanner = document.getElementById('taskBanner');
+    taskTitleEl = document.getElementById('taskTitle');
+    taskInstructionsEl = document.getElementById('taskInstructions');
+    taskGoalsEl = document.getElementById('taskGoals');
+    taskTimerEl = document.getElementById('taskTimer');
+    taskResultEl = document.getElementById('taskResult');
+    taskRetryBtn = document.getElementById('taskRetryBtn');
+
+    // Retry reloads the challenge from its starting state
+    taskRetryBtn?.addEventListener('click', () => {
+        if (activeTask) loadScenario(activeTask.id);
+    });
+
+    document.getElementById('taskCloseBtn')?.addEventListener('click', () => {
+        taskBanner?.classList.add('hidden');
+    });
+}
+
+/**
+ * Show a scenario's task and start checking its goals (and its time limit, for challenges)
+ * @param {Object|null} scenario - From SCENARIO_PRESETS (null hides the banner)
+ */
+function showScenarioTask(scenario) {
+    activeTask = scenario && (scenario.instructions || scenario.goals.length > 0) ? scenario : null;
+    taskGoalError = '';
+    try {
+        goalTracker = createChallengeJudge(activeTask ? { ...activeTask.challenge, goals: activeTask.goals } : {});
+    } catch (err) {
+        taskGoalError = `⚠️ The goals for this scenario cannot be checked: ${err.message}`;
+        goalTracker = createChallengeJudge();
+    }
+
+    if (!taskBanner) return;
+    taskBanner.classList.toggle('hidden', !activeTask);
+    if (!activeTask) return;
+
+    const section = activeTask.section ? `Section ${activeTask.section}: ` : '';
+    taskTitleEl.textContent = `${activeTask.icon} ${section}${activeTask.title}`.trim();
+    taskInstructionsEl.textContent = activeTask.instructions;
+    taskTimerEl?.classList.toggle('hidden', !activeTask.challenge);
+    taskRetryBtn?.classList.toggle('hidden', !activeTask.challenge);
+    updateTaskGoals();
+    updateTaskTimer(0);
+}
+
+/**
+ * Flag position of the active challenge, for the track drawing
+ * @returns {{position: number, within: number}|null}
+ */
+function getChallengeFlag() {
+    return activeTask?.challenge?.flag || null;
+}
+
+/**
+ * Check a physics step against the active task's goals
+ * @param {Object} state - Physics state snapshot
+ */
+function recordGoalSample(state) {
+    if (activeTask && goalTracker.capture(state)) {
+        updateTaskGoals();
+    }
+}
+
+/**
+ * Refresh the goal checklist and the pass/fail line in the banner
+ */
+function updateTaskGoals() {
+    if (!taskGoalsEl) return;
+
+    const result = goalTracker.getResult();
+    taskGoalsEl.innerHTML = '';
+    goalTracker.getGoalStatus().forEach(goal => {
+        const item = document.createElement('li');
+        item.className = goal.met ? 'met' : goal.current ? 'current' : '';
+        item.textContent = `${goal.met ? '✅' : '⬜'} ${goal.text}`;
+        taskGoalsEl.appendChild(item);
+    });
+    if (taskGoalError) {
+        const item = document.createElement('li');
+        item.className = 'goal-error';
+        item.textContent = taskGoalError;
+        taskGoalsEl.appendChild(item);
+    }
+    taskBanner?.classList.toggle('complete', result.status === 'passed');
+    taskBanner?.classList.toggle('failed', result.status === 'failed');
+
+    if (taskResultEl) {
+        const challenge = Boolean(activeTask?.challenge);
+        taskResultEl.classList.toggle('hidden', !challenge || result.status === 'running');
+        taskResultEl.textContent = result.status === 'passed'
+            ? `🏆 Challenge passed in ${result.time.toFixed(2)} s!`
+            : `❌ ${result.reason}. Try again!`;
+    }
+}
+
+/**
+ * Refresh the challenge clock (called every frame)
+ * @param {number} now - Current simulation time in s
+ */
+function updateTaskTimer(now) {
+    if (!taskTimerEl || !activeTask?.challenge) return;
+
+    const result = goalTracker.getResult();
+    const time = result.status === 'running' ? now : result.time;
+    const limit = goalTracker.getTimeLimit();
+    taskTimerEl.textContent = limit
+        ? `⏱️ ${time.toFixed(1)} s / ${limit} s`
+        : `⏱️ ${time.toFixed(1)} s`;
+    taskTimerEl.classList.toggle('warning', Boolean(limit) && result.status === 'running' && limit - now < 3);
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOAL_QUANTITIES, checkGoalCondition, normalizeGoal, createGoalTracker, createChallengeJudge };
+}
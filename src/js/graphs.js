@@ -0,0 +1,368 @@
+/**
+ * Rocket Sled Motion Graphs
+ * Scrolling x(t), v(t), a(t) and net force plots built from the physics state
+ */
+
+// Plotted quantities (one strip per channel, top to bottom)
+const GRAPH_CHANNELS = [
+    { key: 'position', label: 'x', unit: 'm', color: '#FFD700', digits: 1 },
+    { key: 'velocity', label: 'v', unit: 'm/s', color: '#00BCD4', digits: 2 },
+    { key: 'acceleration', label: 'a', unit: 'm/s²', color: '#E91E63', digits: 2 },
+    { key: 'netForce', label: 'F net', unit: 'N', color: '#FF9800', digits: 0 }
+];
+
+// Visible time windows (seconds) for zooming
+const GRAPH_WINDOWS = [5, 10, 20, 40, 80];
+
+// Sampling limits (keeps memory bounded on long runs)
+const GRAPH_SAMPLE_INTERVAL = 1 / 30; // s
+const GRAPH_MAX_SAMPLES = 12000;
+
+// Plot layout (CSS pixels)
+const GRAPH_MARGIN_LEFT = 64;
+const GRAPH_MARGIN_RIGHT = 12;
+const GRAPH_AXIS_HEIGHT = 18;
+
+// Graph state
+let graphSamples = [];
+let graphWindowIndex = 1; // 10 s
+let graphPaused = false;
+let graphPausedEnd = 0;
+let graphCursorX = null;
+let graphVisible = true;
+
+// DOM references
+let graphCanvas, graphCtx;
+let graphPauseBtn, graphWindowDisplay, graphReadout;
+
+/**
+ * Initialize graph panel references and controls
+ */
+function initGraphs() {
+    graphCanvas = document.getElementById('graphCanvas');
+    graphCtx = graphCanvas?.getContext('2d');
+    graphPauseBtn = document.getElementById('graphPauseBtn');
+    graphWindowDisplay = document.getElementById('graphWindowValue');
+    graphReadout = document.getElementById('graphReadout');
+
+    graphPauseBtn?.addEventListener('click', () => {
+        setGraphPaused(!graphPaused);
+    });
+
+    document.getElementById('graphZoomInBtn')?.addEventListener('click', () => {
+        setGraphWindow(graphWindowIndex - 1);
+    });
+
+    document.getElementById('graphZoomOutBtn')?.addEventListener('click', () => {
+        setGraphWindow(graphWindowIndex + 1);
+    });
+
+    graphCanvas?.addEventListener('mousemove', (e) => {
+        const rect = graphCanvas.getBoundingClientRect();
+        graphCursorX = e.clientX - rect.left;
+    });
+
+    graphCanvas?.addEventListener('mouseleave', () => {
+        graphCursorX = null;
+        updateGraphReadout(null);
+    });
+
+    setGraphWindow(graphWindowIndex);
+}
+
+/**
+ * Record a physics sample for plotting
+ * A clock that runs backwards (reset or new scenario) starts a fresh run
+ * @param {Object} state - Physics state snapshot
+ * @param {Object|null} [ghostState] - Ghost sled at the same step, overlaid as dashed lines
+ */
+function recordGraphSample(state, ghostState = null) {
+    const last = graphSamples[graphSamples.length - 1];
+
+    if (last && state.time < last.time) {
+        clearGraphs();
+    } else if (last && state.time - last.time < GRAPH_SAMPLE_INTERVAL) {
+        return;
+    }
+
+    graphSamples.push({
+        time: state.time,
+        position: state.position,
+        velocity: state.velocity,
+        acceleration: state.acceleration,
+        netForce: state.netForce,
+        ghost: ghostState && {
+            position: ghostState.position,
+            velocity: ghostState.velocity,
+            acceleration: ghostState.acceleration,
+            netForce: ghostState.netForce
+        }
+    });
+
+    if (graphSamples.length > GRAPH_MAX_SAMPLES) {
+        graphSamples.shift();
+    }
+}
+
+/**
+ * Remove all recorded samples
+ */
+function clearGraphs() {
+    graphSamples = [];
+    graphPausedEnd = 0;
+}
+
+/**
+ * Freeze or resume scrolling
+ * @param {boolean} paused
+ */
+function setGraphPaused(paused) {
+    graphPaused = paused;
+    graphPausedEnd = getGraphLatestTime();
+
+    if (graphPauseBtn) {
+        graphPauseBtn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+        graphPauseBtn.classList.toggle('active', paused);
+    }
+}
+
+/**
+ * Select the visible time window
+ * @param {number} index - Index into GRAPH_WINDOWS
+ */
+function setGraphWindow(index) {
+    graphWindowIndex = Math.max(0, Math.min(GRAPH_WINDOWS.length - 1, index));
+    if (graphWindowDisplay) {
+        graphWindowDisplay.textContent = `${GRAPH_WINDOWS[graphWindowIndex]} s`;
+    }
+}
+
+/**
+ * Show or hide the graph panel
+ * @param {boolean} show
+ */
+function toggleGraphs(show) {
+    graphVisible = show;
+    document.getElementById('graphPanel')?.classList.toggle('hidden', !show);
+}
+
+function getGraphLatestTime() {
+    const last = graphSamples[graphSamples.length - 1];
+    return last ? last.time : 0;
+}
+
+/**
+ * Get the time range currently on screen
+ * @returns {{start: number, end: number}}
+ */
+function getGraphTimeRange() {
+    const windowSize = GRAPH_WINDOWS[graphWindowIndex];
+    const latest = graphPaused ? graphPausedEnd : getGraphLatestTime();
+    const end = Math.max(latest, windowSize);
+    return { start: end - windowSize, end };
+}
+
+/**
+ * Find the sample closest to a given time (binary search)
+ * @param {number} time - Seconds
+ * @returns {Object|null}
+ */
+function findGraphSample(time) {
+    if (graphSamples.length === 0) return null;
+
+    let lo = 0;
+    let hi = graphSamples.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (graphSamples[mid].time < time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+
+    const prev = graphSamples[lo - 1];
+    if (prev && Math.abs(prev.time - time) < Math.abs(graphSamples[lo].time - time)) {
+        return prev;
+    }
+    return graphSamples[lo];
+}
+
+/**
+ * Match the canvas backing store to its CSS size
+ */
+function resizeGraphCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = graphCanvas.clientWidth;
+    const height = graphCanvas.clientHeight;
+
+    if (graphCanvas.width !== Math.round(width * ratio) || graphCanvas.height !== Math.round(height * ratio)) {
+        graphCanvas.width = Math.round(width * ratio);
+        graphCanvas.height = Math.round(height * ratio);
+    }
+    graphCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    return { width, height };
+}
+
+/**
+ * Draw all graph strips
+ */
+function drawGraphs() {
+    if (!graphCtx || !graphVisible) return;
+
+    const { width, height } = resizeGraphCanvas();
+    const { start, end } = getGraphTimeRange();
+    const plotWidth = width - GRAPH_MARGIN_LEFT - GRAPH_MARGIN_RIGHT;
+    const stripHeight = (height - GRAPH_AXIS_HEIGHT) / GRAPH_CHANNELS.length;
+
+    const timeToX = (t) => GRAPH_MARGIN_LEFT + ((t - start) / (end - start)) * plotWidth;
+    const visible = graphSamples.filter(s => s.time >= start && s.time <= end);
+
+    graphCtx.clearRect(0, 0, width, height);
+    graphCtx.font = '11px monospace';
+
+    GRAPH_CHANNELS.forEach((channel, i) => {
+        drawGraphStrip(channel, visible, i * stripHeight, stripHeight, plotWidth, timeToX);
+    });
+
+    drawGraphTimeAxis(start, end, height - GRAPH_AXIS_HEIGHT, timeToX);
+
+    // Cursor line and readout
+    if (graphCursorX !== null && graphCursorX >= GRAPH_MARGIN_LEFT && graphCursorX <= GRAPH_MARGIN_LEFT + plotWidth) {
+        const cursorTime = start + ((graphCursorX - GRAPH_MARGIN_LEFT) / plotWidth) * (end - start);
+        const sample = findGraphSample(cursorTime);
+
+        graphCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        graphCtx.lineWidth = 1;
+        graphCtx.beginPath();
+        graphCtx.moveTo(graphCursorX, 0);
+        graphCtx.lineTo(graphCursorX, height - GRAPH_AXIS_HEIGHT);
+        graphCtx.stroke();
+
+        updateGraphReadout(sample);
+    }
+}
+
+/**
+ * Draw a single quantity strip with auto-scaled y axis
+ */
+function drawGraphStrip(channel, samples, top, stripHeight, plotWidth, timeToX) {
+    const ctx = graphCtx;
+    const padding = 6;
+
+    // Symmetric range around zero so the sign of each quantity is obvious
+    let maxAbs = 0;
+    for (const s of samples) {
+        maxAbs = Math.max(maxAbs, Math.abs(s[channel.key]), s.ghost ? Math.abs(s.ghost[channel.key]) : 0);
+    }
+    maxAbs = maxAbs > 0 ? maxAbs * 1.1 : 1;
+
+    const midY = top + stripHeight / 2;
+    const valueToY = (v) => midY - (v / maxAbs) * (stripHeight / 2 - padding);
+
+    // Strip background and zero line
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
+    ctx.fillRect(GRAPH_MARGIN_LEFT, top + 1, plotWidth, stripHeight - 2);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(GRAPH_MARGIN_LEFT, midY);
+    ctx.lineTo(GRAPH_MARGIN_LEFT + plotWidth, midY);
+    ctx.stroke();
+
+    // Labels
+    ctx.fillStyle = channel.color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${channel.label} (${channel.unit})`, 4, midY);
+    ctx.fillStyle = '#9e9e9e';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(formatGraphValue(maxAbs, channel.digits), GRAPH_MARGIN_LEFT + plotWidth - 2, top + 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatGraphValue(-maxAbs, channel.digits), GRAPH_MARGIN_LEFT + plotWidth - 2, top + stripHeight - 2);
+
+    // Data line
+    if (samples.length < 2) return;
+    ctx.strokeStyle = channel.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach((s, i) => {
+        const x = timeToX(s.time);
+        const y = valueToY(s[channel.key]);
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+
+    // Ghost sled: the same quantity dashed and faded
+    const ghostSamples = samples.filter(s => s.ghost);
+    if (ghostSamples.length < 2) return;
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ghostSamples.forEach((s, i) => {
+        const x = timeToX(s.time);
+        const y = valueToY(s.ghost[channel.key]);
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draw time ticks along the bottom of the panel
+ */
+function drawGraphTimeAxis(start, end, y, timeToX) {
+    const ctx = graphCtx;
+    const span = end - start;
+    const step = span <= 10 ? 1 : span <= 20 ? 2 : span <= 40 ? 5 : 10;
+
+    ctx.fillStyle = '#9e9e9e';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+        const x = timeToX(t);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + 4);
+        ctx.stroke();
+        ctx.fillText(`${t}s`, x, y + 5);
+    }
+}
+
+/**
+ * Show the values of a sample under the cursor
+ * @param {Object|null} sample
+ */
+function updateGraphReadout(sample) {
+    if (!graphReadout) return;
+
+    if (!sample) {
+        graphReadout.textContent = 'Hover over the graphs to read values';
+        return;
+    }
+
+    const values = GRAPH_CHANNELS.map(c =>
+        `${c.label} = ${formatGraphValue(sample[c.key], c.digits)} ${c.unit}`
+    );
+    const ghostValues = sample.ghost
+        ? ` | 👻 ${GRAPH_CHANNELS.map(c => `${c.label} = ${formatGraphValue(sample.ghost[c.key], c.digits)}`).join(', ')}`
+        : '';
+    graphReadout.textContent = `t = ${sample.time.toFixed(2)} s | ${values.join(' | ')}${ghostValues}`;
+}
+
+function formatGraphValue(value, digits) {
+    return value.toFixed(digits);
+}
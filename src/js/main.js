@@ -7,12 +7,26 @@
 let directionSlider, forceValueDisplay;
 let maxForceSlider, maxForceValueDisplay;
 let frictionToggle, airDragToggle;
-let frictionSlider, frictionCoeffDisplay; // New
+let frictionSlider, frictionCoeffDisplay; // Kinetic µk
+let staticFrictionSlider, staticFrictionCoeffDisplay; // Static µs
+let dragModelSelect, dragCoefficientSlider, frontalAreaSlider, airDensitySlider, linearDragSlider;
+let dragCoefficientDisplay, frontalAreaDisplay, airDensityDisplay, linearDragDisplay;
+let dragFormulaEl, terminalVelocityEl;
+let inclineSlider, inclineValueDisplay;
+let sledMassSlider, sledMassValueDisplay;
+let payloadSlider, payloadValueDisplay, loadCargoBtn;
+let fuelToggle, fuelCapacitySlider, fuelCapacityValueDisplay, burnRateSlider, burnRateValueDisplay;
+let fuelGauge, fuelLevelEl, fuelValueEl;
+let positionValueEl, odometerValueEl;
+let slopeForceRow, gravityParallelValueEl;
+let massValueEl;
 let resetBtn;
-let forceArrowsBtn, gridBtn;
+let forceArrowsBtn, gridBtn, graphsBtn, cameraBtn, copyLinkBtn, fbdBtn;
+let pauseBtn, stepBtn, timeScaleSelect;
 
 // Force value displays
 let appliedForceValueEl, frictionForceValueEl, airDragForceValueEl, netForceValueEl;
+let frictionRegimeEl;
 
 // Velocimeter elements
 let velocimeterNeedle, velocityDisplay, velocimeterGauge;
@@ -20,22 +34,63 @@ let velocimeterNeedle, velocityDisplay, velocimeterGauge;
 // Animation state
 let isRunning = true;
 let lastTime = 0;
+let userPaused = false; // Paused with the Pause button or P (modals and exercises pause on top of this)
+let timeScale = 1; // Simulated seconds per real second
 
-// Quiz tracking and pug mode easter egg
-let quizScore = 0;
+// Playback speeds offered by the time controls ([ and ] step through them)
+const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
+
+// Pug mode easter egg (unlocked by a perfect quiz)
 let pugModeUnlocked = false;
 
 // Current max force setting
 let maxForce = 2000;
 
+// Worksheet preset loaded from the menu ('' = none), kept for shared links
+let activeScenario = '';
+
+// Elements behind each lockable control (see LOCKABLE_CONTROLS)
+const CONTROL_ELEMENT_IDS = {
+    thrust: ['directionSlider', 'cutEnginesBtn', 'thrustProgramRunBtn'],
+    maxForce: ['maxForceSlider'],
+    friction: ['frictionToggle', 'frictionSlider', 'staticFrictionSlider'],
+    airDrag: ['airDragToggle', 'dragModelSelect', 'dragCoefficientSlider', 'frontalAreaSlider', 'airDensitySlider', 'linearDragSlider'],
+    incline: ['inclineSlider'],
+    mass: ['sledMassSlider', 'payloadSlider', 'loadCargoBtn'],
+    fuel: ['fuelToggle', 'fuelCapacitySlider', 'burnRateSlider']
+};
+let lockedControls = [];
+
+// Force panel text for each friction regime
+const FRICTION_REGIME_LABELS = {
+    none: 'No friction',
+    static: 'Static: sled held',
+    kinetic: 'Kinetic: sliding'
+};
+
 /**
  * Initialize the application when DOM is ready
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     initializeUI();
     setupEventListeners();
     checkEmbedMode();
     setupModals();
+    setupIntegratorControls();
+    initGraphs();
+    initRecorder();
+    initTrackTimer();
+    initThrustProgramPanel();
+    initTaskBanner();
+    initFbdExercise();
+    initReplay();
+    initGhost();
+    initRacePanel();
+    await loadScenarioLibrary();
+    initUserPresets(); // Saved presets may refer to library scenarios
+    initQuiz();
+    loadSettingsFromUrl();
+    onPhysicsReset();
 
     // Start the physics loop
     lastTime = performance.now();
@@ -56,6 +111,27 @@ function initializeUI() {
     maxForceSlider = document.getElementById('maxForceSlider');
     maxForceValueDisplay = document.getElementById('maxForceValue');
 
+    // Ramp angle slider
+    inclineSlider = document.getElementById('inclineSlider');
+    inclineValueDisplay = document.getElementById('inclineValue');
+
+    // Mass and cargo controls
+    sledMassSlider = document.getElementById('sledMassSlider');
+    sledMassValueDisplay = document.getElementById('sledMassValue');
+    payloadSlider = document.getElementById('payloadSlider');
+    payloadValueDisplay = document.getElementById('payloadValue');
+    loadCargoBtn = document.getElementById('loadCargoBtn');
+
+    // Fuel tank controls and gauge
+    fuelToggle = document.getElementById('fuelToggle');
+    fuelCapacitySlider = document.getElementById('fuelCapacitySlider');
+    fuelCapacityValueDisplay = document.getElementById('fuelCapacityValue');
+    burnRateSlider = document.getElementById('burnRateSlider');
+    burnRateValueDisplay = document.getElementById('burnRateValue');
+    fuelGauge = document.getElementById('fuelGauge');
+    fuelLevelEl = document.getElementById('fuelLevel');
+    fuelValueEl = document.getElementById('fuelValue');
+
     // Toggles
     frictionToggle = document.getElementById('frictionToggle');
     airDragToggle = document.getElementById('airDragToggle');
@@ -68,19 +144,49 @@ function initializeUI() {
     frictionForceValueEl = document.getElementById('frictionForceValue');
     airDragForceValueEl = document.getElementById('airDragForceValue');
     netForceValueEl = document.getElementById('netForceValue');
+    frictionRegimeEl = document.getElementById('frictionRegimeValue');
+    slopeForceRow = document.getElementById('slopeForceRow');
+    gravityParallelValueEl = document.getElementById('gravityParallelValue');
+    massValueEl = document.getElementById('massValue');
 
     // Velocimeter
     velocimeterNeedle = document.getElementById('velocimeterNeedle');
     velocityDisplay = document.getElementById('velocityDisplay');
     velocimeterGauge = document.querySelector('.velocimeter-gauge-mini');
 
-    // Friction slider
+    // Position and odometer
+    positionValueEl = document.getElementById('positionValue');
+    odometerValueEl = document.getElementById('odometerValue');
+
+    // Friction sliders
     frictionSlider = document.getElementById('frictionSlider');
     frictionCoeffDisplay = document.getElementById('frictionCoeffValue');
+    staticFrictionSlider = document.getElementById('staticFrictionSlider');
+    staticFrictionCoeffDisplay = document.getElementById('staticFrictionCoeffValue');
+
+    // Air drag model and terminal velocity
+    dragModelSelect = document.getElementById('dragModelSelect');
+    dragCoefficientSlider = document.getElementById('dragCoefficientSlider');
+    frontalAreaSlider = document.getElementById('frontalAreaSlider');
+    airDensitySlider = document.getElementById('airDensitySlider');
+    linearDragSlider = document.getElementById('linearDragSlider');
+    dragCoefficientDisplay = document.getElementById('dragCoefficientValue');
+    frontalAreaDisplay = document.getElementById('frontalAreaValue');
+    airDensityDisplay = document.getElementById('airDensityValue');
+    linearDragDisplay = document.getElementById('linearDragValue');
+    dragFormulaEl = document.getElementById('dragFormula');
+    terminalVelocityEl = document.getElementById('terminalVelocityValue');
 
     // Visualization buttons
     forceArrowsBtn = document.getElementById('forceArrowsBtn');
     gridBtn = document.getElementById('gridBtn');
+    cameraBtn = document.getElementById('cameraBtn');
+    fbdBtn = document.getElementById('fbdBtn');
+    pauseBtn = document.getElementById('pauseBtn');
+    stepBtn = document.getElementById('stepBtn');
+    timeScaleSelect = document.getElementById('timeScaleSelect');
+    copyLinkBtn = document.getElementById('copyLinkBtn');
+    graphsBtn = document.getElementById('graphsBtn');
 
     // Legend indicators
     updateLegend();
@@ -93,6 +199,7 @@ function setupEventListeners() {
     // Direction slider (controls both direction and intensity)
     directionSlider?.addEventListener('input', (e) => {
         const value = parseInt(e.target.value, 10);
+        cancelThrustProgram();
         updateForceFromSlider(value);
     });
 
@@ -102,8 +209,8 @@ function setupEventListeners() {
         if (maxForceValueDisplay) {
             maxForceValueDisplay.textContent = `${maxForce} N`;
         }
-        // Update applied force with new max
-        if (directionSlider) {
+        // Update applied force with new max (a running thrust program sets its own force)
+        if (directionSlider && !isThrustProgramRunning()) {
             updateForceFromSlider(parseInt(directionSlider.value, 10));
         }
     });
@@ -123,8 +230,32 @@ function setupEventListeners() {
         console.log('Air drag toggle changed:', e.target.checked);
         setAirDragEnabled(e.target.checked);
         updateLegend();
+        updateDisplays();
     });
 
+    // Air drag model and its parameters (moving one turns air drag on)
+    if (dragModelSelect) {
+        Object.entries(DRAG_MODELS).forEach(([name, model]) => {
+            dragModelSelect.appendChild(new Option(model.label, name));
+        });
+        dragModelSelect.addEventListener('change', () => {
+            setDragModel(dragModelSelect.value);
+            onDragSettingChanged();
+        });
+    }
+    [
+        [dragCoefficientSlider, setDragCoefficient],
+        [frontalAreaSlider, setFrontalArea],
+        [airDensitySlider, setAirDensity],
+        [linearDragSlider, setLinearDragCoefficient]
+    ].forEach(([slider, setter]) => {
+        slider?.addEventListener('input', (e) => {
+            setter(parseFloat(e.target.value));
+            onDragSettingChanged();
+        });
+    });
+    updateDragControls();
+
     // Reset button with debug
     resetBtn?.addEventListener('click', () => {
         console.log('Reset button clicked');
@@ -142,31 +273,100 @@ function setupEventListeners() {
         toggleGrid(gridBtn.classList.contains('active'));
     });
 
-    // Worksheet scenario buttons
-    document.querySelectorAll('.scenario-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const scenario = btn.dataset.scenario;
-            console.log('Loading scenario:', scenario);
-            loadScenario(scenario);
+    graphsBtn?.addEventListener('click', () => {
+        graphsBtn.classList.toggle('active');
+        toggleGraphs(graphsBtn.classList.contains('active'));
+    });
+
+    cameraBtn?.addEventListener('click', handleCameraCycle);
+    fbdBtn?.addEventListener('click', () => setFbdExerciseActive(!isFbdExerciseActive()));
+    copyLinkBtn?.addEventListener('click', copySettingsLink);
 
-            // Update active state
-            document.querySelectorAll('.scenario-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
+    // Time controls
+    if (timeScaleSelect) {
+        TIME_SCALES.forEach(scale => {
+            timeScaleSelect.appendChild(new Option(`${scale}×`, scale, false, scale === timeScale));
+        });
+        timeScaleSelect.addEventListener('change', () => setTimeScale(parseFloat(timeScaleSelect.value)));
+    }
+    pauseBtn?.addEventListener('click', toggleSimulation);
+    stepBtn?.addEventListener('click', stepSimulationOnce);
+
+    // Worksheet scenario, challenge and race buttons (listed once the scenario library loads)
+    ['scenarioMenu', 'challengeMenu', 'raceMenu'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.scenario-btn');
+            if (!btn) return;
+            loadScenario(btn.dataset.scenario);
+            clearActiveUserPreset();
+            document.getElementById('dropdownMenu')?.classList.remove('show');
         });
     });
 
-    // Friction Slider input
+    // Kinetic friction slider input
     frictionSlider?.addEventListener('input', (e) => {
         const val = parseFloat(e.target.value);
         if (frictionCoeffDisplay) {
             frictionCoeffDisplay.textContent = val.toFixed(2);
         }
         setFrictionCoefficient(val);
-        // Auto-enable friction toggle if slider > 0
-        if (val > 0 && frictionToggle && !frictionToggle.checked) {
-            frictionToggle.checked = true;
-            setFrictionEnabled(true);
-            updateLegend();
+        autoEnableFriction(val);
+    });
+
+    // Static friction slider input
+    staticFrictionSlider?.addEventListener('input', (e) => {
+        const val = parseFloat(e.target.value);
+        if (staticFrictionCoeffDisplay) {
+            staticFrictionCoeffDisplay.textContent = val.toFixed(2);
+        }
+        setStaticFrictionCoefficient(val);
+        autoEnableFriction(val);
+    });
+
+    // Ramp angle slider input
+    inclineSlider?.addEventListener('input', (e) => {
+        setInclineAngle(parseInt(e.target.value, 10));
+        updateInclineDisplay();
+    });
+
+    // Sled mass slider input
+    sledMassSlider?.addEventListener('input', (e) => {
+        setSledMass(parseInt(e.target.value, 10));
+        updateMassControls();
+    });
+
+    // Cargo mass slider input
+    payloadSlider?.addEventListener('input', (e) => {
+        setPayloadMass(parseInt(e.target.value, 10));
+        updateMassControls();
+    });
+
+    // Load / unload cargo (works mid-run)
+    loadCargoBtn?.addEventListener('click', () => {
+        setPayloadLoaded(!isPayloadLoaded());
+        updateMassControls();
+    });
+
+    // Fuel tank toggle (fills the tank when switched on)
+    fuelToggle?.addEventListener('change', (e) => {
+        setFuelEnabled(e.target.checked);
+        updateDisplays();
+    });
+
+    // Tank size slider input (refills to the new size)
+    fuelCapacitySlider?.addEventListener('input', (e) => {
+        setFuelCapacity(parseInt(e.target.value, 10));
+        if (fuelCapacityValueDisplay) {
+            fuelCapacityValueDisplay.textContent = `${getFuelCapacity()} kg`;
+        }
+        updateDisplays();
+    });
+
+    // Burn rate slider input
+    burnRateSlider?.addEventListener('input', (e) => {
+        setBurnRate(parseInt(e.target.value, 10));
+        if (burnRateValueDisplay) {
+            burnRateValueDisplay.textContent = `${getBurnRate()} kg/s`;
         }
     });
 
@@ -195,14 +395,109 @@ function setupEventListeners() {
         }
     });
 
-    // Close dropdown when clicking menu items
-    document.querySelectorAll('.scenario-btn').forEach(item => {
-        item.addEventListener('click', () => {
-            dropdownMenu?.classList.remove('show');
-        });
-    });
+}
+
+/**
+ * Auto-enable the friction toggle when a friction slider moves above zero
+ */
+function autoEnableFriction(value) {
+    if (value > 0 && frictionToggle && !frictionToggle.checked) {
+        frictionToggle.checked = true;
+        setFrictionEnabled(true);
+        updateLegend();
+    }
+}
 
+/**
+ * Refresh the drag panel after a drag setting changes, turning air drag on if it was off
+ */
+function onDragSettingChanged() {
+    if (airDragToggle && !airDragToggle.checked) {
+        airDragToggle.checked = true;
+        setAirDragEnabled(true);
+        updateLegend();
+    }
+    updateDragControls();
+    updateDisplays();
+}
 
+/**
+ * Sync the drag model, its sliders, labels and force formula with the engine
+ */
+function updateDragControls() {
+    const drag = getDragSettings();
+    const linear = drag.model === 'linear';
+
+    if (dragModelSelect) dragModelSelect.value = drag.model;
+    if (dragCoefficientSlider) dragCoefficientSlider.value = drag.dragCoefficient;
+    if (frontalAreaSlider) frontalAreaSlider.value = drag.frontalArea;
+    if (airDensitySlider) airDensitySlider.value = drag.airDensity;
+    if (linearDragSlider) linearDragSlider.value = drag.linearDragCoefficient;
+    if (dragCoefficientDisplay) dragCoefficientDisplay.textContent = drag.dragCoefficient.toFixed(2);
+    if (frontalAreaDisplay) frontalAreaDisplay.textContent = `${drag.frontalArea.toFixed(1)} m²`;
+    if (airDensityDisplay) airDensityDisplay.textContent = `${drag.airDensity.toFixed(2)} kg/m³`;
+    if (linearDragDisplay) linearDragDisplay.textContent = `${drag.linearDragCoefficient} N·s/m`;
+    document.getElementById('quadraticDragControls')?.classList.toggle('hidden', linear);
+    document.getElementById('linearDragControls')?.classList.toggle('hidden', !linear);
+
+    if (dragFormulaEl) {
+        const k = 0.5 * drag.airDensity * drag.dragCoefficient * drag.frontalArea;
+        dragFormulaEl.textContent = linear
+            ? `F = b·v = ${drag.linearDragCoefficient}·v`
+            : `F = ½ρC_dA·v² = ${k.toFixed(2)}·v²`;
+    }
+}
+
+/**
+ * Show the analytic terminal velocity next to the sled's current speed
+ * @param {Object} state - Physics state snapshot
+ */
+function updateTerminalVelocityReadout(state) {
+    if (!terminalVelocityEl) return;
+
+    const terminalVelocity = getTerminalVelocity();
+    terminalVelocityEl.classList.toggle('inactive', terminalVelocity === null);
+    if (terminalVelocity === null) {
+        terminalVelocityEl.textContent = 'Turn on air drag to see v_t';
+    } else if (terminalVelocity === Infinity) {
+        terminalVelocityEl.textContent = 'No drag to balance the push: v keeps growing';
+    } else if (terminalVelocity === 0) {
+        terminalVelocityEl.textContent = 'v_t = 0 m/s: nothing pushes harder than friction';
+    } else {
+        const cap = terminalVelocity > MAX_VELOCITY ? ` (above the ${MAX_VELOCITY} m/s cap)` : '';
+        terminalVelocityEl.textContent =
+            `v_t = ${terminalVelocity.toFixed(1)} m/s${cap}, now ${Math.abs(state.velocity).toFixed(1)} m/s`;
+    }
+}
+
+/**
+ * Sync the ramp angle slider and its label with the engine
+ */
+function updateInclineDisplay() {
+    const angle = physicsState.inclineAngle;
+    if (inclineSlider) inclineSlider.value = angle;
+    if (inclineValueDisplay) {
+        inclineValueDisplay.textContent = `${angle}°`;
+    }
+}
+
+/**
+ * Sync the mass sliders, their labels and the cargo button with the engine
+ */
+function updateMassControls() {
+    if (sledMassSlider) sledMassSlider.value = getSledMass();
+    if (sledMassValueDisplay) {
+        sledMassValueDisplay.textContent = `${getSledMass()} kg`;
+    }
+    if (payloadSlider) payloadSlider.value = getPayloadMass();
+    if (payloadValueDisplay) {
+        payloadValueDisplay.textContent = `${getPayloadMass()} kg`;
+    }
+    if (loadCargoBtn) {
+        const loaded = isPayloadLoaded();
+        loadCargoBtn.textContent = loaded ? '📤 Unload Cargo' : '📦 Load Cargo';
+        loadCargoBtn.classList.toggle('loaded', loaded);
+    }
 }
 
 /**
@@ -231,19 +526,39 @@ function updateForceFromSlider(sliderValue) {
     }
 }
 
+/**
+ * Mirror a programmed thrust on the direction slider and its label
+ * @param {number} force - N (sign is the direction)
+ */
+function showProgramForce(force) {
+    if (directionSlider) {
+        directionSlider.value = Math.max(-1000, Math.min(1000, Math.round((force / maxForce) * 1000)));
+    }
+    if (forceValueDisplay) {
+        forceValueDisplay.textContent = `${force} N`;
+    }
+}
+
 /**
  * Handle keyboard controls
  */
 function handleKeyDown(e) {
     if (!directionSlider) return;
+    // Typing a name or a number is not a shortcut
+    if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
 
     const step = 10;
     let currentValue = parseInt(directionSlider.value, 10);
 
+    // Thrust keys follow the slider when a scenario locks it
+    const thrustKeys = ['ArrowLeft', 'a', 'A', 'ArrowRight', 'd', 'D', ' '];
+    if (thrustKeys.includes(e.key) && isControlLocked('thrust')) return;
+
     switch (e.key) {
         case 'ArrowLeft':
         case 'a':
         case 'A':
+            cancelThrustProgram();
             currentValue = Math.max(-100, currentValue - step);
             directionSlider.value = currentValue;
             updateForceFromSlider(currentValue);
@@ -251,11 +566,13 @@ function handleKeyDown(e) {
         case 'ArrowRight':
         case 'd':
         case 'D':
+            cancelThrustProgram();
             currentValue = Math.min(100, currentValue + step);
             directionSlider.value = currentValue;
             updateForceFromSlider(currentValue);
             break;
         case ' ':
+            cancelThrustProgram();
             directionSlider.value = 0;
             updateForceFromSlider(0);
             e.preventDefault();
@@ -264,6 +581,34 @@ function handleKeyDown(e) {
         case 'R':
             handleReset();
             break;
+        case 'c':
+        case 'C':
+            handleCameraCycle();
+            break;
+        case 'p':
+        case 'P':
+            toggleSimulation();
+            break;
+        case '.':
+            stepSimulationOnce();
+            break;
+        case '[':
+        case ']': {
+            // Next slower or faster speed, stopping at the ends of the list
+            const index = TIME_SCALES.indexOf(timeScale) + (e.key === ']' ? 1 : -1);
+            setTimeScale(TIME_SCALES[Math.max(0, Math.min(TIME_SCALES.length - 1, index))]);
+            break;
+        }
+    }
+}
+
+/**
+ * Switch to the next camera mode and label the button
+ */
+function handleCameraCycle() {
+    const label = cycleCameraMode();
+    if (cameraBtn) {
+        cameraBtn.textContent = `🎥 ${label}`;
     }
 }
 
@@ -276,6 +621,9 @@ function handleKeyUp(e) {
  */
 function handleReset() {
     console.log('Resetting simulation...');
+    cancelThrustProgram();
+    if (isReplaying()) setReplayActive(false);
+    if (isFbdExerciseActive()) setFbdExerciseActive(false);
     resetPhysics();
     if (directionSlider) {
         directionSlider.value = 0;
@@ -292,115 +640,194 @@ function handleReset() {
         setAirDragEnabled(false);
     }
 
-    // Clear scenario selection
+    // Back to flat ground
+    setInclineAngle(0);
+    updateInclineDisplay();
+
+    // Clear scenario and preset selection, unlock controls and hide the task
+    activeScenario = '';
+    clearActiveUserPreset();
     document.querySelectorAll('.scenario-btn').forEach(b => b.classList.remove('active'));
+    setLockedControls([]);
+    showScenarioTask(null);
+    setRaceScenario(null);
 
+    onPhysicsReset();
     updateLegend();
     updateDisplays();
     console.log('Reset complete');
 }
 
 /**
- * Load a preset worksheet scenario
+ * Load a worksheet scenario: its settings, starting motion, locked controls and task
+ * @param {string} scenario - Key of SCENARIO_PRESETS
  */
 function loadScenario(scenario) {
-    // First reset everything
-    resetPhysics();
-    if (directionSlider) directionSlider.value = 0;
-
-    // Configure based on scenario
-    switch (scenario) {
-        case 'no-forces':
-            // Pure Newton's 1st Law - no resistance
-            setFrictionEnabled(false);
-            setAirDragEnabled(false);
-            if (frictionToggle) frictionToggle.checked = false;
-            if (airDragToggle) airDragToggle.checked = false;
-            break;
-
-        case 'friction-only':
-            // Study friction without air drag
-            setFrictionEnabled(true);
-            setAirDragEnabled(false);
-            if (frictionToggle) frictionToggle.checked = true;
-            if (airDragToggle) airDragToggle.checked = false;
-            break;
+    cancelThrustProgram();
+    if (isReplaying()) setReplayActive(false);
+    if (isFbdExerciseActive()) setFbdExerciseActive(false);
+    const preset = applyScenario(defaultSimulation, scenario, maxForce);
+    const thrust = preset ? preset.settings.thrust : 0;
+    activeScenario = preset ? scenario : '';
+
+    // Sync controls with the preset
+    if (directionSlider) directionSlider.value = thrust;
+    updateForceFromSlider(thrust);
+    syncEngineControls();
+    setLockedControls(preset ? preset.lockedControls : []);
+    // A race shows its instructions in the race panel, not over the lanes
+    showScenarioTask(preset?.race ? null : preset);
+    setRaceScenario(preset);
+    document.querySelectorAll('.scenario-btn').forEach(b =>
+        b.classList.toggle('active', b.dataset.scenario === activeScenario));
+
+    onPhysicsReset();
+    updateLegend();
+    updateDisplays();
+}
 
-        case 'air-only':
-            // Study air drag (velocity dependent)
-            setFrictionEnabled(false);
-            setAirDragEnabled(true);
-            if (frictionToggle) frictionToggle.checked = false;
-            if (airDragToggle) airDragToggle.checked = true;
-            break;
+/**
+ * Start the current setup over from t = 0 (a loaded scenario starts from its own initial motion)
+ */
+function restartRun() {
+    if (activeScenario) {
+        loadScenario(activeScenario);
+        return;
+    }
 
-        case 'all-forces':
-            // Realistic scenario with all forces
-            setFrictionEnabled(true);
-            setAirDragEnabled(true);
-            if (frictionToggle) frictionToggle.checked = true;
-            if (airDragToggle) airDragToggle.checked = true;
-            break;
+    cancelThrustProgram();
+    if (isFbdExerciseActive()) setFbdExerciseActive(false);
+    if (isReplaying()) setReplayActive(false);
+    resetPhysics();
+    updateForceFromSlider(parseInt(directionSlider?.value || '0', 10));
+    onPhysicsReset();
+    updateDisplays();
+}
 
-        case 'terminal-velocity':
-            // Start with air drag to observe terminal velocity
-            setFrictionEnabled(false);
-            setAirDragEnabled(true);
-            if (frictionToggle) frictionToggle.checked = false;
-            if (airDragToggle) airDragToggle.checked = true;
-            // Apply thrust to demonstrate terminal velocity (80% -> 800)
-            if (directionSlider) {
-                directionSlider.value = 800;
-                updateForceFromSlider(800);
-            }
-            break;
+/**
+ * Sync the physics controls (friction, drag, incline, mass, fuel) with the engine
+ */
+function syncEngineControls() {
+    if (frictionToggle) frictionToggle.checked = physicsState.frictionEnabled;
+    if (frictionSlider) frictionSlider.value = getFrictionCoefficient();
+    if (frictionCoeffDisplay) frictionCoeffDisplay.textContent = getFrictionCoefficient().toFixed(2);
+    if (staticFrictionSlider) staticFrictionSlider.value = getStaticFrictionCoefficient();
+    if (staticFrictionCoeffDisplay) staticFrictionCoeffDisplay.textContent = getStaticFrictionCoefficient().toFixed(2);
+    if (airDragToggle) airDragToggle.checked = physicsState.airDragEnabled;
+    updateDragControls();
+
+    updateInclineDisplay();
+    updateMassControls();
+
+    if (fuelToggle) fuelToggle.checked = physicsState.fuelEnabled;
+    if (fuelCapacitySlider) fuelCapacitySlider.value = getFuelCapacity();
+    if (fuelCapacityValueDisplay) fuelCapacityValueDisplay.textContent = `${getFuelCapacity()} kg`;
+    if (burnRateSlider) burnRateSlider.value = getBurnRate();
+    if (burnRateValueDisplay) burnRateValueDisplay.textContent = `${getBurnRate()} kg/s`;
+}
 
-        case 'equilibrium':
-            // Set up for balanced forces discussion
-            setFrictionEnabled(true);
-            setAirDragEnabled(true);
-            if (frictionToggle) frictionToggle.checked = true;
-            if (airDragToggle) airDragToggle.checked = true;
-            // Medium thrust (Set to 375, which corresponds to 750N = Friction Force)
-            if (directionSlider) {
-                directionSlider.value = 375;
-                updateForceFromSlider(375);
-            }
-            break;
-    }
+/**
+ * Lock controls so students work with a scenario's intended setup
+ * @param {Array<string>} names - Entries of LOCKABLE_CONTROLS ([] unlocks everything)
+ */
+function setLockedControls(names) {
+    lockedControls = names.slice();
+    Object.entries(CONTROL_ELEMENT_IDS).forEach(([name, ids]) => {
+        const locked = lockedControls.includes(name);
+        ids.forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.disabled = locked;
+            el.classList.toggle('locked', locked);
+        });
+    });
+}
 
-    updateLegend();
-    updateDisplays();
+function isControlLocked(name) {
+    return lockedControls.includes(name);
 }
 
 /**
- * Physics update loop (separate from p5.js draw loop)
+ * Animation loop: feeds wall-clock time to the fixed-step physics engine
  */
 function physicsLoop(currentTime) {
+    // Replay plays back the recorded run while the live sled waits
+    if (isReplaying()) {
+        stepReplay(currentTime);
+        updateDisplays();
+        drawGraphs();
+        requestAnimationFrame(physicsLoop);
+        return;
+    }
+
+    // Paused: physics waits, but the graphs still answer zoom, pause and hover
     if (!isRunning) {
+        drawGraphs();
         requestAnimationFrame(physicsLoop);
         return;
     }
 
-    // Calculate delta time in seconds
-    const dt = Math.min((currentTime - lastTime) / 1000, 0.05); // Cap at 50ms
+    // Elapsed wall-clock time in seconds (physics consumes it in fixed sub-steps)
+    const elapsed = (currentTime - lastTime) / 1000;
     lastTime = currentTime;
 
-    // Update physics
-    updatePhysics(dt);
+    // Update physics (slow motion and fast-forward scale the time it is fed); a race runs its own sleds
+    if (isRaceActive()) {
+        advanceRace(elapsed, timeScale);
+    } else {
+        advancePhysics(elapsed, onPhysicsStep, timeScale);
+    }
 
     // Update UI displays
     updateDisplays();
+    drawGraphs();
 
     // Continue loop
     requestAnimationFrame(physicsLoop);
 }
 
+/**
+ * Hand the fresh t = 0 state to step consumers that need the starting point
+ * (a sled resting on the start line is timed from the moment it leaves)
+ */
+function onPhysicsReset() {
+    const state = getPhysicsState();
+    recordTrackSample(state);
+    recordGoalSample(state);
+    recordQuizSample(state);
+    recordReplaySample(state);
+    resetGhostSled(state);
+}
+
+/**
+ * Per-step hook: everything that must see every fixed physics step
+ */
+function onPhysicsStep() {
+    const state = getPhysicsState();
+    stepGhost();
+    recordGraphSample(state, getGhostState());
+    recordTrackSample(state);
+    recordGoalSample(state);
+    const { model: dragModel, ...dragSettings } = getDragSettings();
+    recordRunSample({
+        ...state,
+        frictionCoefficient: getFrictionCoefficient(),
+        staticFrictionCoefficient: getStaticFrictionCoefficient(),
+        dragModel,
+        ...dragSettings
+    });
+    recordQuizSample(state);
+    recordReplaySample(state);
+    stepThrustProgram(state);
+}
+
 /**
  * Update all display elements
  */
 function updateDisplays() {
-    const state = getPhysicsState();
+    // Readouts follow the replayed moment; run clocks stay on the live run
+    const state = isReplaying() ? getReplayState() : getPhysicsState();
+    const now = getPhysicsState().time;
 
     // Update force values
     if (appliedForceValueEl) {
@@ -412,9 +839,39 @@ function updateDisplays() {
     if (airDragForceValueEl) {
         airDragForceValueEl.textContent = `${state.airDragForce.toFixed(0)} N`;
     }
+    if (massValueEl) {
+        massValueEl.textContent = `${state.mass.toFixed(0)} kg`;
+    }
     if (netForceValueEl) {
         netForceValueEl.textContent = `${state.netForce.toFixed(0)} N`;
     }
+    if (gravityParallelValueEl) {
+        gravityParallelValueEl.textContent = `${state.gravityParallelForce.toFixed(0)} N`;
+        slopeForceRow?.classList.toggle('hidden', state.inclineAngle === 0);
+    }
+    if (frictionRegimeEl) {
+        frictionRegimeEl.textContent = FRICTION_REGIME_LABELS[state.frictionRegime];
+        frictionRegimeEl.className = `friction-regime ${state.frictionRegime}`;
+    }
+
+    // Update fuel gauge and the terminal velocity the live sled is heading for
+    updateFuelGauge(state);
+    updateTerminalVelocityReadout(getPhysicsState());
+
+    // Update distance readouts and the start/finish clock
+    if (positionValueEl) {
+        positionValueEl.textContent = `${state.position.toFixed(1)} m`;
+    }
+    if (odometerValueEl) {
+        odometerValueEl.textContent = `${state.distance.toFixed(1)} m`;
+    }
+    updateTimingStatus(now);
+    updateTaskTimer(now);
+    updateQuizReturnButton(now);
+    updateGhostReadouts();
+    if (isThrustProgramRunning()) {
+        updateThrustProgramPanel(now);
+    }
 
     // Update velocimeter
     const velocity = state.velocity;
@@ -439,6 +896,27 @@ function updateDisplays() {
     }
 }
 
+/**
+ * Show the propellant left in the tank (hidden when fuel is unlimited)
+ * @param {Object} state - Physics state snapshot
+ */
+function updateFuelGauge(state) {
+    fuelGauge?.classList.toggle('hidden', !state.fuelEnabled);
+    if (!state.fuelEnabled) return;
+
+    const capacity = getFuelCapacity();
+    const fraction = capacity > 0 ? state.fuelMass / capacity : 0;
+
+    if (fuelLevelEl) {
+        fuelLevelEl.style.height = `${(fraction * 100).toFixed(1)}%`;
+        fuelLevelEl.classList.toggle('low', fraction > 0 && fraction <= 0.25);
+        fuelLevelEl.classList.toggle('empty', fraction === 0);
+    }
+    if (fuelValueEl) {
+        fuelValueEl.textContent = state.fuelMass > 0 ? `${state.fuelMass.toFixed(0)} kg` : 'EMPTY';
+    }
+}
+
 /**
  * Update the force legend based on active forces
  */
@@ -463,6 +941,131 @@ function updateLegend() {
     }
 }
 
+/**
+ * Current setup as a settings object (see URL_SETTINGS)
+ * @returns {Object}
+ */
+function captureSettings() {
+    const drag = getDragSettings();
+    return {
+        scenario: activeScenario,
+        thrust: directionSlider ? parseInt(directionSlider.value, 10) : 0,
+        maxForce,
+        frictionEnabled: physicsState.frictionEnabled,
+        frictionCoefficient: getFrictionCoefficient(),
+        staticFrictionCoefficient: getStaticFrictionCoefficient(),
+        airDragEnabled: physicsState.airDragEnabled,
+        dragModel: drag.model,
+        dragCoefficient: drag.dragCoefficient,
+        frontalArea: drag.frontalArea,
+        airDensity: drag.airDensity,
+        linearDragCoefficient: drag.linearDragCoefficient,
+        inclineAngle: physicsState.inclineAngle,
+        sledMass: getSledMass(),
+        payloadMass: getPayloadMass(),
+        payloadLoaded: isPayloadLoaded(),
+        fuelEnabled: physicsState.fuelEnabled,
+        fuelCapacity: getFuelCapacity(),
+        burnRate: getBurnRate(),
+        integrator: getIntegrator(),
+        showForceArrows,
+        showGrid,
+        showGraphs: graphsBtn ? graphsBtn.classList.contains('active') : true,
+        cameraMode: camera.mode
+    };
+}
+
+/**
+ * Apply a settings object to the engine and every control
+ * A scenario is loaded first (it resets the run); the other values then override it.
+ * @param {Object} settings - Complete settings, e.g. from decodeSettings()
+ */
+function applySettings(settings) {
+    // A preset saved while the scenario library was available may name a scenario missing now
+    if (SCENARIO_PRESETS[settings.scenario]) {
+        loadScenario(settings.scenario);
+    }
+
+    maxForce = settings.maxForce;
+    if (maxForceSlider) maxForceSlider.value = maxForce;
+    if (maxForceValueDisplay) maxForceValueDisplay.textContent = `${maxForce} N`;
+    if (directionSlider) directionSlider.value = settings.thrust;
+    updateForceFromSlider(settings.thrust);
+
+    setFrictionEnabled(settings.frictionEnabled);
+    setFrictionCoefficient(settings.frictionCoefficient);
+    setStaticFrictionCoefficient(settings.staticFrictionCoefficient);
+    setAirDragEnabled(settings.airDragEnabled);
+    setDragModel(settings.dragModel);
+    setDragCoefficient(settings.dragCoefficient);
+    setFrontalArea(settings.frontalArea);
+    setAirDensity(settings.airDensity);
+    setLinearDragCoefficient(settings.linearDragCoefficient);
+    setInclineAngle(settings.inclineAngle);
+    setSledMass(settings.sledMass);
+    setPayloadMass(settings.payloadMass);
+    setPayloadLoaded(settings.payloadLoaded);
+    setFuelEnabled(settings.fuelEnabled);
+    setFuelCapacity(settings.fuelCapacity);
+    setBurnRate(settings.burnRate);
+    syncEngineControls();
+
+    // Loading cargo conserves momentum; a scenario's starting motion should not change
+    if (SCENARIO_PRESETS[activeScenario]) {
+        setInitialState(SCENARIO_PRESETS[activeScenario].initialState);
+    }
+
+    setIntegrator(settings.integrator);
+    const integratorSelect = document.getElementById('integratorSelect');
+    if (integratorSelect) integratorSelect.value = getIntegrator();
+
+    forceArrowsBtn?.classList.toggle('active', settings.showForceArrows);
+    toggleForceArrows(settings.showForceArrows);
+    gridBtn?.classList.toggle('active', settings.showGrid);
+    toggleGrid(settings.showGrid);
+    graphsBtn?.classList.toggle('active', settings.showGraphs);
+    toggleGraphs(settings.showGraphs);
+
+    setCameraMode(settings.cameraMode);
+    if (cameraBtn) cameraBtn.textContent = `🎥 ${CAMERA_MODES[camera.mode]}`;
+
+    updateLegend();
+    updateDisplays();
+}
+
+/**
+ * Apply settings from the page URL, if it carries any (besides ?embed=1)
+ */
+function loadSettingsFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (!URL_SETTINGS.some(field => params.has(field.param))) return;
+
+    applySettings(decodeSettings(window.location.search, SCENARIO_PRESETS));
+}
+
+/**
+ * Copy a link that reopens the current setup (keeps ?embed=1 for LMS pages)
+ */
+async function copySettingsLink() {
+    const params = new URLSearchParams(encodeSettings(captureSettings(), SCENARIO_PRESETS));
+    if (document.body.classList.contains('embed')) {
+        params.set('embed', '1');
+    }
+    const query = params.toString();
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        if (copyLinkBtn) {
+            copyLinkBtn.textContent = '✅ Link Copied';
+            setTimeout(() => { copyLinkBtn.textContent = '🔗 Copy Link'; }, 2000);
+        }
+    } catch (err) {
+        // Clipboard blocked (e.g. insecure context or iframe): let the user copy it by hand
+        window.prompt('Copy this link:', url);
+    }
+}
+
 /**
  * Check for embed mode (LMS integration)
  */
@@ -477,10 +1080,44 @@ function checkEmbedMode() {
  * Pause/resume simulation
  */
 function toggleSimulation() {
-    isRunning = !isRunning;
-    if (isRunning) {
-        lastTime = performance.now();
+    userPaused = !userPaused;
+    setSimulationPaused(isSimulationHeld());
+    updateTimeControls();
+}
+
+/**
+ * Advance exactly one physics step (1/120 s) and stay paused, to inspect the forces at that instant
+ */
+function stepSimulationOnce() {
+    // An open modal, the FBD exercise or a replay is holding a moment that stepping would change
+    if (isSimulationHeld() || isRaceActive()) return;
+    if (!userPaused) toggleSimulation();
+
+    stepPhysics();
+    onPhysicsStep();
+    updateDisplays();
+    drawGraphs();
+}
+
+/**
+ * Set the playback speed of the live simulation
+ * @param {number} scale - One of TIME_SCALES
+ */
+function setTimeScale(scale) {
+    if (!TIME_SCALES.includes(scale)) return;
+    timeScale = scale;
+    updateTimeControls();
+}
+
+/**
+ * Show the pause state and speed on the time controls
+ */
+function updateTimeControls() {
+    if (pauseBtn) {
+        pauseBtn.textContent = userPaused ? '▶️ Play' : '⏸️ Pause';
+        pauseBtn.classList.toggle('active', userPaused);
     }
+    if (timeScaleSelect) timeScaleSelect.value = timeScale;
 }
 
 /**
@@ -490,7 +1127,6 @@ function setupModals() {
     const helpBtn = document.getElementById('helpBtn');
     const quizBtn = document.getElementById('quizBtn');
     const helpModal = document.getElementById('helpModal');
-    const quizModal = document.getElementById('quizModal');
     const closeBtns = document.querySelectorAll('.close-modal');
 
     // Open Help
@@ -498,34 +1134,92 @@ function setupModals() {
         openModal(helpModal);
     });
 
-    // Open Quiz
-    quizBtn?.addEventListener('click', () => {
-        resetQuiz();
-        openModal(quizModal);
-    });
+    // Open Quiz (a fresh shuffle, or back to a question waiting for its run)
+    quizBtn?.addEventListener('click', openQuiz);
 
     // Close Modals
     closeBtns.forEach(btn => {
         btn.addEventListener('click', () => {
-            closeModal(helpModal);
-            closeModal(quizModal);
+            closeModal(btn.closest('.modal'));
         });
     });
 
     // Click outside to close
     window.addEventListener('click', (e) => {
-        if (e.target === helpModal) closeModal(helpModal);
-        if (e.target === quizModal) closeModal(quizModal);
+        if (e.target.classList?.contains('modal')) closeModal(e.target);
     });
 }
 
+/**
+ * Initialize the integrator selector and comparison modal
+ */
+function setupIntegratorControls() {
+    const integratorSelect = document.getElementById('integratorSelect');
+    const compareBtn = document.getElementById('compareIntegratorsBtn');
+    const timestepSelect = document.getElementById('comparisonTimestep');
+
+    if (integratorSelect) {
+        Object.entries(INTEGRATORS).forEach(([name, integrator]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = integrator.label;
+            integratorSelect.appendChild(option);
+        });
+        integratorSelect.value = getIntegrator();
+
+        integratorSelect.addEventListener('change', (e) => {
+            setIntegrator(e.target.value);
+        });
+    }
+
+    compareBtn?.addEventListener('click', () => {
+        renderIntegratorComparison();
+        openModal(document.getElementById('integratorModal'));
+    });
+
+    timestepSelect?.addEventListener('change', renderIntegratorComparison);
+}
+
+/**
+ * Fill the comparison modal with one error table per reference case
+ */
+function renderIntegratorComparison() {
+    const container = document.getElementById('integratorComparison');
+    const timestepSelect = document.getElementById('comparisonTimestep');
+    if (!container) return;
+
+    const dt = parseFloat(timestepSelect?.value || '0.5');
+    const selected = getIntegrator();
+    const format = (value) => (Math.abs(value) < 1e-9 ? '0' : value.toExponential(2));
+
+    container.innerHTML = Object.entries(INTEGRATOR_TEST_CASES).map(([caseName, testCase]) => {
+        const rows = compareIntegrators(caseName, dt, 10).map(row => `
+            <tr class="${row.name === selected ? 'selected' : ''}">
+                <td>${row.label}</td>
+                <td>${format(row.positionError)}</td>
+                <td>${format(row.velocityError)}</td>
+                <td>${format(row.energyError)}</td>
+            </tr>`).join('');
+
+        return `
+            <div class="comparison-case">
+                <h3>${testCase.label}</h3>
+                <p class="comparison-description">${testCase.description}</p>
+                <table>
+                    <thead><tr><th>Method</th><th>Δx (m)</th><th>Δv (m/s)</th><th>ΔKE (J)</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }).join('');
+}
+
 function openModal(modal) {
     if (!modal) return;
     modal.style.display = 'block';
     // Small delay to allow CSS transition
     setTimeout(() => modal.classList.add('show'), 10);
     // Pause simulation when modal is open
-    isRunning = false;
+    setSimulationPaused(true);
 }
 
 function closeModal(modal) {
@@ -533,79 +1227,39 @@ function closeModal(modal) {
     modal.classList.remove('show');
     setTimeout(() => {
         modal.style.display = 'none';
-        // Resume simulation
-        isRunning = true;
-        lastTime = performance.now();
+        // Resume simulation (unless something else still holds it)
+        setSimulationPaused(isSimulationHeld());
     }, 300);
 }
 
-// --- Quiz Logic ---
-
-function resetQuiz() {
-    // Reset quiz score
-    quizScore = 0;
-
-    // Reset all questions to initial state
-    document.querySelectorAll('.quiz-question').forEach(q => {
-        q.classList.remove('active');
-        q.querySelector('.feedback').innerHTML = '';
-        q.querySelector('.next-btn').classList.add('hidden');
-        q.querySelectorAll('.quiz-opt').forEach(opt => {
-            opt.classList.remove('correct', 'incorrect');
-            opt.style.pointerEvents = 'auto'; // Re-enable clicks
-        });
-    });
-    // Show first question
-    document.querySelector('.quiz-question[data-q="1"]')?.classList.add('active');
-}
-
-// Make these global so HTML onclick works
-window.checkAnswer = function (btn, isCorrect) {
-    const parent = btn.closest('.quiz-question');
-    const feedback = parent.querySelector('.feedback');
-    const nextBtn = parent.querySelector('.next-btn');
-
-    // Track score
-    if (isCorrect) {
-        quizScore++;
-    }
-
-    // Disable all options in this question
-    parent.querySelectorAll('.quiz-opt').forEach(opt => {
-        opt.style.pointerEvents = 'none';
-        if (opt === btn) {
-            if (isCorrect) {
-                opt.classList.add('correct');
-                feedback.innerHTML = '<span style="color: #4CAF50">✅ Correct!</span>';
-            } else {
-                opt.classList.add('incorrect');
-                feedback.innerHTML = '<span style="color: #F44336">❌ Try again! (Reset quiz to retry)</span>';
-            }
-        }
-    });
-
-    // Always show next button regardless of right/wrong (educational flow)
-    nextBtn.classList.remove('hidden');
-};
+/**
+ * Freeze or resume the physics loop
+ * A run the user paused stays paused when a modal or exercise lets go of it.
+ * @param {boolean} paused
+ */
+function setSimulationPaused(paused) {
+    isRunning = !paused && !userPaused;
+    if (isRunning) lastTime = performance.now();
+}
 
-window.nextQuestion = function (currentId) {
-    const current = document.querySelector(`.quiz-question[data-q="${currentId}"]`);
-    const next = document.querySelector(`.quiz-question[data-q="${currentId + 1}"]`);
+/**
+ * Whether an open modal, the FBD exercise or a replay is holding the live sled still
+ * @returns {boolean}
+ */
+function isSimulationHeld() {
+    return isFbdExerciseActive() || isReplaying() || Boolean(document.querySelector('.modal.show'));
+}
 
-    if (current && next) {
-        current.classList.remove('active');
-        next.classList.add('active');
-    }
-};
+// --- Pug Mode ---
 
-window.closeQuiz = function () {
-    // Check if all 3 questions were answered correctly
-    if (quizScore === 3 && !pugModeUnlocked) {
-        pugModeUnlocked = true;
-        showPugModeUnlocked();
-    }
-    closeModal(document.getElementById('quizModal'));
-};
+/**
+ * Unlock pug mode after a perfect quiz (celebrated only the first time)
+ */
+function unlockPugMode() {
+    if (pugModeUnlocked) return;
+    pugModeUnlocked = true;
+    showPugModeUnlocked();
+}
 
 // Show pug mode unlocked celebration
 function showPugModeUnlocked() {
@@ -1,198 +1,1093 @@
 /**
  * Rocket Sled Physics Engine
  * Implements Newton's Laws for a rocket sled with forces, friction, and air drag
+ *
+ * createSimulation() builds independent instances (Node tests, batch runs, ghost sleds).
+ * In the browser the global functions at the bottom drive one default simulation;
+ * in Node the file is a CommonJS module.
  */
 
 // Physical constants
-const SLED_MASS = 500; // kg
+const SLED_MASS = 500; // kg (default empty sled)
+const MIN_SLED_MASS = 100; // kg
+const MAX_SLED_MASS = 2000; // kg
+const MAX_PAYLOAD_MASS = 1000; // kg of cargo
+const DEFAULT_PAYLOAD_MASS = 250; // kg
+const MAX_FUEL_CAPACITY = 1000; // kg of propellant
+const DEFAULT_FUEL_CAPACITY = 200; // kg
+const MIN_BURN_RATE = 1; // kg/s
+const MAX_BURN_RATE = 50; // kg/s
+const DEFAULT_BURN_RATE = 10; // kg/s (a full default tank lasts 20 s of thrust)
 const MIN_FORCE = 500; // N
 const MAX_FORCE = 5000; // N
-let appliedForceMagnitude = 2000; // N (thrust from rockets, adjustable)
-let frictionCoefficient = 0.15;
-const AIR_DRAG_COEFFICIENT = 0.5;
+const DEFAULT_APPLIED_FORCE = 2000; // N (thrust from rockets, adjustable)
+const DEFAULT_FRICTION_COEFFICIENT = 0.15; // kinetic (sliding) µk
+const DEFAULT_STATIC_FRICTION_COEFFICIENT = 0.2; // static µs
+const MAX_FRICTION_COEFFICIENT = 1; // µk and µs
+const DEFAULT_DRAG_COEFFICIENT = 0.8; // C_d (shape factor, dimensionless)
+const MAX_DRAG_COEFFICIENT = 2;
+const DEFAULT_FRONTAL_AREA = 1; // m² (cross-section facing the air)
+const MAX_FRONTAL_AREA = 4; // m²
+const DEFAULT_AIR_DENSITY = 1.25; // kg/m³ (sea level)
+const MAX_AIR_DENSITY = 2.5; // kg/m³
+const DEFAULT_LINEAR_DRAG_COEFFICIENT = 50; // b in N·s/m
+const MAX_LINEAR_DRAG_COEFFICIENT = 200; // N·s/m
+const AIR_DRAG_COEFFICIENT = 0.5 * DEFAULT_AIR_DENSITY * DEFAULT_DRAG_COEFFICIENT * DEFAULT_FRONTAL_AREA; // k = ½ρC_dA = 0.5 kg/m
 const GRAVITY = 10.0; // m/s² (simplified for pedagogical purposes)
 const MAX_VELOCITY = 50; // m/s (cap for simulation stability)
+const REST_SPEED = 0.01; // m/s (below this the sled counts as at rest for friction)
+const MAX_INCLINE_ANGLE = 30; // degrees (track tilt either way)
 
-// Physics state
-let physicsState = {
-    position: 0,        // meters from center
-    velocity: 0,        // m/s (positive = right)
-    acceleration: 0,    // m/s²
-    mass: SLED_MASS,
-
-    // Forces
-    appliedForce: 0,    // N (positive = right)
-    frictionForce: 0,   // N (always opposes motion)
-    airDragForce: 0,    // N (always opposes motion)
-    normalForce: 0,     // N (from ground)
-    gravityForce: 0,    // N (weight)
-    netForce: 0,        // N (sum of all forces)
-
-    // Settings
-    frictionEnabled: false,
-    airDragEnabled: false,
-    thrustDirection: 0  // -1 = left, 0 = off, 1 = right
-};
-
-/**
- * Reset the physics state to initial conditions
- */
-function resetPhysics() {
-    physicsState.position = 0;
-    physicsState.velocity = 0;
-    physicsState.acceleration = 0;
-    physicsState.appliedForce = 0;
-    physicsState.frictionForce = 0;
-    physicsState.airDragForce = 0;
-    physicsState.netForce = 0;
-    physicsState.thrustDirection = 0;
-
-    // Weight and normal force are always present
-    physicsState.gravityForce = physicsState.mass * GRAVITY;
-    physicsState.normalForce = physicsState.gravityForce; // On flat ground
-}
+// Fixed-timestep stepping (same inputs → same trajectory on every machine)
+const PHYSICS_TIMESTEP = 1 / 120; // s per physics sub-step
+const MAX_FRAME_TIME = 0.25; // s (drop excess time after stalls, e.g. throttled tabs)
 
 /**
- * Set the thrust direction
- * @param {number} direction - -1 (left), 0 (off), or 1 (right)
+ * Air drag models (F always opposes the motion)
  */
-function setThrustDirection(direction) {
-    physicsState.thrustDirection = Math.sign(direction);
-}
+const DRAG_MODELS = {
+    'quadratic': { label: 'Quadratic: ½ρC_dA·v²' },
+    'linear': { label: 'Linear: b·v' }
+};
+const DEFAULT_DRAG_MODEL = 'quadratic';
 
 /**
- * Set friction enabled/disabled
- * @param {boolean} enabled
+ * Size of the air drag force at a speed
+ * @param {number} speed - m/s (sign is ignored)
+ * @param {Object} drag - Drag settings ({model, dragCoefficient, frontalArea, airDensity, linearDragCoefficient})
+ * @returns {number} Force in N
  */
-function setFrictionEnabled(enabled) {
-    physicsState.frictionEnabled = enabled;
+function computeDragMagnitude(speed, drag) {
+    const v = Math.abs(speed);
+    if (drag.model === 'linear') {
+        return drag.linearDragCoefficient * v;
+    }
+    return 0.5 * drag.airDensity * drag.dragCoefficient * drag.frontalArea * v * v;
 }
 
 /**
- * Set air drag enabled/disabled
- * @param {boolean} enabled
+ * Speed at which air drag cancels a steady push (where v(t) levels off)
+ * Linear: v_t = F / b. Quadratic: v_t = √(2F / (ρC_dA)).
+ * @param {number} push - N left for drag to balance (thrust and slope pull minus kinetic friction)
+ * @param {Object} drag - Drag settings, as for computeDragMagnitude()
+ * @returns {number} m/s (0 if nothing is pushing, Infinity if there is no drag to balance it)
  */
-function setAirDragEnabled(enabled) {
-    physicsState.airDragEnabled = enabled;
+function computeTerminalVelocity(push, drag) {
+    if (push <= 0) return 0;
+    if (drag.model === 'linear') {
+        return drag.linearDragCoefficient > 0 ? push / drag.linearDragCoefficient : Infinity;
+    }
+    const k = 0.5 * drag.airDensity * drag.dragCoefficient * drag.frontalArea;
+    return k > 0 ? Math.sqrt(push / k) : Infinity;
 }
 
 /**
- * Set the applied force magnitude
- * @param {number} force - Force in Newtons
+ * Numerical integrators
+ * Each advances (position, velocity) by dt given a(v), the acceleration at a velocity
  */
-function setAppliedForceMagnitude(force) {
-    // Allow 0 force (thrust off), otherwise clamp to valid range
-    if (force === 0) {
-        appliedForceMagnitude = 0;
-    } else {
-        appliedForceMagnitude = Math.max(MIN_FORCE, Math.min(MAX_FORCE, Math.abs(force)));
+const INTEGRATORS = {
+    'euler': {
+        label: 'Explicit Euler',
+        step(x, v, dt, accelerationAt) {
+            const a = accelerationAt(v);
+            return { position: x + v * dt, velocity: v + a * dt };
+        }
+    },
+    'semi-implicit-euler': {
+        label: 'Semi-implicit Euler',
+        step(x, v, dt, accelerationAt) {
+            const newV = v + accelerationAt(v) * dt;
+            return { position: x + newV * dt, velocity: newV };
+        }
+    },
+    'velocity-verlet': {
+        label: 'Velocity Verlet',
+        step(x, v, dt, accelerationAt) {
+            const a = accelerationAt(v);
+            // Velocity-dependent forces: evaluate the end-of-step acceleration at a predicted velocity
+            const aNext = accelerationAt(v + a * dt);
+            return {
+                position: x + v * dt + 0.5 * a * dt * dt,
+                velocity: v + 0.5 * (a + aNext) * dt
+            };
+        }
+    },
+    'rk4': {
+        label: 'Runge-Kutta 4',
+        step(x, v, dt, accelerationAt) {
+            const k1v = accelerationAt(v);
+            const k1x = v;
+            const k2v = accelerationAt(v + k1v * dt / 2);
+            const k2x = v + k1v * dt / 2;
+            const k3v = accelerationAt(v + k2v * dt / 2);
+            const k3x = v + k2v * dt / 2;
+            const k4v = accelerationAt(v + k3v * dt);
+            const k4x = v + k3v * dt;
+            return {
+                position: x + (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x),
+                velocity: v + (dt / 6) * (k1v + 2 * k2v + 2 * k3v + k4v)
+            };
+        }
     }
-}
+};
 
-/**
- * Get the applied force magnitude
- * @returns {number} Force in Newtons
- */
-function getAppliedForceMagnitude() {
-    return appliedForceMagnitude;
-}
+// Semi-implicit Euler is the method this engine has always used (v first, then x with the new v)
+const DEFAULT_INTEGRATOR = 'semi-implicit-euler';
 
 /**
- * Set friction coefficient
- * @param {number} value - Coefficient between 0.0 and 1.0
+ * Create a physics state object at rest
+ * @returns {Object} Fresh state
  */
-function setFrictionCoefficient(value) {
-    frictionCoefficient = Math.max(0, Math.min(1.0, value));
-}
+function createPhysicsState() {
+    return {
+        time: 0,            // seconds since reset
+        position: 0,        // meters from the starting point
+        distance: 0,        // meters travelled in either direction (odometer)
+        velocity: 0,        // m/s (positive = right)
+        acceleration: 0,    // m/s²
+        mass: SLED_MASS,    // kg (sled + cargo + fuel on board)
+        payloadMass: 0,     // kg of cargo on board (0 when unloaded)
+        fuelMass: 0,        // kg of propellant in the tank (0 when fuel mode is off)
 
-/**
- * Get friction coefficient
- * @returns {number} Current coefficient
- */
-function getFrictionCoefficient() {
-    return frictionCoefficient;
+        // Forces
+        appliedForce: 0,    // N (positive = right)
+        frictionForce: 0,   // N (always opposes motion)
+        airDragForce: 0,    // N (always opposes motion)
+        normalForce: 0,     // N (from ground, perpendicular to the track)
+        gravityForce: 0,    // N (weight, straight down)
+        gravityParallelForce: 0, // N (weight component along the track, positive = right)
+        netForce: 0,        // N (sum of all forces)
+        frictionRegime: 'none', // 'none', 'static' (sled held) or 'kinetic' (sliding)
+
+        // Settings
+        frictionEnabled: false,
+        airDragEnabled: false,
+        inclineAngle: 0,    // degrees (positive = track rises to the right)
+        fuelEnabled: false, // thrust burns propellant and stops when the tank is empty
+        thrustDirection: 0  // -1 = left, 0 = off, 1 = right
+    };
 }
 
 /**
- * Calculate all forces and update the physics state
- * @param {number} dt - Time step in seconds
+ * Create an independent rocket sled simulation with its own state and settings
+ * @param {Object} [config]
+ * @param {number} [config.appliedForceMagnitude=2000] - Thrust in N
+ * @param {number} [config.frictionCoefficient=0.15] - Kinetic µk
+ * @param {number} [config.staticFrictionCoefficient=0.2] - Static µs
+ * @param {boolean} [config.frictionEnabled=false]
+ * @param {boolean} [config.airDragEnabled=false]
+ * @param {string} [config.dragModel='quadratic'] - Key of DRAG_MODELS
+ * @param {number} [config.dragCoefficient=0.8] - C_d (quadratic model)
+ * @param {number} [config.frontalArea=1] - A in m² (quadratic model)
+ * @param {number} [config.airDensity=1.25] - ρ in kg/m³ (quadratic model)
+ * @param {number} [config.linearDragCoefficient=50] - b in N·s/m (linear model)
+ * @param {number} [config.inclineAngle=0] - Track tilt in degrees
+ * @param {number} [config.sledMass=500] - Empty sled mass in kg
+ * @param {number} [config.payloadMass=250] - Cargo mass in kg
+ * @param {boolean} [config.payloadLoaded=false] - Start with the cargo on board
+ * @param {boolean} [config.fuelEnabled=false] - Limited propellant (variable mass)
+ * @param {number} [config.fuelCapacity=200] - Tank size in kg
+ * @param {number} [config.burnRate=10] - Propellant burned per second of thrust, in kg/s
+ * @param {string} [config.integrator='semi-implicit-euler'] - Key of INTEGRATORS
+ * @returns {Object} Simulation instance
  */
-function updatePhysics(dt) {
-    // Always calculate vertical forces (for force diagram)
-    physicsState.gravityForce = physicsState.mass * GRAVITY;
-    physicsState.normalForce = physicsState.gravityForce;
+function createSimulation(config = {}) {
+    const state = createPhysicsState();
+    let appliedForceMagnitude = DEFAULT_APPLIED_FORCE;
+    let frictionCoefficient = DEFAULT_FRICTION_COEFFICIENT;
+    let staticFrictionCoefficient = DEFAULT_STATIC_FRICTION_COEFFICIENT;
+    let integratorName = DEFAULT_INTEGRATOR;
+    let sledMass = SLED_MASS;
+    let cargoMass = DEFAULT_PAYLOAD_MASS;
+    let payloadLoaded = false;
+    let fuelCapacity = DEFAULT_FUEL_CAPACITY;
+    let burnRate = DEFAULT_BURN_RATE;
+    const drag = {
+        model: DEFAULT_DRAG_MODEL,
+        dragCoefficient: DEFAULT_DRAG_COEFFICIENT,
+        frontalArea: DEFAULT_FRONTAL_AREA,
+        airDensity: DEFAULT_AIR_DENSITY,
+        linearDragCoefficient: DEFAULT_LINEAR_DRAG_COEFFICIENT
+    };
+
+    // State before the most recent fixed step (for render interpolation)
+    let previousState = { ...state };
+
+    // Wall-clock time not yet consumed by fixed steps
+    let accumulator = 0;
+
+    /**
+     * Reset the physics state to initial conditions
+     */
+    function reset() {
+        state.time = 0;
+        state.position = 0;
+        state.distance = 0;
+        state.velocity = 0;
+        state.acceleration = 0;
+        state.appliedForce = 0;
+        state.frictionForce = 0;
+        state.airDragForce = 0;
+        state.netForce = 0;
+        state.frictionRegime = 'none';
+        state.thrustDirection = 0;
+
+        // Full tank for every run (also updates the weight and normal force)
+        refuel();
+
+        previousState = { ...state };
+        accumulator = 0;
+    }
+
+    /**
+     * Start the run from a given position and velocity (scenario initial conditions)
+     * Call straight after reset(); the clock stays where it is.
+     * @param {Object} [initial]
+     * @param {number} [initial.position=0] - m
+     * @param {number} [initial.velocity=0] - m/s (clamped to ±MAX_VELOCITY)
+     */
+    function setInitialState({ position = 0, velocity = 0 } = {}) {
+        state.position = position;
+        state.velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, velocity));
+        previousState = { ...state };
+        accumulator = 0;
+    }
 
-    // Calculate applied force (thrust)
-    physicsState.appliedForce = physicsState.thrustDirection * appliedForceMagnitude;
+    /**
+     * Bring the sled to rest where it is (the run and its clock carry on)
+     */
+    function stopMotion() {
+        state.velocity = 0;
+    }
 
-    // Calculate friction force (opposes motion, only when moving)
-    if (physicsState.frictionEnabled && Math.abs(physicsState.velocity) > 0.01) {
-        const frictionMagnitude = frictionCoefficient * physicsState.normalForce;
-        physicsState.frictionForce = -Math.sign(physicsState.velocity) * frictionMagnitude;
-    } else {
-        physicsState.frictionForce = 0;
+    /**
+     * Set the thrust direction
+     * @param {number} direction - -1 (left), 0 (off), or 1 (right)
+     */
+    function setThrustDirection(direction) {
+        state.thrustDirection = Math.sign(direction);
     }
 
-    // Static friction check - prevents motion if applied force is less than static friction
-    if (physicsState.frictionEnabled &&
-        Math.abs(physicsState.velocity) < 0.01 &&
-        Math.abs(physicsState.appliedForce) < frictionCoefficient * physicsState.normalForce * 1.1) {
-        // Static friction case - sled doesn't move
-        physicsState.frictionForce = -physicsState.appliedForce;
+    /**
+     * Set friction enabled/disabled
+     * @param {boolean} enabled
+     */
+    function setFrictionEnabled(enabled) {
+        state.frictionEnabled = enabled;
     }
 
-    // Calculate air drag force (opposes motion, proportional to velocity squared)
-    if (physicsState.airDragEnabled && Math.abs(physicsState.velocity) > 0.01) {
-        const dragMagnitude = AIR_DRAG_COEFFICIENT * physicsState.velocity * physicsState.velocity;
-        physicsState.airDragForce = -Math.sign(physicsState.velocity) * dragMagnitude;
-    } else {
-        physicsState.airDragForce = 0;
+    /**
+     * Set air drag enabled/disabled
+     * @param {boolean} enabled
+     */
+    function setAirDragEnabled(enabled) {
+        state.airDragEnabled = enabled;
     }
 
-    // Calculate net horizontal force
-    physicsState.netForce = physicsState.appliedForce +
-        physicsState.frictionForce +
-        physicsState.airDragForce;
+    /**
+     * Select the air drag model
+     * @param {string} name - Key of DRAG_MODELS (unknown names are ignored)
+     */
+    function setDragModel(name) {
+        if (DRAG_MODELS[name]) {
+            drag.model = name;
+        }
+    }
 
-    // Newton's Second Law: F = ma → a = F/m
-    physicsState.acceleration = physicsState.netForce / physicsState.mass;
+    /**
+     * Set the drag coefficient C_d (quadratic model)
+     * @param {number} value - Clamped to 0–MAX_DRAG_COEFFICIENT
+     */
+    function setDragCoefficient(value) {
+        drag.dragCoefficient = Math.max(0, Math.min(MAX_DRAG_COEFFICIENT, value));
+    }
 
-    // Update velocity: v = v + a*dt
-    physicsState.velocity += physicsState.acceleration * dt;
+    /**
+     * Set the frontal area A (quadratic model)
+     * @param {number} m2 - Clamped to 0–MAX_FRONTAL_AREA
+     */
+    function setFrontalArea(m2) {
+        drag.frontalArea = Math.max(0, Math.min(MAX_FRONTAL_AREA, m2));
+    }
 
-    // Clamp velocity to prevent instability
-    physicsState.velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, physicsState.velocity));
+    /**
+     * Set the air density ρ (quadratic model)
+     * @param {number} kgPerM3 - Clamped to 0–MAX_AIR_DENSITY
+     */
+    function setAirDensity(kgPerM3) {
+        drag.airDensity = Math.max(0, Math.min(MAX_AIR_DENSITY, kgPerM3));
+    }
 
-    // Stop if velocity is very small and no applied force
-    if (Math.abs(physicsState.velocity) < 0.1 && physicsState.thrustDirection === 0) {
-        if (!physicsState.frictionEnabled && !physicsState.airDragEnabled) {
-            // Keep coasting with no resistance
+    /**
+     * Set the linear drag coefficient b (linear model)
+     * @param {number} value - N·s/m, clamped to 0–MAX_LINEAR_DRAG_COEFFICIENT
+     */
+    function setLinearDragCoefficient(value) {
+        drag.linearDragCoefficient = Math.max(0, Math.min(MAX_LINEAR_DRAG_COEFFICIENT, value));
+    }
+
+    /**
+     * Get the air drag model and its parameters
+     * @returns {{model: string, dragCoefficient: number, frontalArea: number, airDensity: number, linearDragCoefficient: number}}
+     */
+    function getDragSettings() {
+        return { ...drag };
+    }
+
+    /**
+     * Analytic terminal velocity for the current thrust, slope, friction and drag
+     * Solves |thrust + slope pull| − µk·N = drag(v) for a sliding sled.
+     * @returns {number|null} Speed in m/s (Infinity if there is no drag), or null when air drag is off
+     */
+    function getTerminalVelocity() {
+        if (!state.airDragEnabled) return null;
+
+        const push = Math.abs(getThrustForce() + state.gravityParallelForce);
+        const friction = state.frictionEnabled ? frictionCoefficient * state.normalForce : 0;
+        return computeTerminalVelocity(push - friction, drag);
+    }
+
+    /**
+     * Tilt the track
+     * @param {number} degrees - Ramp angle, clamped to ±MAX_INCLINE_ANGLE (positive = rises to the right)
+     */
+    function setInclineAngle(degrees) {
+        state.inclineAngle = Math.max(-MAX_INCLINE_ANGLE, Math.min(MAX_INCLINE_ANGLE, degrees));
+        updateWeightComponents();
+    }
+
+    /**
+     * Set the empty sled mass
+     * @param {number} kg - Clamped to MIN_SLED_MASS–MAX_SLED_MASS
+     */
+    function setSledMass(kg) {
+        sledMass = Math.max(MIN_SLED_MASS, Math.min(MAX_SLED_MASS, kg));
+        updateMass();
+    }
+
+    /**
+     * Get the empty sled mass
+     * @returns {number} Mass in kg
+     */
+    function getSledMass() {
+        return sledMass;
+    }
+
+    /**
+     * Set how much cargo the payload holds
+     * @param {number} kg - Clamped to 0–MAX_PAYLOAD_MASS
+     */
+    function setPayloadMass(kg) {
+        cargoMass = Math.max(0, Math.min(MAX_PAYLOAD_MASS, kg));
+        updateMass();
+    }
+
+    /**
+     * Get how much cargo the payload holds
+     * @returns {number} Mass in kg
+     */
+    function getPayloadMass() {
+        return cargoMass;
+    }
+
+    /**
+     * Load or unload the cargo, also in the middle of a run
+     * Loading picks up cargo at rest, so momentum is shared: v' = m·v / (m + m cargo).
+     * Unloaded cargo leaves with the sled's velocity, so v is unchanged.
+     * @param {boolean} loaded
+     */
+    function setPayloadLoaded(loaded) {
+        const massBefore = state.mass;
+        payloadLoaded = loaded;
+        updateMass();
+
+        if (state.mass > massBefore) {
+            state.velocity *= massBefore / state.mass;
+        }
+    }
+
+    /**
+     * Check whether the cargo is on board
+     * @returns {boolean}
+     */
+    function isPayloadLoaded() {
+        return payloadLoaded;
+    }
+
+    /**
+     * Turn the fuel tank on or off
+     * With fuel on, the propellant adds to the mass and burns away while the engines fire
+     * @param {boolean} enabled
+     */
+    function setFuelEnabled(enabled) {
+        state.fuelEnabled = enabled;
+        refuel();
+    }
+
+    /**
+     * Set the tank size (the tank is refilled to the new size)
+     * @param {number} kg - Clamped to 0–MAX_FUEL_CAPACITY
+     */
+    function setFuelCapacity(kg) {
+        fuelCapacity = Math.max(0, Math.min(MAX_FUEL_CAPACITY, kg));
+        refuel();
+    }
+
+    /**
+     * Get the tank size
+     * @returns {number} Mass in kg
+     */
+    function getFuelCapacity() {
+        return fuelCapacity;
+    }
+
+    /**
+     * Set how fast the engines burn propellant while firing
+     * @param {number} kgPerSecond - Clamped to MIN_BURN_RATE–MAX_BURN_RATE
+     */
+    function setBurnRate(kgPerSecond) {
+        burnRate = Math.max(MIN_BURN_RATE, Math.min(MAX_BURN_RATE, kgPerSecond));
+    }
+
+    /**
+     * Get the propellant burn rate
+     * @returns {number} kg/s
+     */
+    function getBurnRate() {
+        return burnRate;
+    }
+
+    /**
+     * Fill the tank (empties it when fuel mode is off)
+     */
+    function refuel() {
+        state.fuelMass = state.fuelEnabled ? fuelCapacity : 0;
+        updateMass();
+    }
+
+    /**
+     * Recompute the total mass and the weight-dependent forces
+     */
+    function updateMass() {
+        state.payloadMass = payloadLoaded ? cargoMass : 0;
+        state.mass = sledMass + state.payloadMass + state.fuelMass;
+        updateWeightComponents();
+    }
+
+    /**
+     * Split the weight into components along and perpendicular to the track
+     * The track pushes back on the perpendicular part, so N = mg·cosθ
+     */
+    function updateWeightComponents() {
+        const theta = state.inclineAngle * Math.PI / 180;
+        state.gravityForce = state.mass * GRAVITY;
+        state.gravityParallelForce = -state.gravityForce * Math.sin(theta);
+        state.normalForce = state.gravityForce * Math.cos(theta);
+    }
+
+    /**
+     * Set the applied force magnitude
+     * @param {number} force - Force in Newtons
+     */
+    function setAppliedForceMagnitude(force) {
+        // Allow 0 force (thrust off), otherwise clamp to valid range
+        if (force === 0) {
+            appliedForceMagnitude = 0;
         } else {
-            // Resistance will stop the sled
-            if (Math.abs(physicsState.velocity) < 0.05) {
-                physicsState.velocity = 0;
+            appliedForceMagnitude = Math.max(MIN_FORCE, Math.min(MAX_FORCE, Math.abs(force)));
+        }
+    }
+
+    /**
+     * Get the applied force magnitude
+     * @returns {number} Force in Newtons
+     */
+    function getAppliedForceMagnitude() {
+        return appliedForceMagnitude;
+    }
+
+    /**
+     * Set the kinetic (sliding) friction coefficient µk
+     * @param {number} value - Coefficient between 0.0 and 1.0
+     */
+    function setFrictionCoefficient(value) {
+        frictionCoefficient = Math.max(0, Math.min(MAX_FRICTION_COEFFICIENT, value));
+    }
+
+    /**
+     * Get the kinetic (sliding) friction coefficient µk
+     * @returns {number} Current coefficient
+     */
+    function getFrictionCoefficient() {
+        return frictionCoefficient;
+    }
+
+    /**
+     * Set the static friction coefficient µs
+     * @param {number} value - Coefficient between 0.0 and 1.0
+     */
+    function setStaticFrictionCoefficient(value) {
+        staticFrictionCoefficient = Math.max(0, Math.min(MAX_FRICTION_COEFFICIENT, value));
+    }
+
+    /**
+     * Get the static friction coefficient µs
+     * @returns {number} Current coefficient
+     */
+    function getStaticFrictionCoefficient() {
+        return staticFrictionCoefficient;
+    }
+
+    /**
+     * Largest friction force the track can supply to a sled at rest (µs·N)
+     * A µs below µk is treated as µk so a sled never breaks free into a larger kinetic force
+     * @returns {number} Force in N
+     */
+    function getMaxStaticFriction() {
+        return Math.max(staticFrictionCoefficient, frictionCoefficient) * state.normalForce;
+    }
+
+    /**
+     * Select the numerical integrator
+     * @param {string} name - Key of INTEGRATORS (unknown names are ignored)
+     */
+    function setIntegrator(name) {
+        if (INTEGRATORS[name]) {
+            integratorName = name;
+        }
+    }
+
+    /**
+     * Get the selected numerical integrator
+     * @returns {string} Key of INTEGRATORS
+     */
+    function getIntegrator() {
+        return integratorName;
+    }
+
+    /**
+     * Thrust the engines deliver right now (an empty tank leaves nothing to burn)
+     * @returns {number} Force in N (positive = right)
+     */
+    function getThrustForce() {
+        const engineCanFire = !state.fuelEnabled || state.fuelMass > 0;
+        return engineCanFire ? state.thrustDirection * appliedForceMagnitude : 0;
+    }
+
+    /**
+     * Calculate the forces along the track for a given velocity
+     * Uses the applied force and weight components already stored in the state
+     * @param {number} velocity - m/s
+     * @returns {{frictionForce: number, airDragForce: number, netForce: number, frictionRegime: string}} Forces in N
+     */
+    function computeTrackForces(velocity) {
+        // Everything except friction and drag that tries to move the sled
+        const drivingForce = state.appliedForce + state.gravityParallelForce;
+        let frictionForce = 0;
+        let frictionRegime = 'none';
+        let airDragForce = 0;
+
+        if (state.frictionEnabled) {
+            const kineticFriction = frictionCoefficient * state.normalForce;
+
+            if (Math.abs(velocity) > REST_SPEED) {
+                // Sliding: kinetic friction opposes the motion
+                frictionForce = -Math.sign(velocity) * kineticFriction;
+                frictionRegime = 'kinetic';
+            } else if (Math.abs(drivingForce) <= getMaxStaticFriction()) {
+                // At rest: static friction cancels the push (and slope pull) up to µs·N
+                frictionForce = -drivingForce;
+                frictionRegime = 'static';
+            } else {
+                // Breaking free: kinetic friction opposes the impending motion
+                frictionForce = -Math.sign(drivingForce) * kineticFriction;
+                frictionRegime = 'kinetic';
             }
         }
+
+        // Air drag force (opposes motion, grows with speed as b·v or ½ρC_dA·v²)
+        if (state.airDragEnabled && Math.abs(velocity) > REST_SPEED) {
+            airDragForce = -Math.sign(velocity) * computeDragMagnitude(velocity, drag);
+        }
+
+        return {
+            frictionForce,
+            frictionRegime,
+            airDragForce,
+            netForce: drivingForce + frictionForce + airDragForce
+        };
     }
 
-    // Update position: x = x + v*dt
-    physicsState.position += physicsState.velocity * dt;
+    /**
+     * Calculate all forces and update the physics state
+     * @param {number} dt - Time step in seconds
+     */
+    function update(dt) {
+        // Weight components for the current slope (N = mg·cosθ)
+        updateWeightComponents();
+
+        // Calculate applied force (thrust)
+        state.appliedForce = getThrustForce();
+
+        // Forces at the start of the step (shown in the force panel and diagrams)
+        const forces = computeTrackForces(state.velocity);
+        state.frictionForce = forces.frictionForce;
+        state.frictionRegime = forces.frictionRegime;
+        state.airDragForce = forces.airDragForce;
+        state.netForce = forces.netForce;
+
+        // Newton's Second Law: F = ma → a = F/m
+        state.acceleration = state.netForce / state.mass;
+
+        // Integrate motion with the selected numerical method
+        const accelerationAt = (velocity) => computeTrackForces(velocity).netForce / state.mass;
+        const next = INTEGRATORS[integratorName].step(state.position, state.velocity, dt, accelerationAt);
+        const integratedVelocity = next.velocity;
+
+        // Stick: a sled held by static friction stays put, and kinetic friction cannot
+        // push a sliding sled backwards through zero velocity if static friction can hold it there
+        const drivingForce = state.appliedForce + state.gravityParallelForce;
+        const canHold = state.frictionEnabled && Math.abs(drivingForce) <= getMaxStaticFriction();
+        const reversed = state.velocity !== 0 && Math.sign(next.velocity) !== Math.sign(state.velocity);
+        if (forces.frictionRegime === 'static' || (reversed && canHold)) {
+            next.velocity = 0;
+        }
+        state.velocity = next.velocity;
+
+        // Clamp velocity to prevent instability
+        state.velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, state.velocity));
+
+        // Stop if velocity is very small and nothing would start the sled again
+        // (on a slope only friction can hold it; otherwise it must be free to roll back)
+        const slopeHeld = state.gravityParallelForce === 0 || canHold;
+        if (Math.abs(state.velocity) < 0.1 && state.appliedForce === 0 && slopeHeld) {
+            if (!state.frictionEnabled && !state.airDragEnabled) {
+                // Keep coasting with no resistance
+            } else {
+                // Resistance will stop the sled
+                if (Math.abs(state.velocity) < 0.05) {
+                    state.velocity = 0;
+                }
+            }
+        }
+
+        // Update position from the integrator, unless the velocity was changed since (held, capped or
+        // snapped to rest): then the sled moves at the velocity it ends the step with, so x and v agree.
+        // The odometer counts every meter, whichever way.
+        const position = state.velocity === integratedVelocity ? next.position : state.position + state.velocity * dt;
+        state.distance += Math.abs(position - state.position);
+        state.position = position;
+
+        // Burn propellant while the engines fire: the sled gets lighter (a = F/m grows)
+        if (state.fuelEnabled && state.appliedForce !== 0) {
+            state.fuelMass = Math.max(0, state.fuelMass - burnRate * dt);
+            updateMass();
+        }
+
+        // Advance simulation clock
+        state.time += dt;
+    }
+
+    /**
+     * Take one fixed sub-step, keeping the step before it for render interpolation
+     */
+    function fixedStep() {
+        previousState = { ...state };
+        update(PHYSICS_TIMESTEP);
+    }
+
+    /**
+     * Advance the simulation by one fixed sub-step (single-stepping, ghost and race sleds)
+     * Leftover frame time is dropped, so the render state is exactly the stepped state.
+     */
+    function step() {
+        fixedStep();
+        previousState = { ...state };
+        accumulator = 0;
+    }
+
+    /**
+     * Advance the simulation by elapsed wall-clock time in fixed sub-steps
+     * Leftover time stays in the accumulator and is used for render interpolation
+     * @param {number} elapsed - Seconds since the last call
+     * @param {Function} [onStep] - Called after every sub-step
+     * @param {number} [timeScale=1] - Simulated seconds per wall-clock second (slow motion < 1 < fast-forward)
+     * @returns {number} Number of sub-steps taken
+     */
+    function advance(elapsed, onStep, timeScale = 1) {
+        // Stalls are clamped in wall-clock time, so fast-forward still catches up normally
+        accumulator += Math.max(0, Math.min(elapsed, MAX_FRAME_TIME)) * timeScale;
+
+        let steps = 0;
+        while (accumulator >= PHYSICS_TIMESTEP) {
+            fixedStep();
+            accumulator -= PHYSICS_TIMESTEP;
+            steps++;
+            if (onStep) onStep();
+        }
+        return steps;
+    }
+
+    /**
+     * Run for a span of simulated time in fixed sub-steps (headless batch runs)
+     * Not limited by MAX_FRAME_TIME, so any duration can be simulated at once
+     * @param {number} duration - Simulated seconds
+     * @param {Function} [onStep] - Called after every sub-step with a state snapshot
+     * @returns {Object} State snapshot at the end of the run
+     */
+    function run(duration, onStep) {
+        const steps = Math.round(duration / PHYSICS_TIMESTEP);
+        for (let i = 0; i < steps; i++) {
+            fixedStep();
+            if (onStep) onStep(getState());
+        }
+        return getState();
+    }
+
+    /**
+     * Get the current physics state
+     * @returns {Object} Current state
+     */
+    function getState() {
+        return { ...state };
+    }
+
+    /**
+     * Get the state blended between the last two fixed steps for smooth rendering
+     * Forces are taken from the latest step; only kinematic values are blended
+     * @returns {Object} Interpolated state
+     */
+    function getRenderState() {
+        const alpha = accumulator / PHYSICS_TIMESTEP;
+        const lerpValue = (a, b) => a + (b - a) * alpha;
+
+        return {
+            ...state,
+            time: lerpValue(previousState.time, state.time),
+            position: lerpValue(previousState.position, state.position),
+            velocity: lerpValue(previousState.velocity, state.velocity)
+        };
+    }
+
+    /**
+     * Get the speed as a percentage of max (for speedometer)
+     * @returns {number} 0-100
+     */
+    function getSpeedPercentage() {
+        return (Math.abs(state.velocity) / MAX_VELOCITY) * 100;
+    }
+
+    /**
+     * Get the settings in the form createSimulation() accepts (to build a matching simulation)
+     * @returns {Object} Config object
+     */
+    function getConfig() {
+        return {
+            appliedForceMagnitude,
+            frictionCoefficient,
+            staticFrictionCoefficient,
+            frictionEnabled: state.frictionEnabled,
+            airDragEnabled: state.airDragEnabled,
+            dragModel: drag.model,
+            dragCoefficient: drag.dragCoefficient,
+            frontalArea: drag.frontalArea,
+            airDensity: drag.airDensity,
+            linearDragCoefficient: drag.linearDragCoefficient,
+            inclineAngle: state.inclineAngle,
+            sledMass,
+            payloadMass: cargoMass,
+            payloadLoaded,
+            fuelEnabled: state.fuelEnabled,
+            fuelCapacity,
+            burnRate,
+            integrator: integratorName
+        };
+    }
+
+    // Apply configuration, then start at rest
+    if (config.appliedForceMagnitude !== undefined) setAppliedForceMagnitude(config.appliedForceMagnitude);
+    if (config.frictionCoefficient !== undefined) setFrictionCoefficient(config.frictionCoefficient);
+    if (config.staticFrictionCoefficient !== undefined) setStaticFrictionCoefficient(config.staticFrictionCoefficient);
+    if (config.integrator !== undefined) setIntegrator(config.integrator);
+    setFrictionEnabled(Boolean(config.frictionEnabled));
+    setAirDragEnabled(Boolean(config.airDragEnabled));
+    if (config.dragModel !== undefined) setDragModel(config.dragModel);
+    if (config.dragCoefficient !== undefined) setDragCoefficient(config.dragCoefficient);
+    if (config.frontalArea !== undefined) setFrontalArea(config.frontalArea);
+    if (config.airDensity !== undefined) setAirDensity(config.airDensity);
+    if (config.linearDragCoefficient !== undefined) setLinearDragCoefficient(config.linearDragCoefficient);
+    setInclineAngle(config.inclineAngle || 0);
+    if (config.sledMass !== undefined) setSledMass(config.sledMass);
+    if (config.payloadMass !== undefined) setPayloadMass(config.payloadMass);
+    setPayloadLoaded(Boolean(config.payloadLoaded));
+    if (config.fuelCapacity !== undefined) setFuelCapacity(config.fuelCapacity);
+    if (config.burnRate !== undefined) setBurnRate(config.burnRate);
+    setFuelEnabled(Boolean(config.fuelEnabled));
+    reset();
+
+    return {
+        state,
+        reset,
+        setInitialState,
+        stopMotion,
+        setThrustDirection,
+        setFrictionEnabled,
+        setAirDragEnabled,
+        setDragModel,
+        setDragCoefficient,
+        setFrontalArea,
+        setAirDensity,
+        setLinearDragCoefficient,
+        getDragSettings,
+        getTerminalVelocity,
+        setInclineAngle,
+        setSledMass,
+        getSledMass,
+        setPayloadMass,
+        getPayloadMass,
+        setPayloadLoaded,
+        isPayloadLoaded,
+        setFuelEnabled,
+        setFuelCapacity,
+        getFuelCapacity,
+        setBurnRate,
+        getBurnRate,
+        refuel,
+        setAppliedForceMagnitude,
+        getAppliedForceMagnitude,
+        setFrictionCoefficient,
+        getFrictionCoefficient,
+        setStaticFrictionCoefficient,
+        getStaticFrictionCoefficient,
+        getMaxStaticFriction,
+        setIntegrator,
+        getIntegrator,
+        update,
+        step,
+        advance,
+        run,
+        getState,
+        getRenderState,
+        getSpeedPercentage,
+        getConfig
+    };
 }
 
 /**
- * Get the current physics state
- * @returns {Object} Current state
+ * Reference problems with closed-form solutions (sled starts from rest)
  */
-function getPhysicsState() {
-    return { ...physicsState };
-}
+const INTEGRATOR_TEST_CASES = {
+    'constant-force': {
+        label: 'Constant force',
+        description: '2000 N thrust, no friction or drag',
+        accelerationAt: () => 2000 / SLED_MASS,
+        exact(t) {
+            const a = 2000 / SLED_MASS;
+            return { position: 0.5 * a * t * t, velocity: a * t };
+        }
+    },
+    'quadratic-drag': {
+        label: 'Quadratic drag',
+        description: '1000 N thrust against F = 0.5·v² air drag',
+        accelerationAt: (v) => (1000 - AIR_DRAG_COEFFICIENT * v * Math.abs(v)) / SLED_MASS,
+        exact(t) {
+            // v = vt·tanh(t/τ), x = vt·τ·ln(cosh(t/τ)) with vt = √(F/k), τ = m/√(F·k)
+            const terminalVelocity = Math.sqrt(1000 / AIR_DRAG_COEFFICIENT);
+            const tau = SLED_MASS / Math.sqrt(1000 * AIR_DRAG_COEFFICIENT);
+            return {
+                position: terminalVelocity * tau * Math.log(Math.cosh(t / tau)),
+                velocity: terminalVelocity * Math.tanh(t / tau)
+            };
+        }
+    }
+};
 
 /**
- * Get the speed as a percentage of max (for speedometer)
- * @returns {number} 0-100
+ * Run every integrator on a reference problem and measure its error
+ * Errors are numerical minus analytic at the end of the run
+ * @param {string} caseName - Key of INTEGRATOR_TEST_CASES
+ * @param {number} dt - Time step in seconds
+ * @param {number} duration - Run length in seconds
+ * @returns {Array<Object>} One row per integrator with position, velocity and kinetic energy errors
  */
+function compareIntegrators(caseName, dt, duration) {
+    const testCase = INTEGRATOR_TEST_CASES[caseName];
+    const steps = Math.round(duration / dt);
+    const exact = testCase.exact(steps * dt);
+    const exactEnergy = 0.5 * SLED_MASS * exact.velocity * exact.velocity;
+
+    return Object.entries(INTEGRATORS).map(([name, integrator]) => {
+        let position = 0;
+        let velocity = 0;
+        for (let i = 0; i < steps; i++) {
+            ({ position, velocity } = integrator.step(position, velocity, dt, testCase.accelerationAt));
+        }
+
+        return {
+            name,
+            label: integrator.label,
+            positionError: position - exact.position,
+            velocityError: velocity - exact.velocity,
+            energyError: 0.5 * SLED_MASS * velocity * velocity - exactEnergy
+        };
+    });
+}
+
+// --- Browser globals: the default simulation driven by the UI ---
+
+const defaultSimulation = createSimulation();
+const physicsState = defaultSimulation.state;
+
+function resetPhysics() {
+    defaultSimulation.reset();
+}
+
+function setInitialState(initial) {
+    defaultSimulation.setInitialState(initial);
+}
+
+function setThrustDirection(direction) {
+    defaultSimulation.setThrustDirection(direction);
+}
+
+function setFrictionEnabled(enabled) {
+    defaultSimulation.setFrictionEnabled(enabled);
+}
+
+function setAirDragEnabled(enabled) {
+    defaultSimulation.setAirDragEnabled(enabled);
+}
+
+function setDragModel(name) {
+    defaultSimulation.setDragModel(name);
+}
+
+function setDragCoefficient(value) {
+    defaultSimulation.setDragCoefficient(value);
+}
+
+function setFrontalArea(m2) {
+    defaultSimulation.setFrontalArea(m2);
+}
+
+function setAirDensity(kgPerM3) {
+    defaultSimulation.setAirDensity(kgPerM3);
+}
+
+function setLinearDragCoefficient(value) {
+    defaultSimulation.setLinearDragCoefficient(value);
+}
+
+function getDragSettings() {
+    return defaultSimulation.getDragSettings();
+}
+
+function getTerminalVelocity() {
+    return defaultSimulation.getTerminalVelocity();
+}
+
+function setInclineAngle(degrees) {
+    defaultSimulation.setInclineAngle(degrees);
+}
+
+function setSledMass(kg) {
+    defaultSimulation.setSledMass(kg);
+}
+
+function getSledMass() {
+    return defaultSimulation.getSledMass();
+}
+
+function setPayloadMass(kg) {
+    defaultSimulation.setPayloadMass(kg);
+}
+
+function getPayloadMass() {
+    return defaultSimulation.getPayloadMass();
+}
+
+function setPayloadLoaded(loaded) {
+    defaultSimulation.setPayloadLoaded(loaded);
+}
+
+function isPayloadLoaded() {
+    return defaultSimulation.isPayloadLoaded();
+}
+
+function setFuelEnabled(enabled) {
+    defaultSimulation.setFuelEnabled(enabled);
+}
+
+function setFuelCapacity(kg) {
+    defaultSimulation.setFuelCapacity(kg);
+}
+
+function getFuelCapacity() {
+    return defaultSimulation.getFuelCapacity();
+}
+
+function setBurnRate(kgPerSecond) {
+    defaultSimulation.setBurnRate(kgPerSecond);
+}
+
+function getBurnRate() {
+    return defaultSimulation.getBurnRate();
+}
+
+function setAppliedForceMagnitude(force) {
+    defaultSimulation.setAppliedForceMagnitude(force);
+}
+
+function getAppliedForceMagnitude() {
+    return defaultSimulation.getAppliedForceMagnitude();
+}
+
+function setFrictionCoefficient(value) {
+    defaultSimulation.setFrictionCoefficient(value);
+}
+
+function getFrictionCoefficient() {
+    return defaultSimulation.getFrictionCoefficient();
+}
+
+function setStaticFrictionCoefficient(value) {
+    defaultSimulation.setStaticFrictionCoefficient(value);
+}
+
+function getStaticFrictionCoefficient() {
+    return defaultSimulation.getStaticFrictionCoefficient();
+}
+
+function setIntegrator(name) {
+    defaultSimulation.setIntegrator(name);
+}
+
+function getIntegrator() {
+    return defaultSimulation.getIntegrator();
+}
+
+function updatePhysics(dt) {
+    defaultSimulation.update(dt);
+}
+
+function stepPhysics() {
+    defaultSimulation.step();
+}
+
+function advancePhysics(elapsed, onStep, timeScale) {
+    return defaultSimulation.advance(elapsed, onStep, timeScale);
+}
+
+function getPhysicsState() {
+    return defaultSimulation.getState();
+}
+
+function getRenderState() {
+    return defaultSimulation.getRenderState();
+}
+
 function getSpeedPercentage() {
-    return (Math.abs(physicsState.velocity) / MAX_VELOCITY) * 100;
+    return defaultSimulation.getSpeedPercentage();
 }
 
 /**
@@ -203,5 +1098,36 @@ function isInRedZone() {
     return getSpeedPercentage() > 80;
 }
 
-// Initialize on load
-resetPhysics();
+// CommonJS export for Node (tests, scripted scenarios); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SLED_MASS,
+        MIN_SLED_MASS,
+        MAX_SLED_MASS,
+        MAX_PAYLOAD_MASS,
+        MAX_FUEL_CAPACITY,
+        MIN_BURN_RATE,
+        MAX_BURN_RATE,
+        MIN_FORCE,
+        MAX_FORCE,
+        MAX_FRICTION_COEFFICIENT,
+        AIR_DRAG_COEFFICIENT,
+        MAX_DRAG_COEFFICIENT,
+        MAX_FRONTAL_AREA,
+        MAX_AIR_DENSITY,
+        MAX_LINEAR_DRAG_COEFFICIENT,
+        DRAG_MODELS,
+        GRAVITY,
+        MAX_VELOCITY,
+        REST_SPEED,
+        MAX_INCLINE_ANGLE,
+        PHYSICS_TIMESTEP,
+        INTEGRATORS,
+        INTEGRATOR_TEST_CASES,
+        createPhysicsState,
+        createSimulation,
+        computeDragMagnitude,
+        computeTerminalVelocity,
+        compareIntegrators
+    };
+}
@@ -0,0 +1,708 @@
+/**
+ * Rocket Sled Quiz
+ * Question banks (multiple choice, numeric, ordering and questions about a live run)
+ * graded in code so the answers stay out of the page
+ */
+
+const QUIZ_BANK_URL = 'src/data/quiz.json?v=20260204v20';
+const QUIZ_BANK_FILE_TYPE = 'quiz-bank';
+const QUIZ_BANK_STORAGE_KEY = 'rocketSled.quizBank';
+const QUIZ_QUESTION_TYPES = ['choice', 'numeric', 'ordering', 'observe'];
+
+// Run quantities an observe question can ask about, and the points of the run it can read
+const QUIZ_RUN_QUANTITIES = ['position', 'distance', 'velocity', 'acceleration',
+    'appliedForce', 'frictionForce', 'airDragForce', 'netForce'];
+const QUIZ_RUN_POINTS = ['end', 'max', 'min', 'plateau'];
+
+// Observe answers: direction choices, the size below which a value counts as zero,
+// and how steady the last PLATEAU_WINDOW seconds must be to count as a plateau
+const QUIZ_DIRECTIONS = ['Left', 'None (zero)', 'Right'];
+const QUIZ_DIRECTION_DEADBAND = 0.5;
+const QUIZ_PLATEAU_WINDOW = 2;
+const QUIZ_PLATEAU_TOLERANCE = 0.01;
+
+/**
+ * Validate one question from a bank
+ * @param {Object} question - See src/data/quiz.json
+ * @returns {Object} A new question
+ * @throws {Error} If the type is unknown or the answer is missing
+ */
+function normalizeQuizQuestion(question) {
+    if (!QUIZ_QUESTION_TYPES.includes(question?.type)) {
+        throw new Error(`Unknown question type "${question?.type}"`);
+    }
+    const prompt = String(question.prompt || '').trim();
+    if (!prompt) {
+        throw new Error('Each question needs a prompt');
+    }
+    const explanation = String(question.explanation || '');
+
+    if (question.type === 'choice') {
+        const options = Array.isArray(question.options) ? question.options : [];
+        if (options.length < 2 || options.filter(o => o?.correct === true).length !== 1) {
+            throw new Error(`"${prompt}" needs at least two options and exactly one correct one`);
+        }
+        return {
+            type: 'choice',
+            prompt,
+            explanation,
+            options: options.map(o => ({
+                text: String(o.text),
+                correct: o.correct === true,
+                explanation: String(o.explanation || '')
+            }))
+        };
+    }
+
+    if (question.type === 'numeric') {
+        const answer = Number(question.answer);
+        if (question.answer === undefined || question.answer === null || !Number.isFinite(answer)) {
+            throw new Error(`"${prompt}" needs a numeric answer`);
+        }
+        return {
+            type: 'numeric',
+            prompt,
+            explanation,
+            answer,
+            tolerance: Math.abs(Number(question.tolerance) || 0),
+            unit: String(question.unit || '')
+        };
+    }
+
+    if (question.type === 'observe') {
+        return normalizeObserveQuestion(question, prompt, explanation);
+    }
+
+    const items = Array.isArray(question.items) ? question.items.map(String) : [];
+    if (items.length < 2 || new Set(items).size !== items.length) {
+        throw new Error(`"${prompt}" needs at least two different items`);
+    }
+    return { type: 'ordering', prompt, explanation, items };
+}
+
+/**
+ * Validate a question answered from the student's own run of a scenario
+ * The answer is measured from the run: a value (ask: 'value') or the sign of one (ask: 'direction').
+ */
+function normalizeObserveQuestion(question, prompt, explanation) {
+    if (typeof question.scenario !== 'string' || !question.scenario) {
+        throw new Error(`"${prompt}" needs a scenario to run`);
+    }
+    const measure = question.measure || {};
+    if (!QUIZ_RUN_QUANTITIES.includes(measure.quantity)) {
+        throw new Error(`"${prompt}" measures an unknown quantity "${measure.quantity}"`);
+    }
+    const at = typeof measure.at === 'number' ? measure.at : String(measure.at || 'end');
+    if (typeof at === 'number' ? !(at >= 0) : !QUIZ_RUN_POINTS.includes(at)) {
+        throw new Error(`"${prompt}" measures at an unknown point "${measure.at}"`);
+    }
+    const ask = question.ask === 'direction' ? 'direction' : 'value';
+
+    return {
+        type: 'observe',
+        prompt,
+        explanation,
+        scenario: question.scenario,
+        runFor: Math.max(0, Number(question.runFor) || 0),
+        measure: { quantity: measure.quantity, at },
+        ask,
+        tolerance: Math.abs(Number(question.tolerance) || 0),
+        unit: String(question.unit || '')
+    };
+}
+
+/**
+ * Read a quantity from a recorded run
+ * @param {Array<Object>} samples - Physics snapshots in time order (one run)
+ * @param {{quantity: string, at: number|string}} measure - at is a time in s, 'end', 'max', 'min'
+ *     or 'plateau' (the steady value the run settled at)
+ * @returns {number}
+ * @throws {Error} If the run does not reach the point, or has not settled for 'plateau'
+ */
+function measureRun(samples, { quantity, at }) {
+    if (samples.length === 0) {
+        throw new Error('Run the sled first');
+    }
+    const values = samples.map(s => s[quantity]);
+    const last = samples[samples.length - 1];
+
+    if (typeof at === 'number') {
+        if (last.time < at - 1e-6) {
+            throw new Error(`Let the run reach t = ${at} s first`);
+        }
+        let nearest = samples[0];
+        for (const sample of samples) {
+            if (Math.abs(sample.time - at) < Math.abs(nearest.time - at)) nearest = sample;
+        }
+        return nearest[quantity];
+    }
+    if (at === 'max') return Math.max(...values);
+    if (at === 'min') return Math.min(...values);
+    if (at === 'end') return last[quantity];
+
+    // Plateau: the final stretch of the run must hold steady
+    const window = samples.filter(s => s.time >= last.time - QUIZ_PLATEAU_WINDOW);
+    const windowValues = window.map(s => s[quantity]);
+    const mean = windowValues.reduce((sum, v) => sum + v, 0) / windowValues.length;
+    const spread = Math.max(...windowValues) - Math.min(...windowValues);
+    if (last.time < QUIZ_PLATEAU_WINDOW || spread > QUIZ_PLATEAU_TOLERANCE * Math.abs(mean) + 0.01) {
+        throw new Error('The run has not leveled off yet: let it run longer');
+    }
+    return mean;
+}
+
+/**
+ * Read a question bank
+ * @param {string|Object} source - JSON text or parsed data
+ * @returns {{title: string, questionsPerQuiz: number, questions: Array<Object>}}
+ * @throws {Error} If the data is not a question bank or a question is invalid
+ */
+function parseQuizBank(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch (err) {
+            throw new Error('Not a question bank (invalid JSON)');
+        }
+    }
+
+    if (!data || data.type !== QUIZ_BANK_FILE_TYPE || !Array.isArray(data.questions) || data.questions.length === 0) {
+        throw new Error('Not a question bank');
+    }
+
+    const questions = data.questions.map(normalizeQuizQuestion);
+    const perQuiz = Math.round(Number(data.questionsPerQuiz)) || questions.length;
+    return {
+        title: String(data.title || 'Quiz'),
+        questionsPerQuiz: Math.max(1, Math.min(questions.length, perQuiz)),
+        questions
+    };
+}
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ * @param {Array} items
+ * @param {Function} [random=Math.random] - Returns a number in [0, 1)
+ * @returns {Array} New shuffled list
+ */
+function shuffleItems(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Start a quiz from a bank: picks questionsPerQuiz questions and shuffles them and their options
+ * Questions are shown without their answers; responses are graded with answer().
+ * @param {Object} bank - From parseQuizBank()
+ * @param {Function} [random=Math.random] - Returns a number in [0, 1)
+ * @returns {Object} Quiz with questions, answer() and score queries
+ */
+function createQuiz(bank, random = Math.random) {
+    const picked = shuffleItems(bank.questions, random).slice(0, bank.questionsPerQuiz);
+    const rounds = picked.map(question => {
+        if (question.type === 'choice') {
+            return { question, options: shuffleItems(question.options, random) };
+        }
+        if (question.type === 'observe' && question.ask === 'direction') {
+            // Left, none, right keep their natural order
+            return { question, options: QUIZ_DIRECTIONS };
+        }
+        if (question.type === 'ordering') {
+            // Never start with the items already in order
+            let items = shuffleItems(question.items, random);
+            if (items.every((item, i) => item === question.items[i])) items = [...items.slice(1), items[0]];
+            return { question, items };
+        }
+        return { question };
+    });
+    const results = rounds.map(() => null);
+
+    return {
+        /**
+         * Questions as shown to the student (no answer key)
+         * @type {Array<{type: string, prompt: string, options?: string[], items?: string[], unit?: string,
+         *     scenario?: string, runFor?: number}>}
+         */
+        questions: rounds.map(({ question, options, items }) => ({
+            type: question.type,
+            prompt: question.prompt,
+            ...(options && { options: options.map(o => o.text ?? o) }),
+            ...(items && { items: [...items] }),
+            ...((question.type === 'numeric' || question.type === 'observe') && { unit: question.unit }),
+            ...(question.type === 'observe' && { scenario: question.scenario, runFor: question.runFor })
+        })),
+
+        /**
+         * Grade a response (only the first answer to each question counts)
+         * @param {number} index - Question index
+         * @param {number|Array<number>} response - Option index (choice, observed direction), value
+         *     (numeric, observed value), or the shown items' indices in the chosen order (ordering)
+         * @param {Array<Object>} [run=[]] - The student's run, for observe questions
+         * @returns {{correct: boolean, explanation: string, answer: string|number|string[]}} answer is the
+         *     correct option text, value or order
+         * @throws {Error} If an observe question's run is too short to answer (nothing is recorded)
+         */
+        answer(index, response, run = []) {
+            const { question, options, items } = rounds[index];
+            let correct;
+            let explanation = question.explanation;
+            let answer;
+
+            if (question.type === 'choice') {
+                const chosen = options[response];
+                correct = Boolean(chosen?.correct);
+                explanation = chosen?.explanation || explanation;
+                answer = options.find(o => o.correct).text;
+            } else if (question.type === 'observe') {
+                const last = run[run.length - 1];
+                if (!last || last.time < question.runFor - 1e-6) {
+                    throw new Error(`Run the sled for at least ${question.runFor} s first`);
+                }
+                const measured = measureRun(run, question.measure);
+                if (question.ask === 'direction') {
+                    const sign = Math.abs(measured) < QUIZ_DIRECTION_DEADBAND ? 0 : Math.sign(measured);
+                    answer = options[sign + 1];
+                    correct = options[response] === answer;
+                } else {
+                    const value = Number(response);
+                    correct = Number.isFinite(value) && Math.abs(value - measured) <= question.tolerance + 1e-9;
+                    answer = Math.round(measured * 100) / 100;
+                }
+            } else if (question.type === 'numeric') {
+                const value = Number(response);
+                // Small allowance so a tolerance of 0.05 accepts 2.05 despite rounding
+                correct = Number.isFinite(value) && Math.abs(value - question.answer) <= question.tolerance + 1e-9;
+                answer = question.answer;
+            } else {
+                const order = Array.isArray(response) ? response.map(i => items[i]) : [];
+                correct = order.length === question.items.length && order.every((item, i) => item === question.items[i]);
+                answer = [...question.items];
+            }
+
+            if (results[index] === null) results[index] = correct;
+            return { correct, explanation, answer };
+        },
+
+        /**
+         * @returns {{correct: number, answered: number, total: number}}
+         */
+        getScore() {
+            return {
+                correct: results.filter(r => r === true).length,
+                answered: results.filter(r => r !== null).length,
+                total: rounds.length
+            };
+        },
+
+        isPerfect() {
+            return rounds.length > 0 && results.every(r => r === true);
+        }
+    };
+}
+
+// --- Quiz Modal (browser only) ---
+
+let quizBank = null;
+let quizRunRecorder = null; // Log of the run an observe question waits for (created in initQuiz)
+let activeQuiz = null;
+let quizIndex = 0;
+let quizContainer, quizTitleEl, quizDefaultBtn, quizReturnBtn;
+
+/**
+ * Initialize the quiz modal and load the question bank (a teacher's saved bank first)
+ */
+async function initQuiz() {
+    quizContainer = document.getElementById('quizContainer');
+    quizTitleEl = document.getElementById('quizTitle');
+    quizDefaultBtn = document.getElementById('quizDefaultBtn');
+    quizReturnBtn = document.getElementById('quizReturnBtn');
+    // 20 Hz is plenty to read values from a run
+    quizRunRecorder = createRunRecorder({ sampleInterval: 1 / 20 });
+
+    quizContainer?.addEventListener('click', handleQuizClick);
+    quizReturnBtn?.addEventListener('click', openQuiz);
+    quizContainer?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.classList.contains('quiz-number')) {
+            submitQuizAnswer(e.target.value);
+        }
+    });
+
+    const fileInput = document.getElementById('quizFileInput');
+    document.getElementById('quizLoadBtn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const text = await file.text();
+            setQuizBank(parseQuizBank(text), true);
+            storeQuizBank(text);
+            startQuiz();
+        } catch (err) {
+            alert(`Could not load ${file.name}: ${err.message}`);
+        }
+    });
+
+    quizDefaultBtn?.addEventListener('click', async () => {
+        storeQuizBank(null);
+        await loadDefaultQuizBank();
+        startQuiz();
+    });
+
+    const stored = loadStoredQuizBank();
+    if (stored) {
+        setQuizBank(stored, true);
+    } else {
+        await loadDefaultQuizBank();
+    }
+}
+
+/**
+ * Fetch the built-in question bank
+ */
+async function loadDefaultQuizBank() {
+    try {
+        const response = await fetch(QUIZ_BANK_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setQuizBank(parseQuizBank(await response.json()), false);
+    } catch (err) {
+        // Same file:// restriction as the scenario library
+        console.warn('Question bank unavailable:', err.message);
+        setQuizBank(null, false);
+    }
+}
+
+/**
+ * @param {Object|null} bank - From parseQuizBank() (null if none could be loaded)
+ * @param {boolean} custom - Loaded by a teacher (offers the way back to the built-in bank)
+ */
+function setQuizBank(bank, custom) {
+    quizBank = bank;
+    if (quizTitleEl) quizTitleEl.textContent = `🧠 ${bank ? bank.title : 'Physics Knowledge Check'}`;
+    quizDefaultBtn?.classList.toggle('hidden', !custom);
+}
+
+/**
+ * Open the quiz modal: back to the current question after a run, otherwise a new shuffled quiz
+ */
+function openQuiz() {
+    if (isQuizRunWaiting()) {
+        renderQuizQuestion();
+    } else {
+        startQuiz();
+    }
+    openModal(document.getElementById('quizModal'));
+}
+
+/**
+ * Start a new shuffled quiz from the current bank
+ */
+function startQuiz() {
+    stopQuizRun();
+    activeQuiz = quizBank ? createQuiz(quizBank) : null;
+    quizIndex = 0;
+    renderQuizQuestion();
+}
+
+/**
+ * Show the current question
+ */
+function renderQuizQuestion() {
+    if (!quizContainer) return;
+    quizContainer.innerHTML = '';
+
+    if (!activeQuiz) {
+        const note = document.createElement('p');
+        note.className = 'quiz-empty';
+        note.textContent = 'The question bank needs the page to be served (see README: Quick Start), or load your own questions.';
+        quizContainer.appendChild(note);
+        return;
+    }
+
+    const question = activeQuiz.questions[quizIndex];
+    const card = document.createElement('div');
+    card.className = 'quiz-question active';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Question ${quizIndex + 1}/${activeQuiz.questions.length}`;
+    const prompt = document.createElement('p');
+    prompt.textContent = question.prompt;
+    card.append(heading, prompt);
+
+    if (question.type === 'observe') {
+        card.appendChild(renderQuizRunSetup(question));
+    }
+
+    const answerArea = document.createElement('div');
+    answerArea.className = 'quiz-options';
+    if (question.options) {
+        question.options.forEach((text, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'quiz-opt';
+            btn.dataset.option = i;
+            btn.textContent = text;
+            answerArea.appendChild(btn);
+        });
+    } else if (question.type === 'numeric' || question.type === 'observe') {
+        answerArea.classList.add('quiz-numeric');
+        answerArea.innerHTML = `
+            <input type="number" step="any" class="quiz-number" aria-label="Your answer">
+            <span class="quiz-unit"></span>
+            <button class="quiz-check">Check</button>`;
+        answerArea.querySelector('.quiz-unit').textContent = question.unit;
+    } else {
+        const list = document.createElement('ol');
+        list.className = 'quiz-order';
+        question.items.forEach((text, i) => {
+            const item = document.createElement('li');
+            item.dataset.item = i;
+            item.innerHTML = `
+                <span class="quiz-order-text"></span>
+                <button class="quiz-move" data-move="-1" title="Move up">▲</button>
+                <button class="quiz-move" data-move="1" title="Move down">▼</button>`;
+            item.querySelector('.quiz-order-text').textContent = text;
+            list.appendChild(item);
+        });
+        const check = document.createElement('button');
+        check.className = 'quiz-check';
+        check.textContent = 'Check Order';
+        answerArea.append(list, check);
+    }
+
+    const feedback = document.createElement('div');
+    feedback.className = 'feedback';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'next-btn hidden';
+    nextBtn.textContent = quizIndex < activeQuiz.questions.length - 1 ? 'Next ➡️' : 'Finish 🎉';
+
+    card.append(answerArea, feedback, nextBtn);
+    quizContainer.appendChild(card);
+}
+
+/**
+ * The scenario to run for an observe question, and how much of the run has been recorded
+ * @param {Object} question - Shown question from createQuiz()
+ * @returns {HTMLElement}
+ */
+function renderQuizRunSetup(question) {
+    const setup = document.createElement('div');
+    setup.className = 'quiz-run';
+
+    const run = getQuizRun();
+    const recorded = run.length > 0 ? run[run.length - 1].time : 0;
+    const title = SCENARIO_PRESETS[question.scenario]?.title || question.scenario;
+    const status = document.createElement('span');
+    status.textContent = isQuizRunWaiting()
+        ? `🧪 ${title}: ${recorded.toFixed(1)} s of ${question.runFor} s recorded`
+        : `🧪 ${title}: run the sled for at least ${question.runFor} s`;
+
+    const runBtn = document.createElement('button');
+    runBtn.className = 'quiz-run-btn';
+    runBtn.textContent = isQuizRunWaiting() ? '🔄 Run Again' : '▶️ Set Up & Run';
+    setup.append(status, runBtn);
+    return setup;
+}
+
+/**
+ * Load an observe question's scenario and record the run while the quiz waits
+ * @param {Object} question - Shown question from createQuiz()
+ */
+function startQuizRun(question) {
+    loadScenario(question.scenario);
+    clearActiveUserPreset();
+    quizRunRecorder.clear();
+    quizRunRecorder.start();
+    recordQuizSample(getPhysicsState());
+    quizReturnBtn?.classList.remove('hidden');
+    updateQuizReturnButton(0);
+    closeModal(document.getElementById('quizModal'));
+}
+
+/**
+ * Stop recording for an observe question and hide the way back
+ */
+function stopQuizRun() {
+    quizRunRecorder?.stop();
+    quizRunRecorder?.clear();
+    quizReturnBtn?.classList.add('hidden');
+}
+
+/**
+ * Capture a physics step for an observe question (only while one is waiting for its run)
+ * @param {Object} state - Physics state snapshot
+ */
+function recordQuizSample(state) {
+    quizRunRecorder?.capture(state);
+}
+
+function isQuizRunWaiting() {
+    return Boolean(quizRunRecorder?.isRecording());
+}
+
+/**
+ * The latest run (a reset starts a new one)
+ * @returns {Array<Object>}
+ */
+function getQuizRun() {
+    const samples = quizRunRecorder ? quizRunRecorder.getSamples() : [];
+    const run = samples.length > 0 ? samples[samples.length - 1].run : 0;
+    return samples.filter(s => s.run === run);
+}
+
+/**
+ * Show the run progress on the Back to Quiz button (called every frame)
+ * @param {number} now - Current simulation time in s
+ */
+function updateQuizReturnButton(now) {
+    if (!quizReturnBtn || !isQuizRunWaiting()) return;
+
+    const runFor = activeQuiz?.questions[quizIndex]?.runFor || 0;
+    quizReturnBtn.textContent = now < runFor
+        ? `🧠 Back to Quiz (${now.toFixed(0)}/${runFor} s)`
+        : '🧠 Back to Quiz ✓';
+    quizReturnBtn.classList.toggle('ready', now >= runFor);
+}
+
+/**
+ * Option, reorder, check, run and next buttons in the quiz modal
+ */
+function handleQuizClick(e) {
+    const card = quizContainer.querySelector('.quiz-question');
+    const option = e.target.closest('.quiz-opt');
+    const move = e.target.closest('.quiz-move');
+
+    if (e.target.closest('.quiz-run-btn') && !card.classList.contains('answered')) {
+        startQuizRun(activeQuiz.questions[quizIndex]);
+    } else if (option && !card.classList.contains('answered')) {
+        submitQuizAnswer(Number(option.dataset.option), option);
+    } else if (move && !card.classList.contains('answered')) {
+        const item = move.closest('li');
+        const sibling = move.dataset.move === '-1' ? item.previousElementSibling : item.nextElementSibling;
+        if (sibling) {
+            item.parentElement.insertBefore(item, move.dataset.move === '-1' ? sibling : sibling.nextElementSibling);
+        }
+    } else if (e.target.closest('.quiz-check') && !card.classList.contains('answered')) {
+        const input = card.querySelector('.quiz-number');
+        submitQuizAnswer(input
+            ? input.value
+            : [...card.querySelectorAll('.quiz-order li')].map(li => Number(li.dataset.item)));
+    } else if (e.target.closest('.next-btn')) {
+        if (quizIndex < activeQuiz.questions.length - 1) {
+            quizIndex++;
+            renderQuizQuestion();
+        } else {
+            finishQuiz();
+        }
+    }
+}
+
+/**
+ * Grade the current question and show the explanation
+ * @param {number|string|Array<number>} response - See createQuiz().answer()
+ * @param {HTMLElement} [optionBtn] - Chosen option (multiple choice)
+ */
+function submitQuizAnswer(response, optionBtn) {
+    const card = quizContainer.querySelector('.quiz-question');
+    const question = activeQuiz.questions[quizIndex];
+    const feedback = card.querySelector('.feedback');
+    if (!question.options && !question.items && String(response).trim() === '') return;
+
+    let result;
+    try {
+        result = activeQuiz.answer(quizIndex, response, getQuizRun());
+    } catch (err) {
+        // The run cannot answer the question yet; nothing is graded
+        feedback.innerHTML = '';
+        const hint = document.createElement('div');
+        hint.className = 'feedback-incorrect';
+        hint.textContent = `⏳ ${err.message}`;
+        feedback.appendChild(hint);
+        return;
+    }
+    feedback.innerHTML = '';
+    card.classList.add('answered');
+    card.querySelectorAll('input, .quiz-check, .quiz-move, .quiz-run-btn').forEach(el => { el.disabled = true; });
+    if (question.type === 'observe') stopQuizRun();
+
+    if (question.options) {
+        optionBtn.classList.add(result.correct ? 'correct' : 'incorrect');
+        card.querySelectorAll('.quiz-opt').forEach(opt => {
+            if (opt.textContent === result.answer) opt.classList.add('correct');
+        });
+    }
+
+    const verdict = document.createElement('div');
+    verdict.className = result.correct ? 'feedback-correct' : 'feedback-incorrect';
+    if (result.correct) {
+        verdict.textContent = '✅ Correct!';
+    } else if (question.type === 'numeric') {
+        verdict.textContent = `❌ Not quite. The answer is ${result.answer} ${question.unit}`.trim();
+    } else if (question.type === 'observe' && !question.options) {
+        verdict.textContent = `❌ Not quite. Your run gave ${result.answer} ${question.unit}`.trim();
+    } else if (question.type === 'ordering') {
+        verdict.textContent = `❌ Not quite. The order is: ${result.answer.map((item, i) => `${i + 1}. ${item}`).join('  ')}`;
+    } else {
+        verdict.textContent = '❌ Not quite.';
+    }
+    feedback.appendChild(verdict);
+
+    if (result.explanation) {
+        const explanation = document.createElement('p');
+        explanation.className = 'feedback-explanation';
+        explanation.textContent = result.explanation;
+        feedback.appendChild(explanation);
+    }
+
+    // Always show the next button regardless of right/wrong (educational flow)
+    card.querySelector('.next-btn').classList.remove('hidden');
+}
+
+/**
+ * Close the quiz; a perfect score unlocks pug mode
+ */
+function finishQuiz() {
+    stopQuizRun();
+    if (activeQuiz.isPerfect()) {
+        unlockPugMode();
+    }
+    closeModal(document.getElementById('quizModal'));
+}
+
+/**
+ * A teacher's loaded bank from localStorage (unreadable storage gives none)
+ * @returns {Object|null}
+ */
+function loadStoredQuizBank() {
+    try {
+        const text = localStorage.getItem(QUIZ_BANK_STORAGE_KEY);
+        return text ? parseQuizBank(text) : null;
+    } catch (err) {
+        console.warn('Saved question bank unavailable:', err.message);
+        return null;
+    }
+}
+
+/**
+ * @param {string|null} text - Bank JSON to keep, or null to return to the built-in bank
+ */
+function storeQuizBank(text) {
+    try {
+        if (text) {
+            localStorage.setItem(QUIZ_BANK_STORAGE_KEY, text);
+        } else {
+            localStorage.removeItem(QUIZ_BANK_STORAGE_KEY);
+        }
+    } catch (err) {
+        console.warn('Could not save the question bank:', err.message);
+    }
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QUIZ_QUESTION_TYPES, normalizeQuizQuestion, measureRun, parseQuizBank, shuffleItems, createQuiz };
+}
@@ -0,0 +1,292 @@
+/**
+ * Rocket Sled Race Mode
+ * Several sleds with different settings race in lanes over a fixed distance
+ */
+
+// Lane colors, top to bottom
+const RACE_LANE_COLORS = ['#FF9800', '#00BCD4', '#E91E63', '#8BC34A'];
+
+/**
+ * Create a race between simulations, one per lane
+ * Every sled fires its lane's thrust to the right for the whole race.
+ * @param {Object} race - Normalized race ({distance, timeLimit, lanes}) from a scenario
+ * @param {Array<Object>} simulations - One createSimulation() instance per lane, already configured
+ * @returns {Object} Race with step/advance, finish times and results
+ */
+function createRace(race, simulations) {
+    if (simulations.length !== race.lanes.length) {
+        throw new Error('A race needs one simulation per lane');
+    }
+
+    const lanes = race.lanes.map((lane, index) => {
+        const simulation = simulations[index];
+        simulation.setThrustDirection(Math.sign(lane.force));
+        simulation.setAppliedForceMagnitude(Math.abs(lane.force));
+        return {
+            ...lane,
+            index,
+            color: RACE_LANE_COLORS[index % RACE_LANE_COLORS.length],
+            simulation,
+            finishTime: null,
+            topSpeed: 0,
+            lastPosition: simulation.state.position,
+            lastTime: simulation.state.time
+        };
+    });
+
+    /**
+     * Check a lane after one of its physics steps
+     */
+    function checkFinish(lane) {
+        const { time, position, velocity } = lane.simulation.state;
+        if (lane.finishTime === null) {
+            lane.topSpeed = Math.max(lane.topSpeed, Math.abs(velocity));
+            if (position >= race.distance) {
+                // Crossing time between the last two steps, so close finishes are ranked fairly
+                const fraction = (race.distance - lane.lastPosition) / (position - lane.lastPosition);
+                lane.finishTime = lane.lastTime + (time - lane.lastTime) * fraction;
+            }
+        }
+        lane.lastPosition = position;
+        lane.lastTime = time;
+    }
+
+    function getTime() {
+        return lanes[0].simulation.state.time;
+    }
+
+    function isFinished() {
+        return lanes.every(lane => lane.finishTime !== null) || getTime() >= race.timeLimit;
+    }
+
+    return {
+        distance: race.distance,
+        timeLimit: race.timeLimit,
+        getTime,
+        isFinished,
+
+        /**
+         * Advance every lane by one fixed physics step
+         */
+        step() {
+            if (isFinished()) return;
+            lanes.forEach(lane => {
+                lane.simulation.step();
+                checkFinish(lane);
+            });
+        },
+
+        /**
+         * Advance by elapsed wall-clock time (the lanes take the same fixed steps)
+         * @param {number} elapsed - Seconds since the last call
+         * @param {number} [timeScale=1] - Simulated seconds per wall-clock second
+         */
+        advance(elapsed, timeScale = 1) {
+            if (isFinished()) return;
+            lanes.forEach(lane => lane.simulation.advance(elapsed, () => checkFinish(lane), timeScale));
+        },
+
+        /**
+         * Lanes for drawing and readouts
+         * @returns {Array<Object>} name, color, index, finishTime and the interpolated state of each lane
+         */
+        getLanes() {
+            return lanes.map(lane => ({
+                name: lane.name,
+                color: lane.color,
+                index: lane.index,
+                finishTime: lane.finishTime,
+                state: lane.simulation.getRenderState()
+            }));
+        },
+
+        /**
+         * Finishing order: finishers by time, then the rest by how far they got
+         * Sleds with the same time share a place.
+         * @returns {Array<Object>} place, name, color, index, time (null if it did not finish), distance, topSpeed
+         */
+        getResults() {
+            const finishers = lanes.filter(lane => lane.finishTime !== null)
+                .sort((a, b) => a.finishTime - b.finishTime);
+            const others = lanes.filter(lane => lane.finishTime === null)
+                .sort((a, b) => b.simulation.state.position - a.simulation.state.position);
+
+            let place = 0;
+            return [...finishers, ...others].map((lane, i, ordered) => {
+                const previous = ordered[i - 1];
+                const tied = previous && lane.finishTime !== null && previous.finishTime !== null &&
+                    Math.abs(lane.finishTime - previous.finishTime) < 1e-9;
+                if (!tied) place = i + 1;
+                return {
+                    place,
+                    name: lane.name,
+                    color: lane.color,
+                    index: lane.index,
+                    time: lane.finishTime,
+                    distance: Math.min(lane.simulation.state.position, race.distance),
+                    topSpeed: lane.topSpeed
+                };
+            });
+        }
+    };
+}
+
+// --- Race Panel (browser only) ---
+
+const raceMode = {
+    scenario: null,     // Race scenario being run (null when not racing)
+    race: null,         // From createRace()
+    phase: 'ready',     // 'ready' (predict), 'running' or 'finished'
+    prediction: null    // Lane index the student picked to win
+};
+let racePanel, raceTitleEl, raceInstructionsEl, raceLaneList, raceStartBtn, raceResultsEl;
+
+// Buttons for modes that watch the live sled, which sits out the race
+const RACE_DISABLED_BUTTON_IDS = ['fbdBtn', 'replayBtn', 'ghostBtn', 'stepBtn'];
+
+/**
+ * Initialize the race panel
+ */
+function initRacePanel() {
+    racePanel = document.getElementById('racePanel');
+    raceTitleEl = document.getElementById('raceTitle');
+    raceInstructionsEl = document.getElementById('raceInstructions');
+    raceLaneList = document.getElementById('raceLanes');
+    raceStartBtn = document.getElementById('raceStartBtn');
+    raceResultsEl = document.getElementById('raceResults');
+
+    // Pick the predicted winner before the start
+    raceLaneList?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.race-lane-btn');
+        if (!btn || raceMode.phase !== 'ready') return;
+        raceMode.prediction = Number(btn.dataset.lane);
+        renderRacePanel();
+    });
+    raceStartBtn?.addEventListener('click', startRace);
+    document.getElementById('raceExitBtn')?.addEventListener('click', handleReset);
+}
+
+/**
+ * Enter race mode with a race scenario, or leave it
+ * @param {Object|null} scenario - Normalized scenario with a race, or null
+ */
+function setRaceScenario(scenario) {
+    raceMode.scenario = scenario?.race ? scenario : null;
+    raceMode.prediction = null;
+    resetRace();
+
+    const active = raceMode.scenario !== null;
+    if (active && ghostComparison.active) setGhostActive(false);
+    racePanel?.classList.toggle('hidden', !active);
+    document.querySelector('.hud-layer')?.classList.toggle('race-mode', active);
+    RACE_DISABLED_BUTTON_IDS.forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = active;
+    });
+    renderRacePanel();
+}
+
+function isRaceActive() {
+    return raceMode.scenario !== null;
+}
+
+/**
+ * Put every sled back on the start line
+ */
+function resetRace() {
+    raceMode.phase = 'ready';
+    raceMode.race = raceMode.scenario
+        ? createRace(raceMode.scenario.race, raceMode.scenario.race.lanes.map(lane => createSimulation(lane.settings)))
+        : null;
+}
+
+/**
+ * Start the race (or run it again once it has finished)
+ */
+function startRace() {
+    if (!raceMode.race) return;
+    if (raceMode.phase === 'finished') {
+        resetRace();
+        raceMode.prediction = null;
+    } else {
+        raceMode.phase = 'running';
+    }
+    renderRacePanel();
+}
+
+/**
+ * Advance a running race by wall-clock time (called from the animation loop)
+ * @param {number} elapsed - Seconds since the last frame
+ * @param {number} timeScale - Simulated seconds per wall-clock second
+ */
+function advanceRace(elapsed, timeScale) {
+    if (raceMode.phase !== 'running') return;
+
+    raceMode.race.advance(elapsed, timeScale);
+    if (raceMode.race.isFinished()) {
+        raceMode.phase = 'finished';
+        renderRacePanel();
+    }
+}
+
+/**
+ * What the canvas needs to draw the race
+ * @returns {{distance: number, time: number, lanes: Array<Object>}|null}
+ */
+function getRaceView() {
+    if (!raceMode.race) return null;
+    return { distance: raceMode.race.distance, time: raceMode.race.getTime(), lanes: raceMode.race.getLanes() };
+}
+
+/**
+ * Show the prediction buttons, the start button and, after the finish, the results table
+ */
+function renderRacePanel() {
+    if (!racePanel || !raceMode.scenario) return;
+
+    const { scenario, race, phase, prediction } = raceMode;
+    raceTitleEl.textContent = `${scenario.icon} ${scenario.title}: ${race.distance} m`.trim();
+    raceInstructionsEl.textContent = scenario.instructions;
+
+    raceLaneList.innerHTML = race.getLanes().map(lane => `
+        <button class="race-lane-btn ${prediction === lane.index ? 'picked' : ''}" data-lane="${lane.index}"
+            style="border-left-color: ${lane.color}" ${phase === 'ready' ? '' : 'disabled'}>${lane.name}</button>`).join('');
+
+    raceStartBtn.textContent = { ready: '🏁 Start Race', running: '🏎️ Racing…', finished: '🔄 Race Again' }[phase];
+    raceStartBtn.disabled = phase === 'running';
+
+    if (phase !== 'finished') {
+        raceResultsEl.innerHTML = phase === 'ready'
+            ? '<p class="race-hint">Pick the sled you think will win, then start the race.</p>'
+            : '';
+        return;
+    }
+
+    const results = race.getResults();
+    const rows = results.map(result => `
+        <tr class="${result.index === prediction ? 'picked' : ''}">
+            <td>${result.place}</td>
+            <td><span class="race-swatch" style="background: ${result.color}"></span>${result.name}</td>
+            <td>${result.time === null ? `DNF (${result.distance.toFixed(1)} m)` : `${result.time.toFixed(2)} s`}</td>
+            <td>${result.topSpeed.toFixed(1)} m/s</td>
+        </tr>`).join('');
+
+    let verdict = '';
+    if (prediction !== null) {
+        const won = results.some(result => result.place === 1 && result.index === prediction);
+        verdict = `<p class="race-verdict ${won ? 'correct' : 'incorrect'}">${won
+            ? '✅ Your prediction won!'
+            : `❌ You picked ${race.getLanes()[prediction].name}. Use F_net = ma to see why it lost.`}</p>`;
+    }
+    raceResultsEl.innerHTML = `
+        ${verdict}
+        <table class="race-results">
+            <thead><tr><th>#</th><th>Sled</th><th>Time</th><th>Top speed</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RACE_LANE_COLORS, createRace };
+}
@@ -0,0 +1,272 @@
+/**
+ * Rocket Sled Run Recorder
+ * Logs physics steps and exports them as CSV or JSON for spreadsheet analysis
+ */
+
+// Columns written for every sample (key in the snapshot → CSV header)
+const RECORDER_FIELDS = [
+    { key: 'run', header: 'run' },
+    { key: 'time', header: 'time_s' },
+    { key: 'position', header: 'position_m' },
+    { key: 'distance', header: 'distance_m' },
+    { key: 'velocity', header: 'velocity_m_per_s' },
+    { key: 'acceleration', header: 'acceleration_m_per_s2' },
+    { key: 'mass', header: 'mass_kg' },
+    { key: 'payloadMass', header: 'payload_mass_kg' },
+    { key: 'fuelMass', header: 'fuel_mass_kg' },
+    { key: 'appliedForce', header: 'applied_force_N' },
+    { key: 'frictionForce', header: 'friction_force_N' },
+    { key: 'airDragForce', header: 'air_drag_force_N' },
+    { key: 'normalForce', header: 'normal_force_N' },
+    { key: 'gravityForce', header: 'gravity_force_N' },
+    { key: 'gravityParallelForce', header: 'gravity_parallel_force_N' },
+    { key: 'netForce', header: 'net_force_N' },
+    { key: 'thrustDirection', header: 'thrust_direction' },
+    { key: 'frictionEnabled', header: 'friction_enabled' },
+    { key: 'airDragEnabled', header: 'air_drag_enabled' },
+    { key: 'inclineAngle', header: 'incline_angle_deg' },
+    { key: 'frictionRegime', header: 'friction_regime' },
+    { key: 'staticFrictionCoefficient', header: 'static_friction_coefficient' },
+    { key: 'frictionCoefficient', header: 'kinetic_friction_coefficient' },
+    { key: 'dragModel', header: 'drag_model' },
+    { key: 'dragCoefficient', header: 'drag_coefficient' },
+    { key: 'frontalArea', header: 'frontal_area_m2' },
+    { key: 'airDensity', header: 'air_density_kg_per_m3' },
+    { key: 'linearDragCoefficient', header: 'linear_drag_coefficient_N_s_per_m' }
+];
+
+// Sample rate options (interval in seconds, 0 = every physics step)
+const RECORDER_SAMPLE_RATES = [
+    { label: 'Every step', interval: 0 },
+    { label: '60 Hz', interval: 1 / 60 },
+    { label: '20 Hz', interval: 1 / 20 },
+    { label: '10 Hz', interval: 1 / 10 },
+    { label: '1 Hz', interval: 1 }
+];
+
+// Longest log kept (about 14 minutes of every-step samples); recording stops when it is full
+const RECORDER_MAX_SAMPLES = 100000;
+
+/**
+ * Create an independent run recorder
+ * @param {Object} [options]
+ * @param {number} [options.sampleInterval=0] - Minimum seconds between samples
+ * @param {number} [options.maxSamples=RECORDER_MAX_SAMPLES] - Samples kept before recording stops
+ * @returns {Object} Recorder with start/stop/capture and export helpers
+ */
+function createRunRecorder(options = {}) {
+    let sampleInterval = options.sampleInterval || 0;
+    const maxSamples = options.maxSamples || RECORDER_MAX_SAMPLES;
+    let recording = false;
+    let samples = [];
+    let run = 1;
+    let lastTime = null;
+    let lastSampleTime = -Infinity;
+
+    return {
+        start() {
+            recording = samples.length < maxSamples;
+        },
+
+        stop() {
+            recording = false;
+        },
+
+        isRecording() {
+            return recording;
+        },
+
+        isFull() {
+            return samples.length >= maxSamples;
+        },
+
+        clear() {
+            samples = [];
+            run = 1;
+            lastTime = null;
+            lastSampleTime = -Infinity;
+        },
+
+        setSampleInterval(interval) {
+            sampleInterval = Math.max(0, interval);
+        },
+
+        getSampleInterval() {
+            return sampleInterval;
+        },
+
+        /**
+         * Store a physics snapshot if recording and the sample interval has elapsed
+         * A clock that runs backwards (reset or new scenario) starts a new run number.
+         * Recording stops once the log holds maxSamples samples.
+         * @param {Object} state - Physics state snapshot
+         * @returns {boolean} True if the sample was stored
+         */
+        capture(state) {
+            if (!recording) return false;
+
+            if (lastTime !== null && state.time < lastTime) {
+                run++;
+                lastSampleTime = -Infinity;
+            }
+            lastTime = state.time;
+
+            // Small tolerance so 1/60 s steps are not skipped by rounding
+            if (state.time - lastSampleTime < sampleInterval - 1e-9) return false;
+            lastSampleTime = state.time;
+
+            const sample = { run };
+            for (const field of RECORDER_FIELDS) {
+                if (field.key !== 'run') {
+                    sample[field.key] = state[field.key];
+                }
+            }
+            samples.push(sample);
+            if (samples.length >= maxSamples) recording = false;
+            return true;
+        },
+
+        getSamples() {
+            return samples.slice();
+        },
+
+        getSampleCount() {
+            return samples.length;
+        },
+
+        /**
+         * Serialize the log as CSV (booleans as 1/0 for spreadsheets)
+         * @returns {string}
+         */
+        toCSV() {
+            const lines = [RECORDER_FIELDS.map(f => f.header).join(',')];
+            for (const sample of samples) {
+                lines.push(RECORDER_FIELDS.map(f => formatRecorderValue(sample[f.key])).join(','));
+            }
+            return lines.join('\n') + '\n';
+        },
+
+        /**
+         * Serialize the log as JSON with column metadata
+         * @returns {string}
+         */
+        toJSON() {
+            return JSON.stringify({
+                source: 'Rocket Sled Simulation',
+                exportedAt: new Date().toISOString(),
+                sampleInterval,
+                columns: RECORDER_FIELDS.map(f => ({ key: f.key, header: f.header })),
+                samples
+            }, null, 2);
+        }
+    };
+}
+
+function formatRecorderValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return Number(value.toFixed(6));
+    return value ?? '';
+}
+
+// --- Recorder Panel (browser only) ---
+
+const runRecorder = createRunRecorder();
+let recordBtn, recordSampleRateSelect, recordCountDisplay;
+
+/**
+ * Initialize recorder panel references and controls
+ */
+function initRecorder() {
+    recordBtn = document.getElementById('recordBtn');
+    recordSampleRateSelect = document.getElementById('recordSampleRate');
+    recordCountDisplay = document.getElementById('recordCount');
+
+    if (recordSampleRateSelect) {
+        RECORDER_SAMPLE_RATES.forEach((rate, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = rate.label;
+            recordSampleRateSelect.appendChild(option);
+        });
+        recordSampleRateSelect.value = 2; // 20 Hz
+        runRecorder.setSampleInterval(RECORDER_SAMPLE_RATES[2].interval);
+
+        recordSampleRateSelect.addEventListener('change', (e) => {
+            const rate = RECORDER_SAMPLE_RATES[parseInt(e.target.value, 10)];
+            runRecorder.setSampleInterval(rate.interval);
+        });
+    }
+
+    recordBtn?.addEventListener('click', () => {
+        if (runRecorder.isRecording()) {
+            runRecorder.stop();
+        } else {
+            runRecorder.start();
+        }
+        updateRecorderPanel();
+    });
+
+    document.getElementById('recordClearBtn')?.addEventListener('click', () => {
+        runRecorder.clear();
+        updateRecorderPanel();
+    });
+
+    document.getElementById('exportCsvBtn')?.addEventListener('click', () => {
+        downloadTextFile('rocket-sled-run.csv', runRecorder.toCSV(), 'text/csv');
+    });
+
+    document.getElementById('exportJsonBtn')?.addEventListener('click', () => {
+        downloadTextFile('rocket-sled-run.json', runRecorder.toJSON(), 'application/json');
+    });
+
+    updateRecorderPanel();
+}
+
+/**
+ * Capture a physics step into the run log
+ * @param {Object} state - Physics state snapshot
+ */
+function recordRunSample(state) {
+    if (runRecorder.capture(state)) {
+        updateRecorderPanel();
+    }
+}
+
+/**
+ * Refresh the record button and sample counter
+ */
+function updateRecorderPanel() {
+    const recording = runRecorder.isRecording();
+
+    if (recordBtn) {
+        recordBtn.textContent = recording ? '⏹️ Stop Recording' : '⏺️ Start Recording';
+        recordBtn.classList.toggle('recording', recording);
+    }
+    if (recordCountDisplay) {
+        const full = runRecorder.isFull() ? ' (full, clear to record more)' : '';
+        recordCountDisplay.textContent = `${runRecorder.getSampleCount()} samples${full}`;
+    }
+}
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RECORDER_FIELDS, RECORDER_SAMPLE_RATES, RECORDER_MAX_SAMPLES, createRunRecorder };
+}
@@ -0,0 +1,280 @@
+/**
+ * Rocket Sled Replay
+ * Keeps a history of the current run so it can be scrubbed, replayed in slow motion and stepped frame by frame
+ */
+
+const REPLAY_FRAME_INTERVAL = 1 / 60; // s between stored snapshots (one per drawn frame)
+const REPLAY_MAX_DURATION = 180; // s of history kept; older snapshots are dropped
+const REPLAY_SPEEDS = [0.1, 0.25, 0.5, 1];
+
+// Numbers in a snapshot that only take set values, so they are never blended (thrust is -1, 0 or 1)
+const REPLAY_DISCRETE_KEYS = ['thrustDirection'];
+
+/**
+ * Create a history of physics snapshots for one run
+ * A clock that runs backwards (reset or new scenario) starts a new history.
+ * @param {Object} [options]
+ * @param {number} [options.interval=REPLAY_FRAME_INTERVAL] - Minimum seconds between snapshots
+ * @param {number} [options.maxDuration=REPLAY_MAX_DURATION] - Seconds of history kept
+ * @returns {Object} History with capture() and time queries
+ */
+function createRunHistory({ interval = REPLAY_FRAME_INTERVAL, maxDuration = REPLAY_MAX_DURATION } = {}) {
+    let frames = [];
+
+    /**
+     * Index of the last frame at or before a time (frames are in time order)
+     */
+    function findFrame(time) {
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    return {
+        clear() {
+            frames = [];
+        },
+
+        /**
+         * Store a snapshot if the interval has elapsed
+         * @param {Object} state - Physics state snapshot
+         * @returns {boolean} True if it was stored
+         */
+        capture(state) {
+            const last = frames[frames.length - 1];
+            if (last && state.time < last.time) frames = [];
+            // Small tolerance so 1/60 s frames are not skipped by rounding
+            else if (last && state.time - last.time < interval - 1e-9) return false;
+
+            frames.push({ ...state });
+            if (state.time - frames[0].time > maxDuration) {
+                frames.splice(0, findFrame(state.time - maxDuration));
+            }
+            return true;
+        },
+
+        getFrameCount() {
+            return frames.length;
+        },
+
+        getStartTime() {
+            return frames.length > 0 ? frames[0].time : 0;
+        },
+
+        getEndTime() {
+            return frames.length > 0 ? frames[frames.length - 1].time : 0;
+        },
+
+        /**
+         * The state at any moment of the run, interpolated between snapshots
+         * Continuous numbers are blended; discrete values (thrust direction, friction regime, toggles)
+         * come from the nearer snapshot.
+         * @param {number} time - s (clamped to the recorded range)
+         * @returns {Object|null} Physics state, or null if nothing is recorded
+         */
+        getStateAt(time) {
+            if (frames.length === 0) return null;
+
+            const index = findFrame(time);
+            const before = frames[index];
+            const after = frames[Math.min(index + 1, frames.length - 1)];
+            const span = after.time - before.time;
+            const alpha = span > 0 ? Math.min(Math.max((time - before.time) / span, 0), 1) : 0;
+
+            const state = { ...(alpha < 0.5 ? before : after) };
+            for (const key of Object.keys(before)) {
+                if (REPLAY_DISCRETE_KEYS.includes(key)) continue;
+                if (typeof before[key] === 'number' && typeof after[key] === 'number') {
+                    state[key] = before[key] + (after[key] - before[key]) * alpha;
+                }
+            }
+            return state;
+        },
+
+        /**
+         * Time of the neighbouring snapshot, for frame-by-frame stepping
+         * @param {number} time - Current replay time in s
+         * @param {number} direction - 1 for the next frame, -1 for the previous one
+         * @returns {number}
+         */
+        getAdjacentFrameTime(time, direction) {
+            if (frames.length === 0) return 0;
+
+            // Frame times carry rounding error, so a time within 1e-9 s counts as on the frame
+            const index = findFrame(time + 1e-9);
+            // Between two frames, stepping back lands on the earlier one
+            const onFrame = Math.abs(frames[index].time - time) < 1e-9;
+            const target = direction > 0 ? index + 1 : (onFrame ? index - 1 : index);
+            return frames[Math.min(Math.max(target, 0), frames.length - 1)].time;
+        }
+    };
+}
+
+// --- Replay Bar (browser only) ---
+
+const runHistory = createRunHistory();
+const replay = {
+    active: false,
+    playing: false,
+    time: 0,
+    speed: 1,
+    lastFrameTime: null  // Wall clock of the previous playback frame (ms)
+};
+let replayBar, replayBtn, replaySlider, replayTimeEl, replayPlayBtn, replaySpeedSelect;
+
+/**
+ * Initialize the replay bar
+ */
+function initReplay() {
+    replayBar = document.getElementById('replayBar');
+    replayBtn = document.getElementById('replayBtn');
+    replaySlider = document.getElementById('replaySlider');
+    replayTimeEl = document.getElementById('replayTime');
+    replayPlayBtn = document.getElementById('replayPlayBtn');
+    replaySpeedSelect = document.getElementById('replaySpeedSelect');
+
+    if (replaySpeedSelect) {
+        replaySpeedSelect.innerHTML = '';
+        REPLAY_SPEEDS.forEach(speed => {
+            replaySpeedSelect.appendChild(new Option(`${speed}×`, speed, false, speed === replay.speed));
+        });
+        replaySpeedSelect.addEventListener('change', () => {
+            replay.speed = parseFloat(replaySpeedSelect.value);
+        });
+    }
+
+    replayBtn?.addEventListener('click', () => setReplayActive(!replay.active));
+    document.getElementById('replayExitBtn')?.addEventListener('click', () => setReplayActive(false));
+    replayPlayBtn?.addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replayBackBtn')?.addEventListener('click', () => stepReplayFrame(-1));
+    document.getElementById('replayForwardBtn')?.addEventListener('click', () => stepReplayFrame(1));
+
+    // Scrubbing pauses playback and jumps to the chosen moment
+    replaySlider?.addEventListener('input', () => {
+        replay.playing = false;
+        seekReplay(parseFloat(replaySlider.value));
+    });
+}
+
+/**
+ * Store a physics step for replay
+ * @param {Object} state - Physics state snapshot
+ */
+function recordReplaySample(state) {
+    runHistory.capture(state);
+}
+
+/**
+ * Enter replay (the live sled freezes where it is) or go back to the live run
+ * @param {boolean} active
+ */
+function setReplayActive(active) {
+    if (active && runHistory.getFrameCount() < 2) {
+        alert('Run the sled first, then replay the run.');
+        return;
+    }
+
+    // The FBD exercise freezes the live sled, so the two never overlap
+    if (active && isFbdExerciseActive()) setFbdExerciseActive(false);
+
+    replay.active = active;
+    replay.playing = false;
+    replay.lastFrameTime = null;
+    replayBar?.classList.toggle('hidden', !active);
+    replayBtn?.classList.toggle('active', active);
+
+    if (active) {
+        // Start where the run stopped, ready to rewind
+        if (replaySlider) {
+            replaySlider.min = runHistory.getStartTime();
+            replaySlider.max = runHistory.getEndTime();
+            replaySlider.step = REPLAY_FRAME_INTERVAL;
+        }
+        seekReplay(runHistory.getEndTime());
+    }
+    setSimulationPaused(active);
+    updateDisplays();
+}
+
+function isReplaying() {
+    return replay.active;
+}
+
+/**
+ * The recorded state shown while replaying
+ * @returns {Object}
+ */
+function getReplayState() {
+    return runHistory.getStateAt(replay.time);
+}
+
+/**
+ * Jump to a moment of the run
+ * @param {number} time - s
+ */
+function seekReplay(time) {
+    replay.time = Math.min(Math.max(time, runHistory.getStartTime()), runHistory.getEndTime());
+    updateReplayBar();
+}
+
+function toggleReplayPlayback() {
+    replay.playing = !replay.playing;
+    replay.lastFrameTime = null;
+    // Playing from the end starts over
+    if (replay.playing && replay.time >= runHistory.getEndTime()) {
+        replay.time = runHistory.getStartTime();
+    }
+    updateReplayBar();
+}
+
+/**
+ * Step one stored frame forward or back (pauses playback)
+ * @param {number} direction - 1 or -1
+ */
+function stepReplayFrame(direction) {
+    replay.playing = false;
+    seekReplay(runHistory.getAdjacentFrameTime(replay.time, direction));
+}
+
+/**
+ * Advance playback by the wall-clock time since the last frame (called every animation frame)
+ * @param {number} currentTime - requestAnimationFrame timestamp in ms
+ */
+function stepReplay(currentTime) {
+    if (!replay.playing) {
+        replay.lastFrameTime = null;
+        return;
+    }
+    if (replay.lastFrameTime !== null) {
+        seekReplay(replay.time + ((currentTime - replay.lastFrameTime) / 1000) * replay.speed);
+        if (replay.time >= runHistory.getEndTime()) {
+            replay.playing = false;
+            updateReplayBar();
+        }
+    }
+    replay.lastFrameTime = currentTime;
+}
+
+/**
+ * Refresh the timeline, time readout and play button
+ */
+function updateReplayBar() {
+    if (replaySlider) replaySlider.value = replay.time;
+    if (replayTimeEl) {
+        replayTimeEl.textContent = `t = ${replay.time.toFixed(2)} s / ${runHistory.getEndTime().toFixed(2)} s`;
+    }
+    if (replayPlayBtn) replayPlayBtn.textContent = replay.playing ? '⏸️' : '▶️';
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_FRAME_INTERVAL, REPLAY_SPEEDS, createRunHistory };
+}
@@ -0,0 +1,202 @@
+/**
+ * Rocket Sled Worksheet Scenarios
+ * Scenario library for the RocketSledder handout sections, defined in src/data/scenarios.json
+ */
+
+const SCENARIO_LIBRARY_URL = 'src/data/scenarios.json?v=20260204v20';
+
+// Controls a scenario can lock so students work with the intended setup
+const LOCKABLE_CONTROLS = ['thrust', 'maxForce', 'friction', 'airDrag', 'incline', 'mass', 'fuel'];
+
+// Lanes a race can have (they share the canvas height)
+const MIN_RACE_LANES = 2;
+const MAX_RACE_LANES = 4;
+
+// The engine: physics.js globals in the browser (it loads first), the module in Node
+const scenarioEngine = typeof module !== 'undefined' && module.exports
+    ? require('./physics.js')
+    : { createSimulation };
+
+// Engine settings a scenario starts from unless it lists its own (a fresh simulation's, less
+// the thrust, which scenarios always set, and the numerical method, which they keep),
+// so what a student changed before does not leak into the next scenario
+const SCENARIO_DEFAULT_SETTINGS = (() => {
+    const { appliedForceMagnitude, integrator, ...settings } = scenarioEngine.createSimulation().getConfig();
+    return settings;
+})();
+
+// Scenario definitions keyed by id (filled from the library)
+// settings.thrust is a direction slider value (-1000 to 1000, i.e. per-mille of the max force)
+const SCENARIO_PRESETS = {};
+
+/**
+ * Validate a scenario definition and fill in the optional parts
+ * @param {Object} definition - Entry of the library's "scenarios" array
+ * @returns {Object} A new scenario
+ * @throws {Error} If the id or title is missing
+ */
+function normalizeScenario(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+        throw new Error('Each scenario needs an id');
+    }
+    if (typeof definition.title !== 'string' || !definition.title) {
+        throw new Error(`Scenario "${definition.id}" needs a title`);
+    }
+
+    const initial = definition.initialState || {};
+    const challenge = definition.challenge;
+    const race = definition.race;
+    if (race && (!Array.isArray(race.lanes) || race.lanes.length < MIN_RACE_LANES || race.lanes.length > MAX_RACE_LANES)) {
+        throw new Error(`Race "${definition.id}" needs ${MIN_RACE_LANES} to ${MAX_RACE_LANES} lanes`);
+    }
+    return {
+        id: definition.id,
+        title: definition.title,
+        icon: definition.icon || '',
+        summary: definition.summary || '',
+        section: definition.section ?? null,
+        settings: { thrust: 0, ...definition.settings },
+        initialState: {
+            position: Number(initial.position) || 0,
+            velocity: Number(initial.velocity) || 0
+        },
+        lockedControls: (definition.lockedControls || []).filter(name => LOCKABLE_CONTROLS.includes(name)),
+        instructions: definition.instructions || '',
+        goals: Array.isArray(definition.goals) ? definition.goals : [],
+        // Challenges are timed and can fail; the flag marks a target position on the track
+        challenge: challenge ? {
+            timeLimit: Number(challenge.timeLimit) > 0 ? Number(challenge.timeLimit) : null,
+            flag: challenge.flag ? {
+                position: Number(challenge.flag.position) || 0,
+                within: Math.max(0, Number(challenge.flag.within) || 0)
+            } : null,
+            failWhen: Array.isArray(challenge.failWhen) ? challenge.failWhen : []
+        } : null,
+        // Races run their own sleds in lanes (settings use createSimulation() config names; force is N of thrust)
+        race: race ? {
+            distance: Number(race.distance) > 0 ? Number(race.distance) : 100,
+            timeLimit: Number(race.timeLimit) > 0 ? Number(race.timeLimit) : 60,
+            lanes: race.lanes.map((lane, i) => ({
+                name: lane.name || `Lane ${i + 1}`,
+                force: Number(lane.force) || 0,
+                settings: { ...lane.settings }
+            }))
+        } : null
+    };
+}
+
+/**
+ * Replace the scenario library
+ * @param {Array<Object>} definitions - Scenario definitions (see src/data/scenarios.json)
+ */
+function registerScenarios(definitions) {
+    Object.keys(SCENARIO_PRESETS).forEach(id => delete SCENARIO_PRESETS[id]);
+    for (const definition of definitions) {
+        const scenario = normalizeScenario(definition);
+        SCENARIO_PRESETS[scenario.id] = scenario;
+    }
+}
+
+/**
+ * Apply a scenario to a simulation (resets it first)
+ * Settings the scenario does not list go back to SCENARIO_DEFAULT_SETTINGS (the numerical
+ * method is kept). The sled then starts from the scenario's initial state.
+ * @param {Object} simulation - Instance from createSimulation()
+ * @param {string} name - Key of SCENARIO_PRESETS
+ * @param {number} maxForce - Maximum thrust setting in N
+ * @returns {Object|null} The applied scenario, or null if the name is unknown
+ */
+function applyScenario(simulation, name, maxForce) {
+    simulation.reset();
+
+    const scenario = SCENARIO_PRESETS[name];
+    if (!scenario) return null;
+    const settings = { ...SCENARIO_DEFAULT_SETTINGS, ...scenario.settings };
+
+    simulation.setFrictionEnabled(Boolean(settings.frictionEnabled));
+    simulation.setAirDragEnabled(Boolean(settings.airDragEnabled));
+    simulation.setInclineAngle(settings.inclineAngle);
+    simulation.setFrictionCoefficient(settings.frictionCoefficient);
+    simulation.setStaticFrictionCoefficient(settings.staticFrictionCoefficient);
+    simulation.setDragModel(settings.dragModel);
+    simulation.setDragCoefficient(settings.dragCoefficient);
+    simulation.setFrontalArea(settings.frontalArea);
+    simulation.setAirDensity(settings.airDensity);
+    simulation.setLinearDragCoefficient(settings.linearDragCoefficient);
+    simulation.setSledMass(settings.sledMass);
+    simulation.setPayloadMass(settings.payloadMass);
+    simulation.setPayloadLoaded(Boolean(settings.payloadLoaded));
+    simulation.setFuelCapacity(settings.fuelCapacity);
+    simulation.setBurnRate(settings.burnRate);
+    simulation.setFuelEnabled(Boolean(settings.fuelEnabled));
+
+    // Same conversion as the direction slider
+    const force = Math.round((settings.thrust / 1000) * maxForce);
+    simulation.setThrustDirection(Math.sign(force));
+    simulation.setAppliedForceMagnitude(Math.abs(force));
+
+    simulation.setInitialState(scenario.initialState);
+    return scenario;
+}
+
+// --- Scenario Menu (browser only) ---
+
+/**
+ * Fetch the scenario library and list it in the Presets menu
+ * @returns {Promise<boolean>} True if the library loaded
+ */
+async function loadScenarioLibrary() {
+    try {
+        const response = await fetch(SCENARIO_LIBRARY_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        registerScenarios((await response.json()).scenarios);
+        renderScenarioMenu();
+        return true;
+    } catch (err) {
+        // Browsers block fetch() for pages opened straight from disk (file://)
+        console.warn('Scenario library unavailable:', err.message);
+        renderScenarioMenu('Scenarios need the page to be served (see README: Quick Start)');
+        return false;
+    }
+}
+
+/**
+ * Fill the built-in scenario, challenge and race sections of the Presets menu
+ * @param {string} [message] - Shown instead of the list (e.g. when loading failed)
+ */
+function renderScenarioMenu(message) {
+    const menu = document.getElementById('scenarioMenu');
+    const challengeMenu = document.getElementById('challengeMenu');
+    const raceMenu = document.getElementById('raceMenu');
+    if (!menu) return;
+
+    menu.innerHTML = '';
+    if (challengeMenu) challengeMenu.innerHTML = '';
+    if (raceMenu) raceMenu.innerHTML = '';
+    if (message) {
+        const note = document.createElement('div');
+        note.className = 'menu-empty';
+        note.textContent = message;
+        menu.appendChild(note);
+        return;
+    }
+
+    Object.values(SCENARIO_PRESETS).forEach(scenario => {
+        const btn = document.createElement('button');
+        btn.className = 'menu-item scenario-btn';
+        btn.dataset.scenario = scenario.id;
+        btn.title = scenario.summary;
+        btn.textContent = `${scenario.icon} ${scenario.title}`.trim();
+        if (scenario.race && raceMenu) {
+            raceMenu.appendChild(btn);
+        } else {
+            (scenario.challenge && challengeMenu ? challengeMenu : menu).appendChild(btn);
+        }
+    });
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    registerScenarios(require('../data/scenarios.json').scenarios);
+    module.exports = { SCENARIO_PRESETS, SCENARIO_DEFAULT_SETTINGS, LOCKABLE_CONTROLS, normalizeScenario, registerScenarios, applyScenario };
+}
@@ -0,0 +1,546 @@
+/**
+ * Rocket Sled Thrust Programs
+ * Scripted sequences of thrust segments that drive the engine automatically during a run
+ */
+
+// Segment endings: after a fixed time, or when the sled comes to rest (velocity reaches zero)
+const THRUST_SEGMENT_MODES = {
+    'duration': 'for',
+    'stop': 'until v = 0'
+};
+
+// Engine limits: physics.js globals in the browser (it loads first), the module in Node
+const thrustProgramEngine = typeof module !== 'undefined' && module.exports
+    ? require('./physics.js')
+    : { MIN_FORCE, MAX_FORCE };
+
+// Thrust the engine can deliver either way; 0 turns it off
+const THRUST_PROGRAM_MIN_FORCE = thrustProgramEngine.MIN_FORCE; // N
+const THRUST_PROGRAM_MAX_FORCE = thrustProgramEngine.MAX_FORCE; // N
+
+const THRUST_PROGRAM_FILE_TYPE = 'thrust-program';
+const THRUST_PROGRAM_STORAGE_KEY = 'rocketSled.thrustPrograms';
+
+// Handout "reverse thrust" run: burn forward, coast, then brake with reverse thrust
+const REVERSE_THRUST_PROGRAM = {
+    name: 'Reverse thrust',
+    segments: [
+        { force: 2000, duration: 3 },
+        { force: 0, duration: 5 },
+        { force: -2000, until: 'stop' }
+    ]
+};
+
+/**
+ * Validate a segment and copy it into its canonical form
+ * @param {Object} segment - { force, duration } or { force, until: 'stop' }
+ * @returns {Object} A new segment
+ * @throws {Error} If the force or ending is not usable
+ */
+function normalizeThrustSegment(segment) {
+    const force = Number(segment?.force);
+    if (!Number.isFinite(force)) {
+        throw new Error('Each segment needs a numeric force in N');
+    }
+    // The engine would clamp other forces, so the run would not match the program
+    if (force !== 0 && (Math.abs(force) < THRUST_PROGRAM_MIN_FORCE || Math.abs(force) > THRUST_PROGRAM_MAX_FORCE)) {
+        throw new Error(`Segment forces must be 0 or ${THRUST_PROGRAM_MIN_FORCE}–${THRUST_PROGRAM_MAX_FORCE} N either way`);
+    }
+
+    if (segment.until === 'stop') {
+        return { force, until: 'stop' };
+    }
+
+    const duration = Number(segment.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error('Timed segments need a duration greater than 0 s');
+    }
+    return { force, duration };
+}
+
+/**
+ * Create a thrust program runner
+ * Feed it every physics step with update(); it returns the force to apply next.
+ * @param {Array<Object>} [segments=[]] - Segments run in order
+ * @returns {Object} Runner with start/stop/update and progress queries
+ */
+function createThrustProgram(segments = []) {
+    let program = segments.map(normalizeThrustSegment);
+    let running = false;
+    let index = 0;
+    let segmentStart = 0;
+    let startTime = 0;
+    let lastTime = 0;
+    let entrySign = 0; // Direction of travel when an until-stop segment began
+    let stopReached = false; // An until-stop segment ended on the last update()
+
+    function enterSegment(i, time, velocity) {
+        index = i;
+        segmentStart = time;
+        entrySign = Math.sign(velocity);
+    }
+
+    /**
+     * Has the current segment ended at this state?
+     */
+    function segmentDone(segment, state) {
+        if (segment.until === 'stop') {
+            return entrySign === 0 || Math.sign(state.velocity) !== entrySign;
+        }
+        // Small tolerance so a 3 s segment ends on the step at t = 3 s despite rounding
+        return state.time - segmentStart >= segment.duration - 1e-9;
+    }
+
+    return {
+        /**
+         * Replace the segments (stops a running program)
+         * @param {Array<Object>} newSegments
+         */
+        setSegments(newSegments) {
+            program = newSegments.map(normalizeThrustSegment);
+            running = false;
+        },
+
+        getSegments() {
+            return program.map(s => ({ ...s }));
+        },
+
+        /**
+         * Start from the first segment
+         * @param {Object} state - Physics state snapshot (time, velocity)
+         */
+        start(state) {
+            running = program.length > 0;
+            startTime = state.time;
+            lastTime = state.time;
+            enterSegment(0, state.time, state.velocity);
+        },
+
+        stop() {
+            running = false;
+        },
+
+        isRunning() {
+            return running;
+        },
+
+        /**
+         * Advance through finished segments and pick the thrust for the next step
+         * A clock that runs backwards (reset or new scenario) cancels the program.
+         * @param {Object} state - Physics state snapshot (time, velocity)
+         * @returns {number|null} Force in N (0 once the program ends), or null if not running
+         */
+        update(state) {
+            if (!running) return null;
+            if (state.time < lastTime) {
+                running = false;
+                return null;
+            }
+            lastTime = state.time;
+            stopReached = false;
+
+            while (index < program.length && segmentDone(program[index], state)) {
+                const segment = program[index];
+                stopReached = stopReached || segment.until === 'stop';
+                // Timed segments end exactly on schedule so later segments do not drift
+                const end = segment.until === 'stop' ? state.time : segmentStart + segment.duration;
+                enterSegment(index + 1, end, state.velocity);
+            }
+
+            if (index >= program.length) {
+                running = false;
+                return 0;
+            }
+            return program[index].force;
+        },
+
+        /**
+         * Did an until-stop segment end on the last update()?
+         * The step that crossed v = 0 leaves a little speed the other way, so the sled should be stopped.
+         * @returns {boolean}
+         */
+        reachedStop() {
+            return stopReached;
+        },
+
+        /**
+         * @param {number} now - Current simulation time in s
+         * @returns {{index: number, segmentElapsed: number, elapsed: number}} Active segment and time into it
+         */
+        getProgress(now) {
+            return {
+                index: running ? index : -1,
+                segmentElapsed: running ? now - segmentStart : 0,
+                elapsed: running ? now - startTime : 0
+            };
+        }
+    };
+}
+
+/**
+ * Apply a programmed force to a simulation (sign picks the direction)
+ * @param {Object} simulation - Instance from createSimulation()
+ * @param {number} force - N
+ */
+function applyThrustProgramForce(simulation, force) {
+    simulation.setThrustDirection(Math.sign(force));
+    simulation.setAppliedForceMagnitude(Math.abs(force));
+}
+
+/**
+ * Let a program pick the thrust for the next step of a simulation
+ * An until-stop segment that has just ended leaves the sled at rest, not creeping the other way.
+ * @param {Object} simulation - Instance from createSimulation()
+ * @param {Object} program - Runner from createThrustProgram()
+ * @param {Object} state - Physics state snapshot after the step
+ * @returns {number|null} The force applied in N, or null if the program is not running
+ */
+function applyThrustProgramStep(simulation, program, state) {
+    const force = program.update(state);
+    if (force === null) return null;
+    if (program.reachedStop()) simulation.stopMotion();
+    applyThrustProgramForce(simulation, force);
+    return force;
+}
+
+/**
+ * Serialize a named program for sharing
+ * @param {string} name
+ * @param {Array<Object>} segments
+ * @returns {string} JSON
+ */
+function serializeThrustProgram(name, segments) {
+    return JSON.stringify({
+        source: 'Rocket Sled Simulation',
+        type: THRUST_PROGRAM_FILE_TYPE,
+        name,
+        segments: segments.map(normalizeThrustSegment)
+    }, null, 2);
+}
+
+/**
+ * Read a shared program
+ * @param {string} text - JSON from serializeThrustProgram()
+ * @returns {{name: string, segments: Array<Object>}}
+ * @throws {Error} If the text is not a valid thrust program
+ */
+function parseThrustProgram(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Not a thrust program file (invalid JSON)');
+    }
+
+    if (!data || data.type !== THRUST_PROGRAM_FILE_TYPE || !Array.isArray(data.segments)) {
+        throw new Error('Not a thrust program file');
+    }
+    if (data.segments.length === 0) {
+        throw new Error('The program has no segments');
+    }
+
+    return {
+        name: String(data.name || 'Imported program'),
+        segments: data.segments.map(normalizeThrustSegment)
+    };
+}
+
+// --- Thrust Program Panel (browser only) ---
+
+const thrustProgram = createThrustProgram(REVERSE_THRUST_PROGRAM.segments);
+let thrustProgramName = REVERSE_THRUST_PROGRAM.name;
+let savedThrustPrograms = {};
+let thrustSegmentsList, thrustTimeline, thrustProgramRunBtn, thrustProgramStatus;
+let thrustProgramSelect, thrustProgramNameInput;
+
+/**
+ * Initialize thrust program panel references and controls
+ */
+function initThrustProgramPanel() {
+    thrustSegmentsList = document.getElementById('thrustSegments');
+    thrustTimeline = document.getElementById('thrustTimeline');
+    thrustProgramRunBtn = document.getElementById('thrustProgramRunBtn');
+    thrustProgramStatus = document.getElementById('thrustProgramStatus');
+    thrustProgramSelect = document.getElementById('thrustProgramSelect');
+    thrustProgramNameInput = document.getElementById('thrustProgramName');
+
+    savedThrustPrograms = loadSavedThrustPrograms();
+    updateThrustProgramSelect();
+
+    thrustSegmentsList?.addEventListener('change', readThrustProgramEditor);
+    thrustSegmentsList?.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.segment-remove');
+        if (!removeBtn) return;
+        const segments = thrustProgram.getSegments();
+        segments.splice(parseInt(removeBtn.dataset.index, 10), 1);
+        setThrustProgram(thrustProgramName, segments);
+    });
+
+    document.getElementById('thrustSegmentAddBtn')?.addEventListener('click', () => {
+        setThrustProgram(thrustProgramName, [...thrustProgram.getSegments(), { force: 0, duration: 1 }]);
+    });
+
+    thrustProgramRunBtn?.addEventListener('click', () => {
+        if (thrustProgram.isRunning()) {
+            cancelThrustProgram();
+        } else {
+            startThrustProgram();
+        }
+    });
+
+    thrustProgramSelect?.addEventListener('change', (e) => {
+        const program = e.target.value === REVERSE_THRUST_PROGRAM.name
+            ? REVERSE_THRUST_PROGRAM
+            : savedThrustPrograms[e.target.value];
+        if (program) {
+            setThrustProgram(program.name, program.segments);
+        }
+    });
+
+    document.getElementById('thrustProgramSaveBtn')?.addEventListener('click', () => {
+        const name = thrustProgramNameInput?.value.trim() || thrustProgramName;
+        thrustProgramName = name;
+        savedThrustPrograms[name] = { name, segments: thrustProgram.getSegments() };
+        storeSavedThrustPrograms();
+        updateThrustProgramSelect();
+    });
+
+    document.getElementById('thrustProgramDeleteBtn')?.addEventListener('click', () => {
+        if (!savedThrustPrograms[thrustProgramName]) return;
+        delete savedThrustPrograms[thrustProgramName];
+        storeSavedThrustPrograms();
+        updateThrustProgramSelect();
+    });
+
+    document.getElementById('thrustProgramExportBtn')?.addEventListener('click', () => {
+        const filename = `${thrustProgramName.replace(/[^\w-]+/g, '-').toLowerCase() || 'thrust-program'}.json`;
+        downloadTextFile(filename, serializeThrustProgram(thrustProgramName, thrustProgram.getSegments()), 'application/json');
+    });
+
+    const importInput = document.getElementById('thrustProgramImportInput');
+    document.getElementById('thrustProgramImportBtn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        try {
+            const program = parseThrustProgram(await file.text());
+            setThrustProgram(program.name, program.segments);
+        } catch (err) {
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    });
+
+    renderThrustProgramEditor();
+}
+
+/**
+ * Load a program into the editor (stops a running program)
+ * @param {string} name
+ * @param {Array<Object>} segments
+ */
+function setThrustProgram(name, segments) {
+    cancelThrustProgram();
+    thrustProgramName = name;
+    thrustProgram.setSegments(segments);
+    renderThrustProgramEditor();
+}
+
+/**
+ * Rebuild the segment rows and the timeline from the current program
+ */
+function renderThrustProgramEditor() {
+    if (thrustProgramNameInput) thrustProgramNameInput.value = thrustProgramName;
+
+    if (thrustSegmentsList) {
+        const modeOptions = (selected) => Object.entries(THRUST_SEGMENT_MODES).map(([mode, label]) =>
+            `<option value="${mode}"${mode === selected ? ' selected' : ''}>${label}</option>`).join('');
+
+        thrustSegmentsList.innerHTML = thrustProgram.getSegments().map((s, i) => {
+            const mode = s.until === 'stop' ? 'stop' : 'duration';
+            return `<li class="thrust-segment" data-index="${i}">` +
+                `<input type="number" class="segment-force" value="${s.force}" step="100" aria-label="Force (N)"> N ` +
+                `<select class="segment-mode">${modeOptions(mode)}</select>` +
+                `<input type="number" class="segment-duration${mode === 'stop' ? ' hidden' : ''}" ` +
+                `value="${s.duration ?? 1}" min="0.1" step="0.5" aria-label="Duration (s)">` +
+                `<span class="segment-unit${mode === 'stop' ? ' hidden' : ''}">s</span>` +
+                `<button class="segment-remove" data-index="${i}" title="Remove segment">✕</button></li>`;
+        }).join('');
+    }
+
+    updateThrustProgramPanel(0);
+}
+
+/**
+ * Read the segment rows back into the program (invalid rows are rejected and redrawn)
+ */
+function readThrustProgramEditor() {
+    if (!thrustSegmentsList) return;
+
+    const segments = [...thrustSegmentsList.querySelectorAll('.thrust-segment')].map(row => {
+        const force = parseFloat(row.querySelector('.segment-force').value);
+        if (row.querySelector('.segment-mode').value === 'stop') {
+            return { force, until: 'stop' };
+        }
+        return { force, duration: parseFloat(row.querySelector('.segment-duration').value) };
+    });
+
+    try {
+        setThrustProgram(thrustProgramName, segments);
+    } catch (err) {
+        alert(err.message);
+        renderThrustProgramEditor();
+    }
+}
+
+/**
+ * Restart the run as Retry does (a loaded scenario keeps its initial motion) and start
+ * the program from t = 0 (an empty program leaves the run alone)
+ */
+function startThrustProgram() {
+    if (thrustProgram.getSegments().length === 0) {
+        if (thrustProgramStatus) thrustProgramStatus.textContent = 'Add a segment to run the program';
+        return;
+    }
+
+    restartRun();
+
+    const state = getPhysicsState();
+    thrustProgram.start(state);
+    applyProgramStep(state);
+    updateThrustProgramPanel(state.time);
+}
+
+/**
+ * Stop a running program and cut the engine (manual input takes over)
+ */
+function cancelThrustProgram() {
+    if (!thrustProgram.isRunning()) return;
+    thrustProgram.stop();
+    applyThrustProgramForce(defaultSimulation, 0);
+    showProgramForce(0);
+    updateThrustProgramPanel();
+}
+
+function isThrustProgramRunning() {
+    return thrustProgram.isRunning();
+}
+
+/**
+ * Per-step hook: let a running program set the thrust for the next step
+ * @param {Object} state - Physics state snapshot
+ */
+function stepThrustProgram(state) {
+    if (!thrustProgram.isRunning()) return;
+    applyProgramStep(state);
+    if (!thrustProgram.isRunning()) {
+        updateThrustProgramPanel(state.time);
+    }
+}
+
+function applyProgramStep(state) {
+    const force = applyThrustProgramStep(defaultSimulation, thrustProgram, state);
+    if (force === null) return;
+    showProgramForce(force);
+}
+
+/**
+ * Refresh the run button, status line and timeline progress
+ * @param {number} [now=0] - Current simulation time in s
+ */
+function updateThrustProgramPanel(now = 0) {
+    const running = thrustProgram.isRunning();
+    const progress = thrustProgram.getProgress(now);
+
+    if (thrustProgramRunBtn) {
+        thrustProgramRunBtn.textContent = running ? '⏹️ Stop Program' : '▶️ Run Program';
+        thrustProgramRunBtn.classList.toggle('running', running);
+    }
+    if (thrustProgramStatus) {
+        thrustProgramStatus.textContent = running
+            ? `Segment ${progress.index + 1} of ${thrustProgram.getSegments().length} · ${progress.elapsed.toFixed(1)} s`
+            : 'Manual thrust';
+    }
+
+    renderThrustTimeline(progress);
+}
+
+/**
+ * Draw the program as a bar of segments sized by duration
+ * Until-stop segments have no known length, so they get a fixed share of the bar.
+ * @param {{index: number, segmentElapsed: number}} progress
+ */
+function renderThrustTimeline(progress) {
+    if (!thrustTimeline) return;
+
+    const segments = thrustProgram.getSegments();
+    thrustTimeline.innerHTML = segments.map((s, i) => {
+        const width = s.until === 'stop' ? 3 : s.duration;
+        const direction = s.force > 0 ? 'forward' : s.force < 0 ? 'reverse' : 'off';
+        const fill = i < progress.index ? 100
+            : i === progress.index && s.duration ? Math.min(100, 100 * progress.segmentElapsed / s.duration)
+            : 0;
+        const label = `${s.force > 0 ? '+' : ''}${s.force} N ${s.until === 'stop' ? 'until v = 0' : `for ${s.duration} s`}`;
+        return `<div class="timeline-segment ${direction}${s.until === 'stop' ? ' until-stop' : ''}` +
+            `${i === progress.index ? ' active' : ''}" style="flex-grow: ${width}" title="${label}">` +
+            `<div class="timeline-fill" style="width: ${fill}%"></div></div>`;
+    }).join('');
+}
+
+function updateThrustProgramSelect() {
+    if (!thrustProgramSelect) return;
+
+    const names = [REVERSE_THRUST_PROGRAM.name, ...Object.keys(savedThrustPrograms)
+        .filter(name => name !== REVERSE_THRUST_PROGRAM.name)];
+    thrustProgramSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        thrustProgramSelect.appendChild(option);
+    });
+    thrustProgramSelect.value = names.includes(thrustProgramName) ? thrustProgramName : REVERSE_THRUST_PROGRAM.name;
+}
+
+/**
+ * Saved programs from localStorage (unreadable entries are skipped)
+ * @returns {Object} Programs keyed by name
+ */
+function loadSavedThrustPrograms() {
+    const programs = {};
+    try {
+        const stored = JSON.parse(localStorage.getItem(THRUST_PROGRAM_STORAGE_KEY) || '{}');
+        for (const [name, program] of Object.entries(stored)) {
+            try {
+                programs[name] = { name, segments: program.segments.map(normalizeThrustSegment) };
+            } catch (err) {
+                console.warn(`Skipping saved thrust program "${name}":`, err.message);
+            }
+        }
+    } catch (err) {
+        console.warn('Saved thrust programs unavailable:', err.message);
+    }
+    return programs;
+}
+
+function storeSavedThrustPrograms() {
+    try {
+        localStorage.setItem(THRUST_PROGRAM_STORAGE_KEY, JSON.stringify(savedThrustPrograms));
+    } catch (err) {
+        console.warn('Could not save thrust programs:', err.message);
+    }
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THRUST_PROGRAM_MIN_FORCE,
+        THRUST_PROGRAM_MAX_FORCE,
+        REVERSE_THRUST_PROGRAM,
+        createThrustProgram,
+        applyThrustProgramForce,
+        applyThrustProgramStep,
+        serializeThrustProgram,
+        parseThrustProgram
+    };
+}
@@ -0,0 +1,266 @@
+/**
+ * Rocket Sled Track Timing
+ * Start/finish lines at chosen distances with split times taken from the physics steps
+ */
+
+const DEFAULT_START_LINE = 0; // m
+const DEFAULT_FINISH_LINE = 100; // m
+
+// Intermediate checkpoints between start and finish (meters apart, 0 = none)
+const SPLIT_INTERVALS = [0, 5, 10, 25, 50];
+
+/**
+ * Create an independent start/finish timer
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Start line position in m
+ * @param {number} [options.finish=100] - Finish line position in m
+ * @param {number} [options.splitInterval=0] - Meters between split checkpoints (0 = start and finish only)
+ * @returns {Object} Timer with capture() and split queries
+ */
+function createTrackTimer(options = {}) {
+    let startLine = options.start ?? DEFAULT_START_LINE;
+    let finishLine = options.finish ?? DEFAULT_FINISH_LINE;
+    let splitInterval = options.splitInterval || 0;
+    let checkpoints = [];
+    let splits = [];
+    let lastSample = null;
+
+    /**
+     * Positions to cross in order: start, any intermediate splits, finish
+     */
+    function buildCheckpoints() {
+        const direction = Math.sign(finishLine - startLine) || 1;
+        const length = Math.abs(finishLine - startLine);
+        checkpoints = [startLine];
+
+        if (splitInterval > 0) {
+            for (let d = splitInterval; d < length; d += splitInterval) {
+                checkpoints.push(startLine + direction * d);
+            }
+        }
+
+        if (finishLine !== startLine) {
+            checkpoints.push(finishLine);
+        }
+    }
+
+    function getDirection() {
+        return Math.sign(finishLine - startLine) || 1;
+    }
+
+    buildCheckpoints();
+
+    return {
+        /**
+         * Move the start and finish lines (clears the current splits)
+         * @param {number} start - m
+         * @param {number} finish - m
+         */
+        setLines(start, finish) {
+            startLine = start;
+            finishLine = finish;
+            buildCheckpoints();
+            this.clear();
+        },
+
+        getLines() {
+            return { start: startLine, finish: finishLine };
+        },
+
+        /**
+         * @param {number} interval - Meters between split checkpoints (0 = none)
+         */
+        setSplitInterval(interval) {
+            splitInterval = Math.max(0, interval);
+            buildCheckpoints();
+            this.clear();
+        },
+
+        getSplitInterval() {
+            return splitInterval;
+        },
+
+        getCheckpoints() {
+            return checkpoints.slice();
+        },
+
+        clear() {
+            splits = [];
+            lastSample = null;
+        },
+
+        /**
+         * Check a physics snapshot for line crossings
+         * Crossing times are interpolated between steps; only crossings in the
+         * start → finish direction count, and checkpoints must be passed in order.
+         * A clock that runs backwards (reset or new scenario) starts over; feed the
+         * t = 0 state as well so a sled resting on the start line is timed from the start.
+         * @param {Object} state - Physics state snapshot (time, position)
+         * @returns {boolean} True if the splits changed (a checkpoint was crossed or a new run started)
+         */
+        capture(state) {
+            let changed = false;
+            if (lastSample && state.time < lastSample.time) {
+                changed = splits.length > 0;
+                this.clear();
+            }
+
+            const previous = lastSample;
+            lastSample = { time: state.time, position: state.position };
+            if (!previous) return changed;
+
+            const direction = getDirection();
+
+            while (splits.length < checkpoints.length) {
+                const line = checkpoints[splits.length];
+                const before = (previous.position - line) * direction;
+                const after = (state.position - line) * direction;
+                if (!(before <= 0 && after > 0)) break;
+
+                const fraction = (line - previous.position) / (state.position - previous.position);
+                const time = previous.time + fraction * (state.time - previous.time);
+                const startTime = splits.length > 0 ? splits[0].time : time;
+                const lastTime = splits.length > 0 ? splits[splits.length - 1].time : time;
+
+                splits.push({
+                    position: line,
+                    time,
+                    elapsed: time - startTime,
+                    split: time - lastTime
+                });
+                changed = true;
+            }
+
+            return changed;
+        },
+
+        /**
+         * @returns {Array<{position: number, time: number, elapsed: number, split: number}>}
+         */
+        getSplits() {
+            return splits.map(s => ({ ...s }));
+        },
+
+        /**
+         * @returns {string} 'waiting' (before the start line), 'running' or 'finished'
+         */
+        getStatus() {
+            if (splits.length === 0) return 'waiting';
+            return splits.length === checkpoints.length ? 'finished' : 'running';
+        },
+
+        /**
+         * Time since the start line was crossed
+         * @param {number} now - Current simulation time in s
+         * @returns {number} Seconds (0 before the start, frozen once finished)
+         */
+        getElapsed(now) {
+            if (splits.length === 0) return 0;
+            if (this.getStatus() === 'finished') return splits[splits.length - 1].elapsed;
+            return now - splits[0].time;
+        }
+    };
+}
+
+// --- Timing Panel (browser only) ---
+
+const trackTimer = createTrackTimer();
+let startLineInput, finishLineInput, splitIntervalSelect;
+let timingStatusDisplay, timingSplitsBody;
+
+/**
+ * Initialize timing panel references and controls
+ */
+function initTrackTimer() {
+    startLineInput = document.getElementById('startLineInput');
+    finishLineInput = document.getElementById('finishLineInput');
+    splitIntervalSelect = document.getElementById('splitIntervalSelect');
+    timingStatusDisplay = document.getElementById('timingStatus');
+    timingSplitsBody = document.getElementById('timingSplits');
+
+    if (splitIntervalSelect) {
+        SPLIT_INTERVALS.forEach(interval => {
+            const option = document.createElement('option');
+            option.value = interval;
+            option.textContent = interval === 0 ? 'None' : `Every ${interval} m`;
+            splitIntervalSelect.appendChild(option);
+        });
+        splitIntervalSelect.value = trackTimer.getSplitInterval();
+
+        splitIntervalSelect.addEventListener('change', (e) => {
+            trackTimer.setSplitInterval(parseFloat(e.target.value));
+            updateTimingPanel();
+        });
+    }
+
+    const applyLines = () => {
+        const start = parseFloat(startLineInput?.value);
+        const finish = parseFloat(finishLineInput?.value);
+        if (Number.isFinite(start) && Number.isFinite(finish)) {
+            trackTimer.setLines(start, finish);
+            updateTimingPanel();
+        }
+    };
+    startLineInput?.addEventListener('change', applyLines);
+    finishLineInput?.addEventListener('change', applyLines);
+
+    document.getElementById('timingClearBtn')?.addEventListener('click', () => {
+        trackTimer.clear();
+        updateTimingPanel();
+    });
+
+    updateTimingPanel();
+}
+
+/**
+ * Check a physics step for start/finish/split crossings
+ * @param {Object} state - Physics state snapshot
+ */
+function recordTrackSample(state) {
+    if (trackTimer.capture(state)) {
+        updateTimingPanel(state.time);
+    }
+}
+
+/**
+ * Refresh the status line and the split table
+ * @param {number} [now=0] - Current simulation time in s
+ */
+function updateTimingPanel(now = 0) {
+    updateTimingStatus(now);
+
+    if (timingSplitsBody) {
+        const lastIndex = trackTimer.getCheckpoints().length - 1;
+        timingSplitsBody.innerHTML = trackTimer.getSplits().map((s, i) => {
+            const name = i === 0 ? 'Start' : i === lastIndex ? 'Finish' : `${s.position} m`;
+            return `<tr><td>${name}</td><td>${s.elapsed.toFixed(2)} s</td>` +
+                `<td>${i === 0 ? '—' : `${s.split.toFixed(2)} s`}</td></tr>`;
+        }).join('');
+    }
+}
+
+/**
+ * Refresh the status line (called every frame so the clock runs)
+ * @param {number} now - Current simulation time in s
+ */
+function updateTimingStatus(now) {
+    if (!timingStatusDisplay) return;
+
+    const status = trackTimer.getStatus();
+    const elapsed = trackTimer.getElapsed(now).toFixed(2);
+    const { start, finish } = trackTimer.getLines();
+
+    if (status === 'waiting') {
+        timingStatusDisplay.textContent = `Cross ${start} m to start, finish at ${finish} m`;
+    } else if (status === 'running') {
+        timingStatusDisplay.textContent = `⏱️ ${elapsed} s`;
+    } else {
+        timingStatusDisplay.textContent = `🏁 Finished in ${elapsed} s`;
+    }
+    timingStatusDisplay.className = `timing-status ${status}`;
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPLIT_INTERVALS, createTrackTimer };
+}
@@ -0,0 +1,156 @@
+/**
+ * Rocket Sled URL State
+ * Encodes the full setup in query parameters so a link reopens the same configuration
+ */
+
+// The engine's limits and defaults: physics.js globals in the browser (it loads first), the module in Node
+const urlEngine = typeof module !== 'undefined' && module.exports
+    ? require('./physics.js')
+    : {
+        MIN_FORCE, MAX_FORCE, MAX_FRICTION_COEFFICIENT, MAX_DRAG_COEFFICIENT, MAX_FRONTAL_AREA, MAX_AIR_DENSITY,
+        MAX_LINEAR_DRAG_COEFFICIENT, MAX_INCLINE_ANGLE, MIN_SLED_MASS, MAX_SLED_MASS, MAX_PAYLOAD_MASS,
+        MAX_FUEL_CAPACITY, MIN_BURN_RATE, MAX_BURN_RATE, createSimulation
+    };
+const URL_ENGINE_DEFAULTS = urlEngine.createSimulation().getConfig();
+
+// Settings that can travel in a link (settings key → query parameter)
+// Numbers are clamped to the control ranges; unknown names (scenario, drag model, method, camera) are ignored when applied
+const URL_SETTINGS = [
+    { key: 'scenario', param: 'scenario', type: 'string', default: '' }, // id from src/data/scenarios.json
+    { key: 'thrust', param: 'thrust', type: 'number', min: -1000, max: 1000, default: 0 }, // per-mille of max force
+    { key: 'maxForce', param: 'maxForce', type: 'number', min: urlEngine.MIN_FORCE, max: urlEngine.MAX_FORCE, default: URL_ENGINE_DEFAULTS.appliedForceMagnitude },
+    { key: 'frictionEnabled', param: 'friction', type: 'boolean', default: URL_ENGINE_DEFAULTS.frictionEnabled },
+    { key: 'frictionCoefficient', param: 'mu', type: 'number', min: 0, max: urlEngine.MAX_FRICTION_COEFFICIENT, default: URL_ENGINE_DEFAULTS.frictionCoefficient },
+    { key: 'staticFrictionCoefficient', param: 'mus', type: 'number', min: 0, max: urlEngine.MAX_FRICTION_COEFFICIENT, default: URL_ENGINE_DEFAULTS.staticFrictionCoefficient },
+    { key: 'airDragEnabled', param: 'drag', type: 'boolean', default: URL_ENGINE_DEFAULTS.airDragEnabled },
+    { key: 'dragModel', param: 'dragModel', type: 'string', default: URL_ENGINE_DEFAULTS.dragModel },
+    { key: 'dragCoefficient', param: 'cd', type: 'number', min: 0, max: urlEngine.MAX_DRAG_COEFFICIENT, default: URL_ENGINE_DEFAULTS.dragCoefficient },
+    { key: 'frontalArea', param: 'area', type: 'number', min: 0, max: urlEngine.MAX_FRONTAL_AREA, default: URL_ENGINE_DEFAULTS.frontalArea },
+    { key: 'airDensity', param: 'rho', type: 'number', min: 0, max: urlEngine.MAX_AIR_DENSITY, default: URL_ENGINE_DEFAULTS.airDensity },
+    { key: 'linearDragCoefficient', param: 'b', type: 'number', min: 0, max: urlEngine.MAX_LINEAR_DRAG_COEFFICIENT, default: URL_ENGINE_DEFAULTS.linearDragCoefficient },
+    { key: 'inclineAngle', param: 'incline', type: 'number', min: -urlEngine.MAX_INCLINE_ANGLE, max: urlEngine.MAX_INCLINE_ANGLE, default: URL_ENGINE_DEFAULTS.inclineAngle },
+    { key: 'sledMass', param: 'mass', type: 'number', min: urlEngine.MIN_SLED_MASS, max: urlEngine.MAX_SLED_MASS, default: URL_ENGINE_DEFAULTS.sledMass },
+    { key: 'payloadMass', param: 'cargo', type: 'number', min: 0, max: urlEngine.MAX_PAYLOAD_MASS, default: URL_ENGINE_DEFAULTS.payloadMass },
+    { key: 'payloadLoaded', param: 'loaded', type: 'boolean', default: URL_ENGINE_DEFAULTS.payloadLoaded },
+    { key: 'fuelEnabled', param: 'fuel', type: 'boolean', default: URL_ENGINE_DEFAULTS.fuelEnabled },
+    { key: 'fuelCapacity', param: 'tank', type: 'number', min: 0, max: urlEngine.MAX_FUEL_CAPACITY, default: URL_ENGINE_DEFAULTS.fuelCapacity },
+    { key: 'burnRate', param: 'burn', type: 'number', min: urlEngine.MIN_BURN_RATE, max: urlEngine.MAX_BURN_RATE, default: URL_ENGINE_DEFAULTS.burnRate },
+    { key: 'integrator', param: 'method', type: 'string', default: URL_ENGINE_DEFAULTS.integrator },
+    { key: 'showForceArrows', param: 'arrows', type: 'boolean', default: false },
+    { key: 'showGrid', param: 'grid', type: 'boolean', default: false },
+    { key: 'showGraphs', param: 'graphs', type: 'boolean', default: true },
+    { key: 'cameraMode', param: 'camera', type: 'string', default: 'follow' }
+];
+
+/**
+ * Settings a link starts from: the defaults, overridden by the named scenario
+ * (so "?scenario=terminal-velocity" alone opens the preset as the menu would)
+ * @param {string} scenario - Key of the presets, or ''
+ * @param {Object} [presets={}] - Scenario presets (SCENARIO_PRESETS)
+ * @returns {Object} A complete settings object
+ */
+function getBaseSettings(scenario, presets = {}) {
+    const base = {};
+    for (const field of URL_SETTINGS) {
+        base[field.key] = field.default;
+    }
+
+    const preset = presets[scenario];
+    if (preset) {
+        for (const field of URL_SETTINGS) {
+            if (field.key in preset.settings) base[field.key] = preset.settings[field.key];
+        }
+        base.scenario = scenario;
+    }
+    return base;
+}
+
+/**
+ * Validate one setting value (a query parameter string or a stored value)
+ * @param {Object} field - Entry of URL_SETTINGS
+ * @param {*} raw
+ * @returns {*} The value, or undefined if it is not usable
+ */
+function parseSettingValue(field, raw) {
+    if (field.type === 'boolean') {
+        if (raw === true || raw === '1' || raw === 'true') return true;
+        if (raw === false || raw === '0' || raw === 'false') return false;
+        return undefined;
+    }
+    if (field.type === 'number') {
+        const value = typeof raw === 'number' ? raw : parseFloat(raw);
+        return Number.isFinite(value) ? Math.max(field.min, Math.min(field.max, value)) : undefined;
+    }
+    return typeof raw === 'string' && raw ? raw : undefined;
+}
+
+/**
+ * Read settings from a query string
+ * @param {string} search - e.g. window.location.search
+ * @param {Object} [presets={}] - Scenario presets (SCENARIO_PRESETS)
+ * @returns {Object} A complete settings object (missing or invalid parameters use the base values)
+ */
+function decodeSettings(search, presets = {}) {
+    const params = new URLSearchParams(search);
+    const settings = getBaseSettings(params.get('scenario') || '', presets);
+
+    for (const field of URL_SETTINGS) {
+        if (field.key === 'scenario' || !params.has(field.param)) continue;
+        const value = parseSettingValue(field, params.get(field.param));
+        if (value !== undefined) settings[field.key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Validate a stored or imported settings object
+ * @param {Object} stored - Possibly partial or hand-edited settings
+ * @param {Object} [presets={}] - Scenario presets (SCENARIO_PRESETS)
+ * @returns {Object} A complete settings object (missing or invalid values use the base values)
+ */
+function normalizeSettings(stored, presets = {}) {
+    const scenario = presets[stored?.scenario] ? stored.scenario : '';
+    const settings = getBaseSettings(scenario, presets);
+
+    for (const field of URL_SETTINGS) {
+        if (field.key === 'scenario' || stored?.[field.key] === undefined) continue;
+        const value = parseSettingValue(field, stored[field.key]);
+        if (value !== undefined) settings[field.key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Write settings as a query string, leaving out anything the link would get anyway
+ * @param {Object} settings - From captureSettings()
+ * @param {Object} [presets={}] - Scenario presets (SCENARIO_PRESETS)
+ * @returns {string} Query string without the leading '?'
+ */
+function encodeSettings(settings, presets = {}) {
+    const base = getBaseSettings(settings.scenario || '', presets);
+    const params = new URLSearchParams();
+
+    // The scenario goes first: the other values are stored relative to it
+    if (presets[settings.scenario]) {
+        params.set('scenario', settings.scenario);
+    }
+
+    for (const field of URL_SETTINGS) {
+        const value = settings[field.key];
+        if (field.key === 'scenario' || value === undefined || value === base[field.key]) continue;
+
+        if (field.type === 'boolean') {
+            params.set(field.param, value ? '1' : '0');
+        } else if (field.type === 'number') {
+            params.set(field.param, String(Number(value.toFixed(3))));
+        } else {
+            params.set(field.param, value);
+        }
+    }
+    return params.toString();
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { URL_SETTINGS, getBaseSettings, decodeSettings, normalizeSettings, encodeSettings };
+}
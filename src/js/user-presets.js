@@ -0,0 +1,252 @@
+/**
+ * Rocket Sled User Presets
+ * Named setups saved in the browser and shared between teachers as JSON files
+ *
+ * Preset collections are keyed by teacher-chosen names, so they are built with no prototype:
+ * a preset named "__proto__" or "constructor" is stored like any other.
+ */
+
+const USER_PRESET_FILE_TYPE = 'sled-presets';
+const USER_PRESET_STORAGE_KEY = 'rocketSled.userPresets';
+
+/**
+ * Serialize presets for sharing
+ * @param {Object} presets - Settings keyed by preset name
+ * @returns {string} JSON
+ */
+function serializeUserPresets(presets) {
+    return JSON.stringify({
+        source: 'Rocket Sled Simulation',
+        type: USER_PRESET_FILE_TYPE,
+        presets: Object.entries(presets).map(([name, settings]) => ({ name, settings }))
+    }, null, 2);
+}
+
+/**
+ * Read a shared preset file
+ * Values inside each preset are checked later by normalizeSettings() when they are stored.
+ * @param {string} text - JSON from serializeUserPresets()
+ * @returns {Object} Settings keyed by preset name (no prototype)
+ * @throws {Error} If the text is not a preset file
+ */
+function parseUserPresets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Not a preset file (invalid JSON)');
+    }
+
+    if (!data || data.type !== USER_PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+        throw new Error('Not a preset file');
+    }
+
+    const presets = Object.create(null);
+    for (const preset of data.presets) {
+        const name = String(preset?.name ?? '').trim();
+        if (!name || !preset.settings || typeof preset.settings !== 'object') {
+            throw new Error('Each preset needs a name and settings');
+        }
+        presets[name] = preset.settings;
+    }
+    return presets;
+}
+
+/**
+ * Validate presets read back from storage or an imported file
+ * Scenario ids are kept even when the scenario library did not load (e.g. offline),
+ * so saving the library again does not lose them; applySettings() skips ids it does not know.
+ * @param {Object} stored - Settings keyed by preset name
+ * @param {Function} normalize - Completes one settings object (normalizeSettings() with the scenario presets)
+ * @returns {Object} Settings keyed by preset name, with no prototype (entries that are not settings objects are dropped)
+ */
+function normalizeUserPresets(stored, normalize) {
+    const presets = Object.create(null);
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return presets;
+
+    for (const [name, settings] of Object.entries(stored)) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) continue;
+        presets[name] = {
+            ...normalize(settings),
+            scenario: typeof settings.scenario === 'string' ? settings.scenario : ''
+        };
+    }
+    return presets;
+}
+
+/**
+ * The presets without one of them
+ * @param {Object} presets - Settings keyed by preset name
+ * @param {string} name
+ * @returns {Object} A new object with no prototype
+ */
+function removeUserPreset(presets, name) {
+    const rest = Object.create(null);
+    for (const [key, settings] of Object.entries(presets)) {
+        if (key !== name) rest[key] = settings;
+    }
+    return rest;
+}
+
+// --- Presets Menu (browser only) ---
+
+let userPresets = Object.create(null);
+let activeUserPreset = '';
+let userPresetList, userPresetEmpty;
+
+/**
+ * Initialize the My Presets menu section
+ */
+function initUserPresets() {
+    userPresetList = document.getElementById('userPresetList');
+    userPresetEmpty = document.getElementById('userPresetEmpty');
+
+    userPresets = loadStoredUserPresets();
+
+    userPresetList?.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.user-preset-delete');
+        const presetBtn = e.target.closest('.user-preset-btn');
+
+        if (deleteBtn) {
+            e.stopPropagation();
+            const name = deleteBtn.dataset.name;
+            if (confirm(`Delete the preset "${name}"?`)) {
+                userPresets = removeUserPreset(userPresets, name);
+                storeUserPresets();
+                renderUserPresetMenu();
+            }
+        } else if (presetBtn) {
+            applyUserPreset(presetBtn.dataset.name);
+            document.getElementById('dropdownMenu')?.classList.remove('show');
+        }
+    });
+
+    document.getElementById('savePresetBtn')?.addEventListener('click', () => {
+        const name = prompt('Name this preset:', activeUserPreset)?.trim();
+        if (!name) return;
+        if (userPresets[name] && name !== activeUserPreset && !confirm(`Replace the preset "${name}"?`)) return;
+
+        userPresets[name] = captureSettings();
+        activeUserPreset = name;
+        storeUserPresets();
+        renderUserPresetMenu();
+    });
+
+    document.getElementById('exportPresetsBtn')?.addEventListener('click', () => {
+        if (Object.keys(userPresets).length === 0) {
+            alert('Save a preset first, then export it.');
+            return;
+        }
+        downloadTextFile('rocket-sled-presets.json', serializeUserPresets(userPresets), 'application/json');
+    });
+
+    const importInput = document.getElementById('importPresetsInput');
+    document.getElementById('importPresetsBtn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        try {
+            const imported = parseUserPresets(await file.text());
+            Object.assign(userPresets, normalizeUserPresets(imported, normalizeStoredSettings));
+            storeUserPresets();
+            renderUserPresetMenu();
+        } catch (err) {
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    });
+
+    renderUserPresetMenu();
+}
+
+/**
+ * Start a fresh run with a saved setup
+ * @param {string} name - Key of userPresets
+ */
+function applyUserPreset(name) {
+    const settings = userPresets[name];
+    if (!settings) return;
+
+    handleReset();
+    applySettings(settings);
+
+    // The preset is the selection, not the scenario it was built on
+    document.querySelectorAll('.scenario-btn').forEach(b => b.classList.remove('active'));
+    activeUserPreset = name;
+    renderUserPresetMenu();
+}
+
+/**
+ * Forget the highlighted preset (another scenario was chosen or the run was reset)
+ */
+function clearActiveUserPreset() {
+    if (!activeUserPreset) return;
+    activeUserPreset = '';
+    renderUserPresetMenu();
+}
+
+/**
+ * Rebuild the My Presets list
+ */
+function renderUserPresetMenu() {
+    if (!userPresetList) return;
+
+    const names = Object.keys(userPresets).sort((a, b) => a.localeCompare(b));
+    userPresetList.innerHTML = '';
+    names.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'user-preset-row';
+
+        const presetBtn = document.createElement('button');
+        presetBtn.className = `menu-item user-preset-btn${name === activeUserPreset ? ' active' : ''}`;
+        presetBtn.dataset.name = name;
+        presetBtn.textContent = `⭐ ${name}`;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'user-preset-delete';
+        deleteBtn.dataset.name = name;
+        deleteBtn.title = `Delete "${name}"`;
+        deleteBtn.textContent = '✕';
+
+        row.append(presetBtn, deleteBtn);
+        userPresetList.appendChild(row);
+    });
+
+    userPresetEmpty?.classList.toggle('hidden', names.length > 0);
+}
+
+/**
+ * Saved presets from localStorage (unreadable storage gives an empty library)
+ * @returns {Object} Settings keyed by preset name
+ */
+function loadStoredUserPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(USER_PRESET_STORAGE_KEY) || '{}');
+        return normalizeUserPresets(stored, normalizeStoredSettings);
+    } catch (err) {
+        console.warn('Saved presets unavailable:', err.message);
+        return Object.create(null);
+    }
+}
+
+/**
+ * Complete one stored setup against the loaded scenario library
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function normalizeStoredSettings(settings) {
+    return normalizeSettings(settings, SCENARIO_PRESETS);
+}
+
+function storeUserPresets() {
+    try {
+        localStorage.setItem(USER_PRESET_STORAGE_KEY, JSON.stringify(userPresets));
+    } catch (err) {
+        console.warn('Could not save presets:', err.message);
+    }
+}
+
+// CommonJS export for Node (tests); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { serializeUserPresets, parseUserPresets, normalizeUserPresets, removeUserPreset };
+}
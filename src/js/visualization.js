@@ -9,6 +9,14 @@ const TRACK_Y_RATIO = 0.6; // Track vertical position as ratio of canvas height
 const SLED_WIDTH = 80;
 const SLED_HEIGHT = 50;
 const WHEEL_RADIUS = 12;
+const CRATE_SIZE = 18;
+const CRATE_MASS = 250; // kg of cargo per crate drawn on the deck
+
+// Race lanes
+const RACE_TRACK_MARGIN_LEFT = 60; // px before the start line
+const RACE_TRACK_MARGIN_RIGHT = 70; // px after the finish line (room for the times)
+const RACE_TRACK_MARGIN_TOP = 40; // px above the first lane (clock and line labels)
+const RACE_SLED_SCALE = 0.5;
 
 // Pug image
 let pugImage;
@@ -25,8 +33,36 @@ const SNOW_COUNT = 100;
 const snowParticles = [];
 
 // Parallax background scrolling
+const BG_PIXELS_PER_METER = 120; // Background scroll per meter travelled (also the follow-camera scale)
 let bgOffset = 0; // Tracks cumulative background position
 
+// Track ruler and distance signs: round spacings (m) chosen so marks stay at least this far apart on screen
+const RULER_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+const RULER_TICK_MIN_PIXELS = 10;
+const RULER_LABEL_MIN_PIXELS = 250;
+const SIGN_MIN_PIXELS = 1000;
+
+// Camera modes (reference frames)
+const CAMERA_MODES = {
+    'follow': 'Follow Sled',    // sled frame: sled stays centered, the ground moves
+    'fixed': 'Fixed Ground',    // ground frame: the world stands still and the sled moves across it
+    'zoom': 'Auto-Zoom'         // ground frame, zoomed out to fit everywhere the sled has been
+};
+const FIXED_CAMERA_SCALE = 40; // px per meter (one screen ≈ 25 m on a 1000 px canvas)
+const ZOOM_MIN_SCALE = 1; // px per meter
+const CAMERA_EDGE_MARGIN = 80; // px kept between the sled and the screen edge
+const CAMERA_EASING = 0.1; // Fraction of the way to the auto-zoom target per frame
+
+// Camera: the track position at screen center and the current scale
+const camera = {
+    mode: 'follow',
+    x: 0,
+    scale: BG_PIXELS_PER_METER,
+    minX: 0,        // Range visited this run (auto-zoom)
+    maxX: 0,
+    lastTime: 0     // Detects resets (clock running backwards)
+};
+
 // Color palette (matches CSS variables)
 const COLORS = {
     primary: '#00BCD4',
@@ -89,57 +125,202 @@ function draw() {
     // Clear background
     background(COLORS.bgDark);
 
-    // Get current physics state
-    const state = getPhysicsState();
+    // Race mode replaces the single-sled scene with lanes
+    if (isRaceActive()) {
+        drawRace(getRaceView());
+        return;
+    }
+
+    // Get physics state interpolated between fixed steps (or the replayed moment)
+    const state = isReplaying() ? getReplayState() : getRenderState();
+
+    // Move the camera, then scroll the parallax layers with it
+    updateCamera(state);
+    const newOffset = camera.x * camera.scale;
+    let scroll = newOffset - bgOffset;
+    bgOffset = newOffset;
 
-    // Update background offset based on velocity (parallax scrolling)
-    bgOffset += state.velocity * 2; // Scale for visual effect
+    // Fixed-ground page flips are cuts, not motion (snow should not jump)
+    if (Math.abs(scroll) > canvasWidth / 2) scroll = 0;
 
     // Draw parallax background layers
-    drawParallaxBackground(state.velocity);
+    drawParallaxBackground(state);
 
     // Draw grid if enabled (on top of background)
     if (showGrid) {
         drawGrid();
     }
 
-    // Draw track
-    drawTrack();
-
-    // Sled stays fixed at center of screen - background moves instead
-    const sledScreenX = canvasWidth / 2;
+    // Follow camera keeps the sled centered; ground-frame cameras let it travel
+    const sledScreenX = worldToScreenX(state.position);
     const sledScreenY = canvasHeight * TRACK_Y_RATIO - SLED_HEIGHT / 2 - WHEEL_RADIUS;
 
-    // Draw sled
+    // Track, sled and its arrows share the tilted frame of the ramp
+    push();
+    applyTrackTilt(state.inclineAngle);
+
+    drawTrack();
+    drawTimingLines();
+    drawChallengeFlag();
+    if (!isReplaying()) {
+        drawGhostSled(sledScreenY, getGhostRenderState(getPhysicsState().time - state.time));
+    }
     drawSled(sledScreenX, sledScreenY, state);
 
-    // Draw force diagram if enabled
-    if (showForceArrows) {
+    // Arrows on the sled would give away the FBD exercise
+    if (showForceArrows && !isFbdExerciseActive()) {
         drawForceDiagram(sledScreenX, sledScreenY, state);
+    }
+
+    // Draw velocity indicator (along the track)
+    drawVelocityArrow(sledScreenX, sledScreenY - SLED_HEIGHT - 30, state.velocity);
+    pop();
+
+    // Free body diagram stays level in its corner (the student's own while drawing one)
+    if (isFbdExerciseActive()) {
+        drawFbdExercise();
+    } else if (showForceArrows) {
         drawFreeBodyDiagramOverlay(state);
     }
 
     // Draw snow (on top of everything for depth)
-    drawSnow(state.velocity);
-
-    // Draw velocity indicator
-    drawVelocityArrow(sledScreenX, sledScreenY - SLED_HEIGHT - 30, state.velocity);
+    drawSnow(scroll);
 
     // Update jet animation
     jetFlameOffset = (jetFlameOffset + 0.3) % (Math.PI * 2);
 }
 
+// p5.js mouse handlers: presses anywhere on the page arrive here, so only
+// presses the FBD exercise uses return false (which stops scrolling and text selection)
+function mousePressed() {
+    if (handleFbdMousePressed(mouseX, mouseY)) return false;
+}
+
+function mouseDragged() {
+    if (handleFbdMouseDragged(mouseX, mouseY)) return false;
+}
+
+function mouseReleased() {
+    if (handleFbdMouseReleased()) return false;
+}
+
+/**
+ * Select the camera mode (reference frame)
+ * @param {string} mode - Key of CAMERA_MODES
+ */
+function setCameraMode(mode) {
+    if (!CAMERA_MODES[mode]) return;
+
+    const position = getRenderState().position;
+    camera.mode = mode;
+    camera.x = position;
+    camera.minX = position;
+    camera.maxX = position;
+    camera.scale = mode === 'fixed' ? FIXED_CAMERA_SCALE : BG_PIXELS_PER_METER;
+}
+
+/**
+ * Move the camera for this frame according to its mode
+ * @param {Object} state - Render state
+ */
+function updateCamera(state) {
+    const position = state.position;
+
+    // New run: forget the visited range and start from the sled (rewinding a replay is not one)
+    if (state.time < camera.lastTime && !isReplaying()) {
+        camera.x = position;
+        camera.minX = position;
+        camera.maxX = position;
+    }
+    camera.lastTime = state.time;
+    camera.minX = Math.min(camera.minX, position);
+    camera.maxX = Math.max(camera.maxX, position);
+
+    if (camera.mode === 'follow') {
+        camera.x = position;
+        camera.scale = BG_PIXELS_PER_METER;
+    } else if (camera.mode === 'fixed') {
+        // Page flip: when the sled reaches an edge, re-center the world so it enters from the other side
+        camera.scale = FIXED_CAMERA_SCALE;
+        const halfPage = (canvasWidth / 2 - CAMERA_EDGE_MARGIN) / camera.scale;
+        if (position > camera.x + halfPage) {
+            camera.x = position + halfPage;
+        } else if (position < camera.x - halfPage) {
+            camera.x = position - halfPage;
+        }
+    } else {
+        // Fit the whole visited range, easing so the view does not jitter
+        const usableWidth = canvasWidth - CAMERA_EDGE_MARGIN * 2;
+        const span = Math.max(camera.maxX - camera.minX, usableWidth / BG_PIXELS_PER_METER);
+        const targetScale = Math.max(ZOOM_MIN_SCALE, Math.min(BG_PIXELS_PER_METER, usableWidth / span));
+        const targetX = (camera.minX + camera.maxX) / 2;
+        camera.scale += (targetScale - camera.scale) * CAMERA_EASING;
+        camera.x += (targetX - camera.x) * CAMERA_EASING;
+
+        // Never let easing lose the sled off screen
+        const halfView = (canvasWidth / 2 - CAMERA_EDGE_MARGIN / 2) / camera.scale;
+        camera.x = Math.max(position - halfView, Math.min(position + halfView, camera.x));
+    }
+}
+
+/**
+ * Screen x of a track position as seen by the camera
+ * @param {number} worldX - Track position in m
+ * @returns {number} Pixels
+ */
+function worldToScreenX(worldX) {
+    return canvasWidth / 2 + (worldX - camera.x) * camera.scale;
+}
+
+/**
+ * Smallest round spacing (m) that keeps marks at least minPixels apart at the camera scale
+ * @param {number} minPixels
+ * @returns {number} Meters
+ */
+function getRulerSpacing(minPixels) {
+    return RULER_STEPS.find(step => step * camera.scale >= minPixels) ?? RULER_STEPS[RULER_STEPS.length - 1];
+}
+
+/**
+ * Rotate the drawing frame so the track rises by the ramp angle
+ * Pivots on the track at screen center; positive angles rise to the right (counter-clockwise on screen)
+ * @param {number} inclineAngle - Degrees
+ */
+function applyTrackTilt(inclineAngle) {
+    const pivotX = canvasWidth / 2;
+    const pivotY = canvasHeight * TRACK_Y_RATIO;
+    translate(pivotX, pivotY);
+    rotate(-radians(inclineAngle));
+    translate(-pivotX, -pivotY);
+}
+
+/**
+ * Height of the tilted ground above the level track line at a screen x
+ * Lets upright scenery (trees, poles, signs) stand on the slope without leaning
+ * @param {number} x - Screen x in pixels
+ * @param {number} inclineAngle - Degrees
+ * @returns {number} Pixels (positive = higher on screen)
+ */
+function getSlopeRise(x, inclineAngle) {
+    return (x - canvasWidth / 2) * Math.tan(radians(inclineAngle));
+}
+
 /**
  * Draw parallax scrolling background to simulate motion
  * Three layers scroll at different speeds for depth effect
  * Includes prominent objects (trees, poles, signs) to show motion clearly
+ * @param {Object} state - Render state (ground layers follow state.inclineAngle)
  */
-function drawParallaxBackground(velocity) {
+function drawParallaxBackground(state) {
+    const inclineAngle = state.inclineAngle;
     const trackY = canvasHeight * TRACK_Y_RATIO;
     const skyHeight = trackY;
 
-    // Sky gradient
-    for (let y = 0; y < skyHeight; y++) {
+    // Extra columns so tilted ground layers still reach the canvas edges
+    const tiltMargin = inclineAngle === 0 ? 0 : canvasWidth * 0.25;
+
+    // Sky gradient (full height so a tilted ground never uncovers the canvas)
+    for (let y = 0; y < canvasHeight; y++) {
         const inter = map(y, 0, skyHeight, 0, 1);
         const c = lerpColor(color('#1a1a2e'), color('#16213e'), inter);
         stroke(c);
@@ -167,34 +348,35 @@ function drawParallaxBackground(velocity) {
     // Layer 2: Trees in background (medium parallax - 0.4x) - LARGER and BRIGHTER
     const treeOffset = bgOffset * 0.4;
     const treeSpacing = 150;
-    const centerX = canvasWidth / 2;
+    const centerX = worldToScreenX(state.position);
     const clearZone = 180; // Clear zone around sled for force arrows visibility
 
     for (let i = -1; i <= Math.ceil(canvasWidth / treeSpacing) + 2; i++) {
         const treeX = (i * treeSpacing - (treeOffset % treeSpacing));
 
-        // Skip trees near the center (clear zone for force arrows)
+        // Skip trees near the sled (clear zone for force arrows)
         if (Math.abs(treeX - centerX) < clearZone) continue;
 
         const treeHeight = 80 + (i % 3) * 20; // Taller trees
+        const baseY = skyHeight - getSlopeRise(treeX, inclineAngle);
 
         // Tree trunk - brown
         fill('#8B4513');
         noStroke();
-        rect(treeX - 6, skyHeight - treeHeight, 12, treeHeight);
+        rect(treeX - 6, baseY - treeHeight, 12, treeHeight);
 
         // Tree foliage - bright green triangles
         fill('#228B22');
         triangle(
-            treeX, skyHeight - treeHeight - 50,
-            treeX - 35, skyHeight - treeHeight + 15,
-            treeX + 35, skyHeight - treeHeight + 15
+            treeX, baseY - treeHeight - 50,
+            treeX - 35, baseY - treeHeight + 15,
+            treeX + 35, baseY - treeHeight + 15
         );
         fill('#2E8B2E');
         triangle(
-            treeX, skyHeight - treeHeight - 30,
-            treeX - 28, skyHeight - treeHeight + 25,
-            treeX + 28, skyHeight - treeHeight + 25
+            treeX, baseY - treeHeight - 30,
+            treeX - 28, baseY - treeHeight + 25,
+            treeX + 28, baseY - treeHeight + 25
         );
     }
 
@@ -208,48 +390,54 @@ function drawParallaxBackground(velocity) {
         // Skip poles near the center (clear zone for force arrows)
         if (Math.abs(poleX - centerX) < clearZone) continue;
 
+        const baseY = skyHeight - getSlopeRise(poleX, inclineAngle);
+
         // Pole - gray with outline
         fill('#808080');
         stroke('#606060');
         strokeWeight(2);
-        rect(poleX - 4, skyHeight - 120, 8, 120);
+        rect(poleX - 4, baseY - 120, 8, 120);
 
         // Crossbar - bright
         fill('#A0A0A0');
-        rect(poleX - 25, skyHeight - 115, 50, 6);
+        rect(poleX - 25, baseY - 115, 50, 6);
 
         // Yellow warning markers on pole
         fill('#FFD700');
         noStroke();
-        rect(poleX - 5, skyHeight - 30, 10, 20);
+        rect(poleX - 5, baseY - 30, 10, 20);
 
         noStroke();
     }
 
-    // Ground area below track (Snowy White)
+    // Ground area below track (Snowy White), oversized so it still fills the view when tilted
+    push();
+    applyTrackTilt(inclineAngle);
     fill('#E8EAF6');
     noStroke();
-    rect(0, trackY + 8, canvasWidth, canvasHeight - trackY - 8);
+    rect(-canvasWidth, trackY + 8, canvasWidth * 3, canvasHeight * 2);
+    pop();
 
-    // Layer 4: Distance markers/signs (1x parallax) - LARGER and BRIGHTER
-    const signOffset = bgOffset * 1.0;
-    const signSpacing = 250;
+    // Layer 4: Distance markers/signs (1x parallax, at their real positions)
+    const signSpacing = getRulerSpacing(SIGN_MIN_PIXELS);
+    const signSpan = (canvasWidth / 2 + 60) / camera.scale;
+    const firstSign = Math.ceil((camera.x - signSpan) / signSpacing) * signSpacing;
 
-    for (let i = -1; i <= Math.ceil(canvasWidth / signSpacing) + 2; i++) {
-        const signX = (i * signSpacing - (signOffset % signSpacing));
-        const distanceValue = Math.floor(Math.abs(bgOffset / 50) + i * 6);
+    for (let distanceValue = firstSign; distanceValue <= camera.x + signSpan; distanceValue += signSpacing) {
+        const signX = worldToScreenX(distanceValue);
+        const signY = trackY - getSlopeRise(signX, inclineAngle);
 
         // Sign post - silver
         fill('#A0A0A0');
         stroke('#808080');
         strokeWeight(1);
-        rect(signX - 3, trackY - 70, 6, 70);
+        rect(signX - 3, signY - 70, 6, 70);
 
         // Sign board - bright blue with yellow border
         fill('#0066CC');
         stroke('#FFD700');
         strokeWeight(3);
-        rect(signX - 30, trackY - 95, 60, 30, 5);
+        rect(signX - 30, signY - 95, 60, 30, 5);
 
         // Distance text - white and bold
         noStroke();
@@ -257,28 +445,35 @@ function drawParallaxBackground(velocity) {
         textSize(14);
         textStyle(BOLD);
         textAlign(CENTER, CENTER);
-        text(`${distanceValue}m`, signX, trackY - 80);
+        text(`${distanceValue}m`, signX, signY - 80);
         textStyle(NORMAL);
     }
 
-    // Layer 5: Ground stripes (fastest - 1.5x for speed emphasis)
+    // Layer 5: Ground stripes (fastest - 1.5x for speed emphasis), painted on the tilted ground
+    push();
+    applyTrackTilt(inclineAngle);
+
     const stripeOffset = bgOffset * 1.5;
     const stripeSpacing = 50;
+    const stripeMargin = Math.ceil(tiltMargin / stripeSpacing);
 
     fill('#5a5a65');
     noStroke();
-    for (let i = -1; i <= Math.ceil(canvasWidth / stripeSpacing) + 3; i++) {
+    for (let i = -1 - stripeMargin; i <= Math.ceil(canvasWidth / stripeSpacing) + 3 + stripeMargin; i++) {
         const stripeX = (i * stripeSpacing - (stripeOffset % stripeSpacing));
         rect(stripeX, trackY + 12, 25, 5, 2);
     }
 
     // Ground dashes (very fast - 2x) - brighter
     const dashOffset = bgOffset * 2.0;
+    const dashMargin = Math.ceil(tiltMargin / 20);
     fill('#7a7a85');
-    for (let i = -1; i <= Math.ceil(canvasWidth / 20) + 3; i++) {
+    for (let i = -1 - dashMargin; i <= Math.ceil(canvasWidth / 20) + 3 + dashMargin; i++) {
         const dashX = (i * 20 - (dashOffset % 20));
         rect(dashX, trackY + 22, 8, 3);
     }
+
+    pop();
 }
 
 /**
@@ -300,35 +495,206 @@ function drawGrid() {
 }
 
 /**
- * Draw the horizontal track
+ * Draw the track with a ruler at real positions (scrolls and zooms with the camera)
  */
 function drawTrack() {
     const trackY = canvasHeight * TRACK_Y_RATIO;
+    const overscan = canvasWidth * 0.25; // Rail still reaches the edges when tilted
 
     // Main track surface
     noStroke();
     fill(COLORS.track);
-    rect(50, trackY, canvasWidth - 100, 8, 4);
+    rect(-overscan, trackY, canvasWidth + overscan * 2, 8);
 
-    // Distance markers
-    fill(COLORS.textSecondary);
+    // Distance markers: round tick and label spacings for the current zoom
     textSize(10);
     textAlign(CENTER);
 
-    for (let i = 0; i <= 10; i++) {
-        const x = 50 + (canvasWidth - 100) * (i / 10);
+    const tickSpacing = getRulerSpacing(RULER_TICK_MIN_PIXELS);
+    const labelSpacing = getRulerSpacing(RULER_LABEL_MIN_PIXELS);
+    const halfSpan = (canvasWidth / 2 + overscan) / camera.scale;
+    const firstTick = Math.ceil((camera.x - halfSpan) / tickSpacing) * tickSpacing;
+
+    for (let m = firstTick; m <= camera.x + halfSpan; m += tickSpacing) {
+        const x = worldToScreenX(m);
+        const labelled = m % labelSpacing === 0;
 
         // Marker line
         stroke(COLORS.text);
         strokeWeight(1);
-        line(x, trackY + 8, x, trackY + 16);
+        line(x, trackY + 8, x, trackY + (labelled ? 18 : 13));
 
         // Label
+        if (labelled) {
+            noStroke();
+            fill(COLORS.textSecondary);
+            text(`${m}m`, x, trackY + 30);
+        }
+    }
+}
+
+/**
+ * Draw the start line, split posts and the checkered finish line
+ */
+function drawTimingLines() {
+    const trackY = canvasHeight * TRACK_Y_RATIO;
+    const checkpoints = trackTimer.getCheckpoints();
+    const onScreen = (x) => x > -60 && x < canvasWidth + 60;
+
+    // Split posts
+    stroke('#FF9800');
+    strokeWeight(2);
+    for (const checkpoint of checkpoints.slice(1, -1)) {
+        const x = worldToScreenX(checkpoint);
+        if (onScreen(x)) line(x, trackY - 40, x, trackY + 8);
+    }
+
+    const { start, finish } = trackTimer.getLines();
+
+    // Start line (green)
+    const startX = worldToScreenX(start);
+    if (onScreen(startX)) {
+        stroke('#4CAF50');
+        strokeWeight(4);
+        line(startX, trackY - 70, startX, trackY + 8);
         noStroke();
-        text(`${(i - 5) * 10}m`, x, trackY + 28);
+        fill('#4CAF50');
+        textSize(12);
+        textStyle(BOLD);
+        textAlign(CENTER, BOTTOM);
+        text('START', startX, trackY - 72);
+        textStyle(NORMAL);
+    }
+
+    // Finish line (checkered flag on a pole)
+    const finishX = worldToScreenX(finish);
+    if (onScreen(finishX) && finish !== start) {
+        const cell = 8;
+        stroke(COLORS.text);
+        strokeWeight(3);
+        line(finishX, trackY - 70, finishX, trackY + 8);
+        noStroke();
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 4; col++) {
+                fill((row + col) % 2 === 0 ? 255 : 0);
+                rect(finishX + col * cell, trackY - 70 + row * cell, cell, cell);
+            }
+        }
     }
 }
 
+/**
+ * Draw the active challenge's target flag and the zone the sled must stop in
+ */
+function drawChallengeFlag() {
+    const flag = getChallengeFlag();
+    if (!flag) return;
+
+    const trackY = canvasHeight * TRACK_Y_RATIO;
+    const flagX = worldToScreenX(flag.position);
+    const zoneLeft = worldToScreenX(flag.position - flag.within);
+    const zoneRight = worldToScreenX(flag.position + flag.within);
+    if (zoneRight < -60 || zoneLeft > canvasWidth + 60) return;
+
+    // Target zone on the track
+    noStroke();
+    fill(255, 82, 82, 60);
+    rect(zoneLeft, trackY - 4, zoneRight - zoneLeft, 12);
+
+    // Pennant on a pole
+    stroke(COLORS.text);
+    strokeWeight(2);
+    line(flagX, trackY - 60, flagX, trackY + 8);
+    noStroke();
+    fill('#FF5252');
+    triangle(flagX, trackY - 60, flagX + 24, trackY - 52, flagX, trackY - 44);
+    fill(COLORS.text);
+    textSize(11);
+    textAlign(CENTER, BOTTOM);
+    text(`${flag.position} m`, flagX, trackY - 62);
+}
+
+/**
+ * Draw a race: one lane per sled between the start and finish lines, the whole distance on screen
+ * @param {Object} view - From getRaceView()
+ */
+function drawRace(view) {
+    const left = RACE_TRACK_MARGIN_LEFT;
+    const right = canvasWidth - RACE_TRACK_MARGIN_RIGHT;
+    const laneHeight = (canvasHeight - RACE_TRACK_MARGIN_TOP) / view.lanes.length;
+    // Past the finish the sleds park just beyond the line
+    const toX = (position) => left + (Math.min(position, view.distance * 1.03) / view.distance) * (right - left);
+
+    // Start and finish lines across every lane
+    stroke(COLORS.text);
+    strokeWeight(2);
+    line(toX(0), RACE_TRACK_MARGIN_TOP - 10, toX(0), canvasHeight - 6);
+    drawingContext.setLineDash([8, 6]);
+    line(toX(view.distance), RACE_TRACK_MARGIN_TOP - 10, toX(view.distance), canvasHeight - 6);
+    drawingContext.setLineDash([]);
+    noStroke();
+    fill(COLORS.textSecondary);
+    textSize(11);
+    textAlign(CENTER, BOTTOM);
+    text('START', toX(0), RACE_TRACK_MARGIN_TOP - 12);
+    text(`🏁 ${view.distance} m`, toX(view.distance), RACE_TRACK_MARGIN_TOP - 12);
+    textAlign(LEFT, BOTTOM);
+    text(`t = ${view.time.toFixed(2)} s`, 10, RACE_TRACK_MARGIN_TOP - 12);
+
+    view.lanes.forEach((lane, i) => {
+        const trackY = RACE_TRACK_MARGIN_TOP + laneHeight * (i + 1) - 14;
+
+        // Lane rail and name
+        noStroke();
+        fill(COLORS.track);
+        rect(left - 20, trackY, right - left + 40, 5);
+        fill(lane.color);
+        rect(0, trackY - laneHeight + 18, 4, laneHeight - 12);
+        textSize(12);
+        textAlign(LEFT, TOP);
+        text(lane.name, 10, trackY - laneHeight + 20);
+
+        // Sled at half size, wheels on the rail
+        const x = toX(lane.state.position);
+        push();
+        translate(x, trackY);
+        scale(RACE_SLED_SCALE);
+        drawSled(0, -SLED_HEIGHT / 2 - WHEEL_RADIUS, lane.state);
+        pop();
+
+        // Finish time, or the live speed while racing
+        fill(lane.finishTime === null ? COLORS.textSecondary : lane.color);
+        textSize(11);
+        textAlign(LEFT, BOTTOM);
+        const label = lane.finishTime === null
+            ? `${lane.state.velocity.toFixed(1)} m/s`
+            : `${lane.finishTime.toFixed(2)} s`;
+        text(label, Math.min(x + SLED_WIDTH * RACE_SLED_SCALE / 2 + 6, canvasWidth - 60), trackY - 4);
+    });
+}
+
+/**
+ * Draw the ghost sled see-through, behind the live one on the same track
+ * @param {number} y - Screen y of the sled body
+ * @param {Object|null} state - Ghost state (nothing is drawn without a ghost)
+ */
+function drawGhostSled(y, state) {
+    if (!state) return;
+
+    const x = worldToScreenX(state.position);
+    if (x < -SLED_WIDTH || x > canvasWidth + SLED_WIDTH) return;
+
+    drawingContext.globalAlpha = 0.4;
+    drawSled(x, y, state);
+    drawingContext.globalAlpha = 1;
+
+    fill(COLORS.text);
+    noStroke();
+    textSize(11);
+    textAlign(CENTER, BOTTOM);
+    text('👻 Ghost', x, y - 6);
+}
+
 /**
  * Draw the rocket sled
  */
@@ -366,11 +732,16 @@ function drawSled(x, y, state) {
     // To go LEFT (Force < 0), we need exhaust to go RIGHT. So Right rocket fires.
     // To go RIGHT (Force > 0), we need exhaust to go LEFT. So Left rocket fires.
 
+    // Flames follow the actual thrust, so they go out when the fuel tank runs dry
+
     // Left Rocket (Points Left): Fires when thrust is Positive (Right)
-    drawRocket(-SLED_WIDTH / 2 - 10, SLED_HEIGHT / 2, -1, state.thrustDirection === 1);
+    drawRocket(-SLED_WIDTH / 2 - 10, SLED_HEIGHT / 2, -1, state.appliedForce > 0);
 
     // Right Rocket (Points Right): Fires when thrust is Negative (Left)
-    drawRocket(SLED_WIDTH / 2 + 10, SLED_HEIGHT / 2, 1, state.thrustDirection === -1);
+    drawRocket(SLED_WIDTH / 2 + 10, SLED_HEIGHT / 2, 1, state.appliedForce < 0);
+
+    // Cargo crates on the deck
+    drawCargo(state.payloadMass);
 
     // Draw Character (Penguin or Pug if unlocked!)
     drawCharacter(0, -5, state.thrustDirection);
@@ -378,6 +749,34 @@ function drawSled(x, y, state) {
     pop();
 }
 
+/**
+ * Draw cargo crates on both ends of the deck, one crate per CRATE_MASS (up to four)
+ * Coordinates are relative to the top-center of the sled body
+ */
+function drawCargo(payloadMass) {
+    if (payloadMass <= 0) return;
+
+    const crateCount = Math.min(4, Math.ceil(payloadMass / CRATE_MASS));
+    const slots = [
+        [-SLED_WIDTH / 2 + 4, -CRATE_SIZE],
+        [SLED_WIDTH / 2 - 4 - CRATE_SIZE, -CRATE_SIZE],
+        [-SLED_WIDTH / 2 + 4, -CRATE_SIZE * 2],
+        [SLED_WIDTH / 2 - 4 - CRATE_SIZE, -CRATE_SIZE * 2]
+    ];
+
+    stroke('#5D4037');
+    strokeWeight(2);
+    for (let i = 0; i < crateCount; i++) {
+        const [cx, cy] = slots[i];
+        fill('#C68642');
+        rect(cx, cy, CRATE_SIZE, CRATE_SIZE, 2);
+        // Cross planks
+        line(cx + 2, cy + 2, cx + CRATE_SIZE - 2, cy + CRATE_SIZE - 2);
+        line(cx + CRATE_SIZE - 2, cy + 2, cx + 2, cy + CRATE_SIZE - 2);
+    }
+    noStroke();
+}
+
 /**
  * Draw a character on the sled (penguin by default, pug if unlocked)
  */
@@ -536,15 +935,16 @@ function initSnow() {
 
 /**
  * Update and draw snow
+ * @param {number} scroll - Background scroll this frame in pixels
  */
-function drawSnow(velocity) {
+function drawSnow(scroll) {
     noStroke();
     fill(255, 255, 255, 180);
 
     for (const p of snowParticles) {
         // Move snow
         p.y += p.speed;
-        p.x -= velocity * 2; // Move opposite to sled
+        p.x -= scroll; // Move opposite to sled
         p.wobble += 0.05;
 
         const wobbleX = Math.sin(p.wobble) * 2;
@@ -617,6 +1017,7 @@ function drawRocket(x, y, direction, active) {
 /**
  * Draw force diagram centered on the sled's center of mass
  * Main View: Arrows ONLY (no text) to avoid clutter
+ * Drawn in the tilted track frame: track forces run along the slope, normal is perpendicular to it
  */
 function drawForceDiagram(x, y, state) {
     // Center of mass position (center of the sled body)
@@ -649,9 +1050,23 @@ function drawForceDiagram(x, y, state) {
     const normalLength = Math.max(state.normalForce * scale * 0.5, minArrowLength);
     drawForceArrow(comX, comY, 0, -normalLength, COLORS.forceNormal, '');
 
-    // Gravity/Weight (downward)
+    // Gravity/Weight (straight down on screen, so tipped back against the track tilt)
+    const theta = radians(state.inclineAngle);
     const gravityLength = Math.max(state.gravityForce * scale * 0.5, minArrowLength);
-    drawForceArrow(comX, comY, 0, gravityLength, COLORS.forceGravity, '');
+    drawForceArrow(comX, comY, -Math.sin(theta) * gravityLength, Math.cos(theta) * gravityLength, COLORS.forceGravity, '');
+}
+
+/**
+ * Where the Free Body Diagram box sits on the canvas (shared with the FBD exercise)
+ * @returns {{x: number, y: number, width: number, height: number, centerX: number, centerY: number}}
+ */
+function getFreeBodyDiagramBox() {
+    const width = 280; // Wider to fit labels
+    const height = 260; // Includes a 20px band at the top for the friction regime
+    // Bottom-Left positioning (avoids sled)
+    const x = 20;
+    const y = canvasHeight - height - 20;
+    return { x, y, width, height, centerX: x + width / 2, centerY: y + height / 2 + 10 };
 }
 
 /**
@@ -659,13 +1074,13 @@ function drawForceDiagram(x, y, state) {
  * This shows the forces in isolation with full labels
  */
 function drawFreeBodyDiagramOverlay(state) {
-    const boxWidth = 280; // Wider to fit labels
-    const boxHeight = 240;
-    // Bottom-Left positioning (avoids sled)
-    const boxX = 20;
-    const boxY = canvasHeight - boxHeight - 20;
-    const centerX = boxX + boxWidth / 2;
-    const centerY = boxY + boxHeight / 2;
+    const box = getFreeBodyDiagramBox();
+    const boxWidth = box.width;
+    const boxHeight = box.height;
+    const boxX = box.x;
+    const boxY = box.y;
+    const centerX = box.centerX;
+    const centerY = box.centerY;
 
     push();
 
@@ -699,39 +1114,87 @@ function drawFreeBodyDiagramOverlay(state) {
         return Math.min(Math.max(l, minLen), maxLen);
     };
 
+    // Slope axes on screen: along the track (uphill to the right when θ > 0) and out of the track
+    const theta = radians(state.inclineAngle);
+    const alongX = Math.cos(theta);
+    const alongY = -Math.sin(theta);
+    const outX = -Math.sin(theta);
+    const outY = -Math.cos(theta);
+    const tilted = state.inclineAngle !== 0;
+
+    // Ramp surface line and angle
+    if (tilted) {
+        stroke(COLORS.textSecondary);
+        strokeWeight(1);
+        line(centerX - alongX * 120, centerY - alongY * 120, centerX + alongX * 120, centerY + alongY * 120);
+        noStroke();
+        fill(COLORS.textSecondary);
+        textSize(11);
+        textAlign(RIGHT, BOTTOM);
+        text(`θ = ${state.inclineAngle}°`, boxX + boxWidth - 10, boxY + boxHeight - 8);
+    }
+
     // --- Applied Force ---
     if (state.appliedForce !== 0) {
         const l = getLen(state.appliedForce);
         const dir = Math.sign(state.appliedForce);
-        drawFBDArrow(centerX, centerY, l * dir, 0, COLORS.forceApplied, 'F applied on\nSled by Rockets', dir === 1 ? 'RIGHT' : 'LEFT');
+        drawFBDArrow(centerX, centerY, alongX * l * dir, alongY * l * dir, COLORS.forceApplied, 'F applied on\nSled by Rockets', dir === 1 ? 'RIGHT' : 'LEFT');
     }
 
     // --- Friction ---
     if (Math.abs(state.frictionForce) > 0.1) {
         const l = getLen(state.frictionForce);
         const dir = Math.sign(state.frictionForce);
-        // Increased vertical offset to separate from Drag
-        drawFBDArrow(centerX, centerY + 10, l * dir, 0, COLORS.forceFriction, 'F friction on\nSled by Track', dir === 1 ? 'RIGHT' : 'LEFT');
+        const kind = state.frictionRegime === 'static' ? 'static' : 'kinetic';
+        // Offset below the track line to separate from Drag
+        drawFBDArrow(centerX - outX * 10, centerY - outY * 10, alongX * l * dir, alongY * l * dir, COLORS.forceFriction, `F ${kind} friction on\nSled by Track`, dir === 1 ? 'RIGHT' : 'LEFT');
+    }
+
+    // --- Friction regime (static vs kinetic) ---
+    if (state.frictionEnabled) {
+        noStroke();
+        textSize(11);
+        textStyle(BOLD);
+        textAlign(LEFT, TOP);
+        if (state.frictionRegime === 'static') {
+            fill('#FFD700');
+            text('STATIC: |F push| ≤ µs·N, sled held', boxX + 10, boxY + 8);
+        } else {
+            fill(COLORS.forceFriction);
+            text('KINETIC: sliding, F friction = µk·N', boxX + 10, boxY + 8);
+        }
+        textStyle(NORMAL);
     }
 
     // --- Drag ---
     if (Math.abs(state.airDragForce) > 0.1) {
         const l = getLen(state.airDragForce);
         const dir = Math.sign(state.airDragForce);
-        drawFBDArrow(centerX, centerY - 10, l * dir, 0, COLORS.forceAir, 'F air on\nSled by Air', dir === 1 ? 'RIGHT' : 'LEFT');
+        drawFBDArrow(centerX + outX * 10, centerY + outY * 10, alongX * l * dir, alongY * l * dir, COLORS.forceAir, 'F air on\nSled by Air', dir === 1 ? 'RIGHT' : 'LEFT');
     }
 
     // --- Normal ---
     const normLen = getLen(state.normalForce);
 
-    // Check for vertical equilibrium (Normal = Gravity)
-    const isVerticallyBalanced = Math.abs(state.normalForce - state.gravityForce) < 1;
+    // Check for equilibrium perpendicular to the track (Normal = mg·cosθ, the full weight on flat ground)
+    const perpendicularWeight = state.gravityForce * Math.cos(theta);
+    const isPerpendicularBalanced = Math.abs(state.normalForce - perpendicularWeight) < 1;
 
-    drawFBDArrow(centerX, centerY, 0, -normLen, COLORS.forceNormal, 'F normal on\nSled by Track', 'TOP', isVerticallyBalanced);
+    drawFBDArrow(centerX, centerY, outX * normLen, outY * normLen, COLORS.forceNormal, 'F normal on\nSled by Track', 'TOP', isPerpendicularBalanced);
 
     // --- Gravity ---
     const gravLen = getLen(state.gravityForce);
-    drawFBDArrow(centerX, centerY, 0, gravLen, COLORS.forceGravity, 'F gravity on\nSled by Earth', 'BOTTOM', isVerticallyBalanced);
+    drawFBDArrow(centerX, centerY, 0, gravLen, COLORS.forceGravity, 'F gravity on\nSled by Earth', 'BOTTOM', !tilted && isPerpendicularBalanced);
+
+    // --- Weight components (dashed) on a ramp ---
+    if (tilted) {
+        const perpLen = getLen(perpendicularWeight);
+        drawFBDArrow(centerX, centerY, -outX * perpLen, -outY * perpLen, COLORS.forceGravity, 'mg·cosθ', outX < 0 ? 'RIGHT' : 'LEFT', isPerpendicularBalanced, true);
+
+        const parallelLen = getLen(state.gravityParallelForce);
+        const dir = Math.sign(state.gravityParallelForce);
+        drawFBDArrow(centerX, centerY, alongX * parallelLen * dir, alongY * parallelLen * dir, COLORS.forceGravity, 'mg·sinθ', dir === 1 ? 'RIGHT' : 'LEFT', false, true);
+    }
 
     pop();
 }
@@ -740,15 +1203,18 @@ function drawFreeBodyDiagramOverlay(state) {
  * specialized arrow drawer for the FBD overlay
  * Handles complex label positioning relative to the box bounds
  * Added congruencyMark support for balanced forces
+ * Dashed arrows show components of a force (e.g. weight on a ramp)
  */
-function drawFBDArrow(x, y, dx, dy, color, label, posHint, showCongruency = false) {
+function drawFBDArrow(x, y, dx, dy, color, label, posHint, showCongruency = false, dashed = false) {
     push();
     stroke(color);
-    strokeWeight(4);
+    strokeWeight(dashed ? 2 : 4);
     fill(color);
 
     // Line
+    if (dashed) drawingContext.setLineDash([6, 4]);
     line(x, y, x + dx, y + dy);
+    if (dashed) drawingContext.setLineDash([]);
 
     // Congruency Mark (Tick mark)
     if (showCongruency) {
@@ -912,6 +1378,16 @@ function toggleForceArrows(show) {
     showForceArrows = show;
 }
 
+/**
+ * Switch to the next camera mode
+ * @returns {string} Label of the new mode
+ */
+function cycleCameraMode() {
+    const modes = Object.keys(CAMERA_MODES);
+    setCameraMode(modes[(modes.indexOf(camera.mode) + 1) % modes.length]);
+    return CAMERA_MODES[camera.mode];
+}
+
 /**
  * Toggle grid visibility
  */
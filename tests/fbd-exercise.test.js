@@ -0,0 +1,73 @@
+/**
+ * Free body diagram exercise tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { getFreeBodyForces, describeDirection, gradeFreeBodyDiagram } = require('../src/js/fbd-exercise.js');
+
+/**
+ * A sled sliding right with friction on and the engines off
+ */
+function slidingSled() {
+    const sim = createSimulation();
+    sim.setFrictionEnabled(true);
+    sim.setInitialState({ velocity: 10 });
+    sim.run(0.5);
+    return sim.getState();
+}
+
+test('the engine forces become arrows with directions', () => {
+    const forces = getFreeBodyForces(slidingSled());
+    assert.deepEqual(forces.map(f => [f.type, f.angle]), [['friction', 180], ['normal', 90], ['gravity', -90]]);
+    assert.equal(forces.find(f => f.type === 'friction').magnitude, 750);
+
+    // On a 10° ramp the normal force tilts with the track; gravity stays straight down
+    const sim = createSimulation();
+    sim.setInclineAngle(10);
+    const ramp = getFreeBodyForces(sim.getState());
+    assert.equal(ramp.find(f => f.type === 'normal').angle, 100);
+    assert.equal(ramp.find(f => f.type === 'gravity').angle, -90);
+    assert.equal(describeDirection(100), 'up');
+    assert.equal(describeDirection(180), 'left');
+});
+
+test('a correct drawing passes at any scale', () => {
+    const actual = getFreeBodyForces(slidingSled());
+    const result = gradeFreeBodyDiagram([
+        { type: 'normal', angle: 92, length: 60 },
+        { type: 'gravity', angle: -88, length: 58 },
+        { type: 'friction', angle: 178, length: 12 }
+    ], actual);
+    assert.equal(result.correct, true);
+    assert.deepEqual(result.missing, []);
+    assert.ok(result.arrows.every(a => a.status === 'correct'));
+});
+
+test('each arrow gets feedback on direction and relative size', () => {
+    const actual = getFreeBodyForces(slidingSled());
+    const result = gradeFreeBodyDiagram([
+        { type: 'friction', angle: 0, length: 10 },     // points with the motion
+        { type: 'normal', angle: 90, length: 100 },
+        { type: 'gravity', angle: -90, length: 40 },    // much shorter than the equal normal force
+        { type: 'applied', angle: 0, length: 50 },      // engines are off
+        { type: 'normal', angle: 90, length: 100 }
+    ], actual);
+
+    const [friction, normal, gravity, applied, duplicate] = result.arrows;
+    assert.equal(friction.direction, false);
+    assert.match(friction.message, /should point left/);
+    assert.equal(normal.status, 'correct');
+    assert.equal(gravity.direction, true);
+    assert.equal(gravity.size, 'too short');
+    assert.equal(applied.status, 'extra');
+    assert.equal(duplicate.status, 'duplicate');
+    assert.equal(result.correct, false);
+});
+
+test('forces that were not drawn are listed as missing', () => {
+    const result = gradeFreeBodyDiagram([{ type: 'gravity', angle: -90, length: 50 }], getFreeBodyForces(slidingSled()));
+    assert.deepEqual(result.missing, ['friction', 'normal']);
+    assert.equal(result.correct, false);
+});
@@ -0,0 +1,57 @@
+/**
+ * Ghost sled comparison tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { getGhostConfig, stepGhostSled } = require('../src/js/ghost.js');
+
+/**
+ * Step a live sled and its ghost together for a span of simulated time
+ */
+function runTogether(live, ghost, duration) {
+    live.run(duration, () => stepGhostSled(live, ghost));
+}
+
+test('the ghost changes one setting and keeps the rest', () => {
+    const live = createSimulation({ airDragEnabled: true, sledMass: 800 });
+    const config = getGhostConfig(live.getConfig(), 'friction');
+    assert.equal(config.frictionEnabled, true);
+    assert.equal(config.airDragEnabled, true);
+    assert.equal(config.sledMass, 800);
+
+    assert.equal(getGhostConfig(live.getConfig(), 'sledMass', 1200).sledMass, 1200);
+    // The live sled's settings are untouched
+    assert.equal(live.getConfig().frictionEnabled, false);
+    assert.throws(() => getGhostConfig(live.getConfig(), 'gravity', 0), /Unknown ghost setting/);
+});
+
+test('friction on vs. off with the same thrust', () => {
+    const live = createSimulation();
+    const ghost = createSimulation(getGhostConfig(live.getConfig(), 'friction'));
+    live.setThrustDirection(1);
+    live.setAppliedForceMagnitude(2000);
+
+    // a = 2000 / 500 = 4 m/s² without friction, (2000 − 750) / 500 = 2.5 m/s² with it
+    runTogether(live, ghost, 2);
+    assert.ok(Math.abs(live.state.velocity - 8) < 1e-6);
+    assert.ok(Math.abs(ghost.state.velocity - 5) < 1e-6);
+    assert.equal(ghost.state.frictionForce, -750);
+    assert.equal(ghost.state.time, live.state.time);
+});
+
+test('the ghost follows thrust changes step for step', () => {
+    const live = createSimulation();
+    const ghost = createSimulation(getGhostConfig(live.getConfig(), 'sledMass', 1000));
+    live.setThrustDirection(1);
+    live.setAppliedForceMagnitude(1000);
+    runTogether(live, ghost, 1);
+
+    // Engines off: both coast, the heavier ghost at half the speed
+    live.setThrustDirection(0);
+    runTogether(live, ghost, 1);
+    assert.equal(ghost.state.appliedForce, 0);
+    assert.ok(Math.abs(live.state.velocity - 2) < 1e-6);
+    assert.ok(Math.abs(ghost.state.velocity - 1) < 1e-6);
+});
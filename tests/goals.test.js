@@ -0,0 +1,132 @@
+/**
+ * Scenario goal tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { SCENARIO_PRESETS, applyScenario } = require('../src/js/scenarios.js');
+const { createGoalTracker, createChallengeJudge } = require('../src/js/goals.js');
+
+/**
+ * Run a simulation for a duration, feeding the starting state and every step to the tracker
+ */
+function runTracked(sim, tracker, duration) {
+    tracker.capture(sim.getState());
+    sim.run(duration, (state) => tracker.capture(state));
+}
+
+test('goals are met in order', () => {
+    const tracker = createGoalTracker([
+        { text: 'Reach 10 m/s', when: [{ quantity: 'speed', min: 10 }] },
+        { text: 'Stop', when: [{ quantity: 'speed', max: 0.2 }] }
+    ]);
+
+    // Standing still does not count as stopping before the sled has moved
+    tracker.capture({ time: 0, velocity: 0 });
+    assert.deepEqual(tracker.getStatus().map(g => g.met), [false, false]);
+
+    tracker.capture({ time: 1, velocity: 12 });
+    tracker.capture({ time: 2, velocity: 0.1 });
+    assert.equal(tracker.isComplete(), true);
+});
+
+test('holdFor requires the conditions to hold continuously', () => {
+    const tracker = createGoalTracker([
+        { text: 'Coast', when: [{ quantity: 'velocity', target: 10, tolerance: 0.01 }], holdFor: 2 }
+    ]);
+    tracker.capture({ time: 0, velocity: 10 });
+    tracker.capture({ time: 1.5, velocity: 9 });
+    tracker.capture({ time: 2.5, velocity: 10 });
+    assert.equal(tracker.isComplete(), false);
+
+    tracker.capture({ time: 4.5, velocity: 10 });
+    assert.equal(tracker.isComplete(), true);
+});
+
+test('a clock running backwards starts the checklist over', () => {
+    const tracker = createGoalTracker([{ text: 'Move', when: [{ quantity: 'speed', min: 1 }] }]);
+    tracker.capture({ time: 1, velocity: 2 });
+    assert.equal(tracker.capture({ time: 0, velocity: 0 }), true);
+    assert.equal(tracker.isComplete(), false);
+});
+
+test('reverse thrust completes the stopping scenario', () => {
+    const sim = createSimulation();
+    const scenario = applyScenario(sim, 'stopping', 2000);
+    const tracker = createGoalTracker(scenario.goals);
+
+    sim.setThrustDirection(-1);
+    sim.setAppliedForceMagnitude(2000);
+    runTracked(sim, tracker, 4); // 15 m/s at 4 m/s² stops after 3.75 s
+    assert.equal(tracker.isComplete(), true);
+});
+
+test('invalid goals are rejected', () => {
+    assert.throws(() => createGoalTracker([{ text: 'x', when: [] }]), /condition/);
+    assert.throws(() => createGoalTracker([{ text: 'x', when: [{ quantity: 'mood', min: 1 }] }]), /quantity/);
+    assert.ok(SCENARIO_PRESETS.stopping.goals.length > 0);
+});
+
+/**
+ * Run a challenge's judge alongside a simulation, from its starting state
+ */
+function runJudged(sim, judge, duration) {
+    judge.capture(sim.getState());
+    sim.run(duration, (state) => judge.capture(state));
+}
+
+function judgeScenario(scenario) {
+    return createChallengeJudge({ ...scenario.challenge, goals: scenario.goals });
+}
+
+test('cutting the engines at the right moment stops the sled at the flag', () => {
+    const sim = createSimulation();
+    const scenario = applyScenario(sim, 'stop-at-flag', 2000);
+    const judge = judgeScenario(scenario);
+
+    // 2.5 m/s² with thrust, 1.5 m/s² coasting: 50 m needs √15 ≈ 3.87 s of thrust
+    sim.setThrustDirection(1);
+    sim.setAppliedForceMagnitude(2000);
+    runJudged(sim, judge, 3.87);
+    sim.setAppliedForceMagnitude(0);
+    sim.run(8, (state) => judge.capture(state));
+
+    const result = judge.getResult();
+    assert.equal(result.status, 'passed');
+    assert.ok(Math.abs(sim.getState().position - 50) <= 2);
+});
+
+test('overshooting or running out of time fails a challenge', () => {
+    const sim = createSimulation();
+    const judge = judgeScenario(applyScenario(sim, 'stop-at-flag', 2000));
+    sim.setThrustDirection(1);
+    sim.setAppliedForceMagnitude(2000);
+    runJudged(sim, judge, 10);
+    assert.equal(judge.getResult().status, 'failed');
+    assert.equal(judge.getResult().reason, 'Overshot the flag');
+
+    // Full thrust at the default 2000 N only reaches 25 m/s in 10 s
+    const slow = createSimulation();
+    const reach = judgeScenario(applyScenario(slow, 'reach-30', 2000));
+    slow.setThrustDirection(1);
+    slow.setAppliedForceMagnitude(2000);
+    runJudged(slow, reach, 12);
+    assert.deepEqual(reach.getResult(), { status: 'failed', time: 10, reason: 'Out of time' });
+
+    // A new run (clock back at 0) starts a fresh attempt
+    reach.capture({ time: 0, velocity: 0 });
+    assert.equal(reach.getResult().status, 'running');
+});
+
+test('a larger force passes the 30 m/s challenge in time', () => {
+    const sim = createSimulation();
+    const judge = judgeScenario(applyScenario(sim, 'reach-30', 3000));
+    sim.setThrustDirection(1);
+    sim.setAppliedForceMagnitude(3000); // (3000 − 750) / 500 = 4.5 m/s²
+    runJudged(sim, judge, 10);
+
+    const result = judge.getResult();
+    assert.equal(result.status, 'passed');
+    assert.ok(result.time < 7);
+});
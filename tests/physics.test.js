@@ -0,0 +1,602 @@
+/**
+ * Physics engine tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SLED_MASS,
+    MIN_SLED_MASS,
+    MAX_SLED_MASS,
+    MAX_PAYLOAD_MASS,
+    MIN_FORCE,
+    MAX_FORCE,
+    GRAVITY,
+    MAX_VELOCITY,
+    MAX_INCLINE_ANGLE,
+    PHYSICS_TIMESTEP,
+    MAX_AIR_DENSITY,
+    createSimulation,
+    computeTerminalVelocity,
+    compareIntegrators
+} = require('../src/js/physics.js');
+
+const DT = PHYSICS_TIMESTEP;
+const WEIGHT = SLED_MASS * GRAVITY;
+
+/**
+ * Create a simulation already moving at a given velocity
+ */
+function movingSimulation(velocity, config) {
+    const sim = createSimulation(config);
+    sim.state.velocity = velocity;
+    return sim;
+}
+
+test('thrust alone obeys F = ma', () => {
+    const sim = createSimulation();
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    assert.equal(sim.state.appliedForce, 2000);
+    assert.equal(sim.state.netForce, 2000);
+    assert.equal(sim.state.acceleration, 2000 / SLED_MASS);
+});
+
+test('leftward thrust gives negative force and acceleration', () => {
+    const sim = createSimulation();
+    sim.setAppliedForceMagnitude(1000);
+    sim.setThrustDirection(-1);
+    sim.update(DT);
+
+    assert.equal(sim.state.appliedForce, -1000);
+    assert.equal(sim.state.acceleration, -1000 / SLED_MASS);
+    assert.ok(sim.state.velocity < 0);
+});
+
+test('weight and normal force balance on flat ground', () => {
+    const sim = createSimulation();
+    sim.update(DT);
+
+    assert.equal(sim.state.gravityForce, WEIGHT);
+    assert.equal(sim.state.normalForce, WEIGHT);
+});
+
+test('on a ramp the normal force is mg·cosθ and gravity pulls down the slope', () => {
+    const sim = createSimulation({ inclineAngle: 30 });
+    sim.update(DT);
+
+    assert.equal(sim.state.gravityForce, WEIGHT);
+    assert.ok(Math.abs(sim.state.normalForce - WEIGHT * Math.cos(Math.PI / 6)) < 1e-9);
+    assert.ok(Math.abs(sim.state.gravityParallelForce + WEIGHT / 2) < 1e-9);
+    assert.ok(sim.state.velocity < 0);
+});
+
+test('a frictionless ramp accelerates the sled at g·sinθ', () => {
+    const sim = createSimulation({ inclineAngle: -20 });
+    sim.run(2);
+
+    const expected = GRAVITY * Math.sin(20 * Math.PI / 180);
+    assert.ok(Math.abs(sim.state.acceleration - expected) < 1e-9);
+    assert.ok(Math.abs(sim.state.velocity - expected * 2) < 1e-6);
+});
+
+test('static friction holds the sled on a ramp while tanθ ≤ µs', () => {
+    const held = createSimulation({ inclineAngle: 10, frictionEnabled: true });
+    const slipping = createSimulation({ inclineAngle: 15, frictionEnabled: true });
+    held.run(2);
+    slipping.run(2);
+
+    assert.equal(held.state.velocity, 0);
+    assert.equal(held.state.frictionRegime, 'static');
+    assert.ok(Math.abs(held.state.frictionForce + held.state.gravityParallelForce) < 1e-9);
+
+    // Sliding down, kinetic friction points up the slope: a = -g·sinθ + µk·g·cosθ
+    const theta = 15 * Math.PI / 180;
+    assert.equal(slipping.state.frictionRegime, 'kinetic');
+    assert.ok(slipping.state.frictionForce > 0);
+    assert.ok(Math.abs(slipping.state.acceleration - GRAVITY * (-Math.sin(theta) + 0.15 * Math.cos(theta))) < 1e-9);
+});
+
+test('a sled coasting up a slippery ramp rolls back down instead of snapping to rest', () => {
+    const sim = movingSimulation(2, { inclineAngle: 5, airDragEnabled: true });
+    sim.run(5);
+
+    assert.ok(sim.state.velocity < -1);
+});
+
+test('setInclineAngle clamps to ±MAX_INCLINE_ANGLE', () => {
+    const sim = createSimulation();
+    sim.setInclineAngle(90);
+    assert.equal(sim.state.inclineAngle, MAX_INCLINE_ANGLE);
+    sim.setInclineAngle(-90);
+    assert.equal(sim.state.inclineAngle, -MAX_INCLINE_ANGLE);
+});
+
+test('the same force gives half the acceleration to twice the mass', () => {
+    const light = createSimulation({ sledMass: 500 });
+    const heavy = createSimulation({ sledMass: 1000 });
+    for (const sim of [light, heavy]) {
+        sim.setAppliedForceMagnitude(2000);
+        sim.setThrustDirection(1);
+        sim.update(DT);
+    }
+
+    assert.equal(light.state.acceleration, 4);
+    assert.equal(heavy.state.acceleration, 2);
+});
+
+test('cargo adds to the weight, normal force and friction', () => {
+    const sim = movingSimulation(10, { frictionEnabled: true, payloadMass: 300, payloadLoaded: true });
+    sim.update(DT);
+
+    assert.equal(sim.state.mass, SLED_MASS + 300);
+    assert.equal(sim.state.payloadMass, 300);
+    assert.equal(sim.state.normalForce, (SLED_MASS + 300) * GRAVITY);
+    assert.ok(Math.abs(sim.state.frictionForce + 0.15 * (SLED_MASS + 300) * GRAVITY) < 1e-9);
+});
+
+test('loading cargo mid-run conserves momentum; unloading keeps the velocity', () => {
+    const sim = movingSimulation(12, { payloadMass: 500 });
+
+    sim.setPayloadLoaded(true);
+    assert.equal(sim.state.mass, 1000);
+    assert.equal(sim.state.velocity, 6);
+
+    sim.setPayloadLoaded(false);
+    assert.equal(sim.state.mass, SLED_MASS);
+    assert.equal(sim.state.payloadMass, 0);
+    assert.equal(sim.state.velocity, 6);
+});
+
+test('mass setters clamp to their ranges', () => {
+    const sim = createSimulation();
+    sim.setSledMass(1);
+    assert.equal(sim.getSledMass(), MIN_SLED_MASS);
+    sim.setSledMass(1e6);
+    assert.equal(sim.getSledMass(), MAX_SLED_MASS);
+    sim.setPayloadMass(-5);
+    assert.equal(sim.getPayloadMass(), 0);
+    sim.setPayloadMass(1e6);
+    assert.equal(sim.getPayloadMass(), MAX_PAYLOAD_MASS);
+});
+
+test('fuel adds to the mass and burns away while the engines fire', () => {
+    const sim = createSimulation({ fuelEnabled: true, fuelCapacity: 200, burnRate: 10 });
+    assert.equal(sim.state.mass, SLED_MASS + 200);
+
+    sim.run(5);
+    assert.equal(sim.state.fuelMass, 200);
+
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.run(5);
+    assert.ok(Math.abs(sim.state.fuelMass - 150) < 1e-6);
+    assert.ok(Math.abs(sim.state.mass - (SLED_MASS + 150)) < 1e-6);
+});
+
+test('an empty tank cuts the thrust and the sled coasts', () => {
+    const sim = createSimulation({ fuelEnabled: true, fuelCapacity: 50, burnRate: 25 });
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.run(3);
+
+    assert.equal(sim.state.fuelMass, 0);
+    assert.equal(sim.state.mass, SLED_MASS);
+    assert.equal(sim.state.appliedForce, 0);
+    assert.equal(sim.state.acceleration, 0);
+    assert.ok(sim.state.velocity > 0);
+});
+
+test('a fuel burn follows the rocket equation v = (F/r)·ln(m0/mf)', () => {
+    const sim = createSimulation({ fuelEnabled: true, fuelCapacity: 250, burnRate: 20 });
+    sim.setAppliedForceMagnitude(1000);
+    sim.setThrustDirection(1);
+    sim.run(15);
+
+    // 12.5 s burn, then coasting
+    const expected = (1000 / 20) * Math.log((SLED_MASS + 250) / SLED_MASS);
+    assert.ok(Math.abs(sim.state.velocity - expected) < 0.05);
+});
+
+test('reset refills the tank; without fuel mode thrust never runs out', () => {
+    const fueled = createSimulation({ fuelEnabled: true, fuelCapacity: 100 });
+    fueled.setAppliedForceMagnitude(2000);
+    fueled.setThrustDirection(1);
+    fueled.run(20);
+    fueled.reset();
+    assert.equal(fueled.state.fuelMass, 100);
+
+    const unlimited = createSimulation();
+    unlimited.setAppliedForceMagnitude(2000);
+    unlimited.setThrustDirection(1);
+    unlimited.run(20);
+    assert.equal(unlimited.state.fuelMass, 0);
+    assert.equal(unlimited.state.appliedForce, 2000);
+});
+
+test('thrust with kinetic friction while moving', () => {
+    const sim = movingSimulation(10, { frictionEnabled: true });
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    assert.equal(sim.state.frictionForce, -0.15 * WEIGHT);
+    assert.equal(sim.state.airDragForce, 0);
+    assert.equal(sim.state.netForce, 2000 - 0.15 * WEIGHT);
+    assert.equal(sim.state.acceleration, (2000 - 0.15 * WEIGHT) / SLED_MASS);
+});
+
+test('thrust with air drag while moving', () => {
+    const sim = movingSimulation(10, { airDragEnabled: true });
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    assert.equal(sim.state.frictionForce, 0);
+    assert.equal(sim.state.airDragForce, -50);
+    assert.equal(sim.state.netForce, 1950);
+});
+
+test('thrust with friction and air drag while moving', () => {
+    const sim = movingSimulation(10, { frictionEnabled: true, airDragEnabled: true });
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    assert.equal(sim.state.netForce, 2000 - 0.15 * WEIGHT - 50);
+    assert.equal(sim.state.acceleration, sim.state.netForce / SLED_MASS);
+});
+
+test('static friction holds the sled when thrust is too small', () => {
+    const sim = createSimulation({ frictionEnabled: true });
+    sim.setAppliedForceMagnitude(500);
+    sim.setThrustDirection(1);
+    sim.run(2);
+
+    assert.equal(sim.state.frictionForce, -500);
+    assert.equal(sim.state.frictionRegime, 'static');
+    assert.equal(sim.state.netForce, 0);
+    assert.equal(sim.state.velocity, 0);
+    assert.equal(sim.state.position, 0);
+});
+
+test('static friction holds right up to µs·N', () => {
+    const sim = createSimulation({ frictionEnabled: true, staticFrictionCoefficient: 0.2 });
+    sim.setAppliedForceMagnitude(0.2 * WEIGHT);
+    sim.setThrustDirection(-1);
+    sim.run(1);
+
+    assert.equal(sim.state.frictionRegime, 'static');
+    assert.equal(sim.state.frictionForce, 0.2 * WEIGHT);
+    assert.equal(sim.state.velocity, 0);
+});
+
+test('sled breaks free only when thrust exceeds µs·N, then slides with µk·N', () => {
+    const sim = createSimulation({ frictionEnabled: true, staticFrictionCoefficient: 0.2 });
+    sim.setAppliedForceMagnitude(1200);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    // Kinetic friction opposes the impending motion from the first step
+    assert.equal(sim.state.frictionRegime, 'kinetic');
+    assert.equal(sim.state.frictionForce, -0.15 * WEIGHT);
+
+    sim.run(1);
+    assert.ok(sim.state.velocity > 0);
+    assert.equal(sim.state.frictionForce, -0.15 * WEIGHT);
+});
+
+test('a µs below µk is treated as µk', () => {
+    const sim = createSimulation({ frictionEnabled: true, frictionCoefficient: 0.3, staticFrictionCoefficient: 0.1 });
+    sim.setAppliedForceMagnitude(1200);
+    sim.setThrustDirection(1);
+    sim.run(1);
+
+    assert.equal(sim.state.frictionRegime, 'static');
+    assert.equal(sim.state.velocity, 0);
+});
+
+test('a sliding sled sticks instead of reversing when the push is below µs·N', () => {
+    const sim = movingSimulation(-2, { frictionEnabled: true });
+    sim.setAppliedForceMagnitude(500);
+    sim.setThrustDirection(1);
+    sim.run(3);
+
+    assert.equal(sim.state.velocity, 0);
+    assert.equal(sim.state.frictionRegime, 'static');
+});
+
+test('a sled that sticks on a step stays where it stopped', () => {
+    const sim = movingSimulation(0.01, { frictionEnabled: true });
+    sim.update(DT);
+
+    assert.equal(sim.state.velocity, 0);
+    assert.equal(sim.state.position, 0);
+    assert.equal(sim.state.distance, 0);
+});
+
+test('a large reversed push drives the sled back through zero', () => {
+    const sim = movingSimulation(-2, { frictionEnabled: true });
+    sim.setAppliedForceMagnitude(3000);
+    sim.setThrustDirection(1);
+    sim.run(3);
+
+    assert.ok(sim.state.velocity > 0);
+    assert.equal(sim.state.frictionRegime, 'kinetic');
+});
+
+test('friction regime is none when friction is off', () => {
+    const sim = movingSimulation(5);
+    sim.update(DT);
+
+    assert.equal(sim.state.frictionRegime, 'none');
+});
+
+test('kinetic friction always opposes the velocity', () => {
+    const right = movingSimulation(10, { frictionEnabled: true });
+    const left = movingSimulation(-10, { frictionEnabled: true });
+    right.update(DT);
+    left.update(DT);
+
+    assert.equal(right.state.frictionForce, -0.15 * WEIGHT);
+    assert.equal(left.state.frictionForce, 0.15 * WEIGHT);
+});
+
+test('air drag is quadratic in speed and opposes the velocity', () => {
+    const slow = movingSimulation(10, { airDragEnabled: true });
+    const fast = movingSimulation(20, { airDragEnabled: true });
+    const reverse = movingSimulation(-20, { airDragEnabled: true });
+    slow.update(DT);
+    fast.update(DT);
+    reverse.update(DT);
+
+    assert.equal(slow.state.airDragForce, -50);
+    assert.equal(fast.state.airDragForce, -200);
+    assert.equal(reverse.state.airDragForce, 200);
+});
+
+test('quadratic drag is ½ρC_dA·v², so doubling ρ or A doubles it', () => {
+    const denser = movingSimulation(10, { airDragEnabled: true, airDensity: 2.5 });
+    const wider = movingSimulation(10, { airDragEnabled: true, frontalArea: 2 });
+    const blunter = movingSimulation(10, { airDragEnabled: true, dragCoefficient: 1.2, frontalArea: 0.5 });
+    [denser, wider, blunter].forEach(sim => sim.update(DT));
+
+    assert.ok(Math.abs(denser.state.airDragForce - -100) < 1e-9);
+    assert.ok(Math.abs(wider.state.airDragForce - -100) < 1e-9);
+    assert.ok(Math.abs(blunter.state.airDragForce - -37.5) < 1e-9);
+
+    denser.setAirDensity(10);
+    assert.equal(denser.getDragSettings().airDensity, MAX_AIR_DENSITY);
+});
+
+test('linear drag is b·v and the sled levels off at F/b', () => {
+    const sim = createSimulation({ airDragEnabled: true, dragModel: 'linear', linearDragCoefficient: 80 });
+    sim.state.velocity = 10;
+    sim.update(DT);
+    assert.equal(sim.state.airDragForce, -800);
+
+    sim.reset();
+    sim.setThrustDirection(1);
+    sim.run(60);
+    assert.equal(sim.getTerminalVelocity(), 2000 / 80);
+    assert.ok(Math.abs(sim.state.velocity - 25) < 0.01);
+});
+
+test('terminal velocity takes away kinetic friction and matches the plateau', () => {
+    const sim = createSimulation({ airDragEnabled: true, frictionEnabled: true, appliedForceMagnitude: 1500 });
+    sim.setThrustDirection(1);
+
+    // (1500 − 0.15 × 5000) N = 0.5·v², so v_t = √1500
+    assert.ok(Math.abs(sim.getTerminalVelocity() - Math.sqrt(1500)) < 1e-9);
+    sim.run(180);
+    assert.ok(Math.abs(sim.state.velocity - Math.sqrt(1500)) < 0.01);
+
+    sim.setAirDragEnabled(false);
+    assert.equal(sim.getTerminalVelocity(), null);
+});
+
+test('computeTerminalVelocity handles no push and no drag', () => {
+    const drag = { model: 'quadratic', dragCoefficient: 0.8, frontalArea: 1, airDensity: 1.25, linearDragCoefficient: 50 };
+
+    assert.equal(computeTerminalVelocity(-100, drag), 0);
+    assert.equal(computeTerminalVelocity(200, drag), 20);
+    assert.equal(computeTerminalVelocity(200, { ...drag, model: 'linear' }), 4);
+    assert.equal(computeTerminalVelocity(200, { ...drag, frontalArea: 0 }), Infinity);
+});
+
+test('a slow sled snaps to rest when resistance is on and thrust is off', () => {
+    const sim = movingSimulation(0.04, { frictionEnabled: true });
+    sim.update(DT);
+
+    assert.equal(sim.state.velocity, 0);
+});
+
+test('a slow sled keeps coasting with no resistance', () => {
+    const sim = movingSimulation(0.04);
+    sim.run(1);
+
+    assert.equal(sim.state.velocity, 0.04);
+});
+
+test('a slow sled is not stopped while thrust is on', () => {
+    const sim = movingSimulation(0.04, { airDragEnabled: true });
+    sim.setAppliedForceMagnitude(500);
+    sim.setThrustDirection(1);
+    sim.update(DT);
+
+    assert.ok(sim.state.velocity > 0.04);
+});
+
+test('velocity is clamped to MAX_VELOCITY', () => {
+    const sim = createSimulation();
+    sim.setAppliedForceMagnitude(MAX_FORCE);
+    sim.setThrustDirection(1);
+    sim.run(10);
+
+    assert.equal(sim.state.velocity, MAX_VELOCITY);
+
+    sim.setThrustDirection(-1);
+    sim.run(30);
+    assert.equal(sim.state.velocity, -MAX_VELOCITY);
+
+    // At the cap the sled covers MAX_VELOCITY·dt per step, not what the unclamped velocity would give
+    const before = sim.state.position;
+    sim.update(DT);
+    assert.ok(Math.abs(sim.state.position - (before - MAX_VELOCITY * DT)) < 1e-9);
+});
+
+test('setAppliedForceMagnitude allows zero and clamps to the force range', () => {
+    const sim = createSimulation();
+
+    sim.setAppliedForceMagnitude(0);
+    assert.equal(sim.getAppliedForceMagnitude(), 0);
+
+    sim.setAppliedForceMagnitude(100);
+    assert.equal(sim.getAppliedForceMagnitude(), MIN_FORCE);
+
+    sim.setAppliedForceMagnitude(10000);
+    assert.equal(sim.getAppliedForceMagnitude(), MAX_FORCE);
+
+    sim.setAppliedForceMagnitude(-3000);
+    assert.equal(sim.getAppliedForceMagnitude(), 3000);
+});
+
+test('setFrictionCoefficient clamps to 0–1', () => {
+    const sim = createSimulation();
+
+    sim.setFrictionCoefficient(-0.5);
+    assert.equal(sim.getFrictionCoefficient(), 0);
+
+    sim.setFrictionCoefficient(2);
+    assert.equal(sim.getFrictionCoefficient(), 1);
+
+    sim.setFrictionCoefficient(0.4);
+    assert.equal(sim.getFrictionCoefficient(), 0.4);
+});
+
+test('setStaticFrictionCoefficient clamps to 0–1', () => {
+    const sim = createSimulation();
+
+    sim.setStaticFrictionCoefficient(-0.5);
+    assert.equal(sim.getStaticFrictionCoefficient(), 0);
+
+    sim.setStaticFrictionCoefficient(2);
+    assert.equal(sim.getStaticFrictionCoefficient(), 1);
+
+    sim.setStaticFrictionCoefficient(0.35);
+    assert.equal(sim.getStaticFrictionCoefficient(), 0.35);
+});
+
+test('setThrustDirection keeps only the sign', () => {
+    const sim = createSimulation();
+
+    sim.setThrustDirection(7);
+    assert.equal(sim.state.thrustDirection, 1);
+
+    sim.setThrustDirection(-0.2);
+    assert.equal(sim.state.thrustDirection, -1);
+});
+
+test('reset returns the sled to rest but keeps settings', () => {
+    const sim = createSimulation({ frictionEnabled: true });
+    sim.setThrustDirection(1);
+    sim.run(3);
+    sim.reset();
+
+    assert.equal(sim.state.time, 0);
+    assert.equal(sim.state.position, 0);
+    assert.equal(sim.state.velocity, 0);
+    assert.equal(sim.state.thrustDirection, 0);
+    assert.equal(sim.state.frictionEnabled, true);
+});
+
+test('simulations are independent and deterministic', () => {
+    const a = createSimulation({ airDragEnabled: true });
+    const b = createSimulation({ airDragEnabled: true });
+    const other = createSimulation();
+
+    for (const sim of [a, b]) {
+        sim.setThrustDirection(1);
+        sim.run(3);
+        sim.setThrustDirection(-1);
+        sim.run(2);
+    }
+
+    assert.deepEqual(a.getState(), b.getState());
+    assert.equal(other.state.velocity, 0);
+});
+
+test('getConfig builds a simulation with the same settings', () => {
+    const sim = createSimulation({ frictionEnabled: true, inclineAngle: 5, payloadLoaded: true, integrator: 'rk4' });
+    sim.setSledMass(800);
+    sim.setFuelEnabled(true);
+    sim.setBurnRate(20);
+    sim.setDragModel('linear');
+    sim.setLinearDragCoefficient(120);
+
+    const copy = createSimulation(sim.getConfig());
+    assert.deepEqual(copy.getConfig(), sim.getConfig());
+    assert.deepEqual(copy.getState(), sim.getState());
+});
+
+test('the odometer counts distance in both directions', () => {
+    const sim = movingSimulation(4);
+    sim.run(2);
+    sim.state.velocity = -4;
+    sim.run(3);
+
+    assert.ok(Math.abs(sim.state.position - (-4)) < 1e-6);
+    assert.ok(Math.abs(sim.state.distance - 20) < 1e-6);
+
+    sim.reset();
+    assert.equal(sim.state.distance, 0);
+});
+
+test('advance consumes wall-clock time in fixed sub-steps', () => {
+    const sim = createSimulation();
+    sim.setThrustDirection(1);
+
+    assert.equal(sim.advance(DT * 2.6), 2);
+    assert.equal(sim.advance(DT * 0.5), 1);
+    assert.ok(Math.abs(sim.state.time - DT * 3) < 1e-12);
+});
+
+test('a single step leaves nothing to interpolate, so the render state is the stepped state', () => {
+    const sim = createSimulation();
+    sim.setThrustDirection(1);
+    sim.advance(DT * 2.6);
+    assert.notDeepEqual(sim.getRenderState(), sim.getState());
+
+    sim.step();
+    assert.deepEqual(sim.getRenderState(), sim.getState());
+    // The dropped leftover time does not add a step on the next frame
+    assert.equal(sim.advance(DT * 0.5), 0);
+});
+
+test('a time scale gives slow motion and fast-forward with the same fixed sub-steps', () => {
+    const slow = createSimulation();
+    // 0.1× needs ten frames of wall-clock time for one sub-step
+    for (let i = 0; i < 9; i++) assert.equal(slow.advance(DT, undefined, 0.1), 0);
+    assert.equal(slow.advance(DT * 1.01, undefined, 0.1), 1);
+
+    const fast = createSimulation();
+    assert.equal(fast.advance(DT, undefined, 4), 4);
+    // A stall is clamped before scaling: 4 × MAX_FRAME_TIME of simulated time at most
+    assert.equal(fast.advance(10, undefined, 4), 120);
+});
+
+test('RK4 is the most accurate integrator for quadratic drag', () => {
+    const rows = compareIntegrators('quadratic-drag', 0.5, 10);
+    const error = (name) => Math.abs(rows.find(r => r.name === name).velocityError);
+
+    assert.ok(error('rk4') < error('velocity-verlet'));
+    assert.ok(error('velocity-verlet') < error('euler'));
+});
+
+test('every integrator gets constant-force velocity exactly', () => {
+    for (const row of compareIntegrators('constant-force', 0.5, 10)) {
+        assert.ok(Math.abs(row.velocityError) < 1e-9, row.name);
+    }
+});
@@ -0,0 +1,194 @@
+/**
+ * Quiz engine tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { applyScenario } = require('../src/js/scenarios.js');
+const { parseQuizBank, measureRun, shuffleItems, createQuiz } = require('../src/js/quiz.js');
+
+const BUILT_IN_BANK = parseQuizBank(require('../src/data/quiz.json'));
+
+/**
+ * Repeatable pseudo-random numbers for shuffles
+ */
+function seededRandom(seed) {
+    let value = seed;
+    return () => {
+        value = (value * 16807) % 2147483647;
+        return (value - 1) / 2147483646;
+    };
+}
+
+const SMALL_BANK = parseQuizBank({
+    type: 'quiz-bank',
+    title: 'Test bank',
+    questions: [
+        {
+            type: 'choice',
+            prompt: 'Net force zero means?',
+            options: [
+                { text: 'a = 0', correct: true },
+                { text: 'v = 0', explanation: 'The sled can still move.' }
+            ]
+        },
+        { type: 'numeric', prompt: '1000 N on 500 kg?', answer: 2, tolerance: 0.05, unit: 'm/s²', explanation: 'a = F/m' },
+        { type: 'ordering', prompt: 'Order', items: ['first', 'second', 'third'] }
+    ]
+});
+
+/**
+ * Run a scenario the way a student would, returning every step like the quiz's run log
+ * @param {Function} [drive] - Called with the simulation before each second of the run
+ */
+function recordScenarioRun(scenario, duration, drive = () => {}) {
+    const sim = createSimulation();
+    applyScenario(sim, scenario, 2000);
+    const samples = [sim.getState()];
+    for (let t = 0; t < duration; t++) {
+        drive(sim, t);
+        sim.run(1, (state) => samples.push(state));
+    }
+    return samples;
+}
+
+/**
+ * Answer every question correctly, looking the answers up in the bank
+ */
+function answerAll(quiz, bank) {
+    quiz.questions.forEach((shown, i) => {
+        const question = bank.questions.find(q => q.prompt === shown.prompt);
+        if (question.type === 'observe') {
+            const run = recordScenarioRun(question.scenario, question.runFor);
+            const measured = measureRun(run, question.measure);
+            const direction = Math.abs(measured) < 0.5 ? 1 : Math.sign(measured) + 1;
+            quiz.answer(i, question.ask === 'direction' ? direction : measured, run);
+        } else if (question.type === 'choice') {
+            quiz.answer(i, shown.options.indexOf(question.options.find(o => o.correct).text));
+        } else if (question.type === 'numeric') {
+            quiz.answer(i, question.answer);
+        } else {
+            quiz.answer(i, question.items.map(item => shown.items.indexOf(item)));
+        }
+    });
+}
+
+test('the built-in bank is valid and a quiz draws its question count', () => {
+    assert.ok(BUILT_IN_BANK.questions.length > BUILT_IN_BANK.questionsPerQuiz);
+    for (const type of ['choice', 'numeric', 'ordering', 'observe']) {
+        assert.ok(BUILT_IN_BANK.questions.some(q => q.type === type), type);
+    }
+
+    const quiz = createQuiz(BUILT_IN_BANK, seededRandom(7));
+    assert.equal(quiz.questions.length, BUILT_IN_BANK.questionsPerQuiz);
+    answerAll(quiz, BUILT_IN_BANK);
+    assert.equal(quiz.isPerfect(), true);
+
+    // Every question can be answered, including runs of the scenarios they name
+    const everything = createQuiz({ ...BUILT_IN_BANK, questionsPerQuiz: BUILT_IN_BANK.questions.length });
+    answerAll(everything, BUILT_IN_BANK);
+    assert.equal(everything.isPerfect(), true);
+});
+
+test('shown questions carry no answer key', () => {
+    const quiz = createQuiz(SMALL_BANK, seededRandom(3));
+    const shown = JSON.stringify(quiz.questions);
+    assert.doesNotMatch(shown, /correct|answer|explanation|tolerance/);
+
+    // Ordering questions never start in the right order
+    const ordering = quiz.questions.find(q => q.type === 'ordering');
+    assert.notDeepEqual(ordering.items, ['first', 'second', 'third']);
+});
+
+test('each question type is graded, with explanations', () => {
+    const quiz = createQuiz(SMALL_BANK, seededRandom(11));
+    const index = (type) => quiz.questions.findIndex(q => q.type === type);
+
+    const choice = quiz.questions[index('choice')];
+    const wrong = quiz.answer(index('choice'), choice.options.indexOf('v = 0'));
+    assert.deepEqual(wrong, { correct: false, explanation: 'The sled can still move.', answer: 'a = 0' });
+
+    assert.equal(quiz.answer(index('numeric'), '2.04').correct, true);
+    assert.equal(quiz.answer(index('numeric'), 2.2).correct, false);
+
+    const ordering = quiz.questions[index('ordering')];
+    const order = ['first', 'second', 'third'].map(item => ordering.items.indexOf(item));
+    assert.equal(quiz.answer(index('ordering'), order).correct, true);
+
+    // Only the first answer to each question counts
+    assert.deepEqual(quiz.getScore(), { correct: 2, answered: 3, total: 3 });
+    assert.equal(quiz.isPerfect(), false);
+});
+
+test('shuffles keep every item and invalid banks are rejected', () => {
+    assert.deepEqual(shuffleItems([1, 2, 3, 4], seededRandom(5)).sort(), [1, 2, 3, 4]);
+
+    assert.throws(() => parseQuizBank('{'), /invalid JSON/);
+    assert.throws(() => parseQuizBank({ type: 'sled-presets', questions: [] }), /Not a question bank/);
+    assert.throws(() => parseQuizBank({
+        type: 'quiz-bank',
+        questions: [{ type: 'choice', prompt: 'Two right answers?', options: [{ text: 'a', correct: true }, { text: 'b', correct: true }] }]
+    }), /exactly one correct/);
+    assert.throws(() => parseQuizBank({ type: 'quiz-bank', questions: [{ type: 'essay', prompt: 'Why?' }] }), /question type/);
+});
+
+test('observe questions are graded against the student\'s own run', () => {
+    const bank = parseQuizBank({
+        type: 'quiz-bank',
+        questions: [
+            {
+                type: 'observe',
+                prompt: 'Terminal velocity?',
+                scenario: 'terminal-velocity',
+                runFor: 60,
+                measure: { quantity: 'velocity', at: 'plateau' },
+                tolerance: 1
+            },
+            {
+                type: 'observe',
+                prompt: 'Friction at t = 4 s?',
+                scenario: 'friction-only',
+                runFor: 4,
+                measure: { quantity: 'frictionForce', at: 4 },
+                ask: 'direction'
+            }
+        ]
+    });
+    const quiz = createQuiz(bank, seededRandom(2));
+    const index = (prompt) => quiz.questions.findIndex(q => q.prompt === prompt);
+    const terminal = index('Terminal velocity?');
+    const friction = index('Friction at t = 4 s?');
+
+    // 1000 N of thrust against 0.5·v² of drag levels off at √2000 ≈ 44.7 m/s
+    assert.throws(() => quiz.answer(terminal, 44.7, recordScenarioRun('terminal-velocity', 20)), /at least 60 s/);
+    const long = recordScenarioRun('terminal-velocity', 60);
+    assert.equal(quiz.answer(terminal, 44.5, long).correct, true);
+
+    // Pushing right for 3 s and coasting: still sliding right at 4 s, so friction points left
+    const pushed = recordScenarioRun('friction-only', 4, (sim, t) => {
+        sim.setThrustDirection(t < 3 ? 1 : 0);
+        sim.setAppliedForceMagnitude(t < 3 ? 2000 : 0);
+    });
+    assert.deepEqual(quiz.questions[friction].options, ['Left', 'None (zero)', 'Right']);
+    assert.deepEqual(quiz.answer(friction, 0, pushed), { correct: true, explanation: '', answer: 'Left' });
+
+    // A sled that never moved feels no friction: the answer follows the run
+    const again = createQuiz(bank, seededRandom(2));
+    assert.equal(again.answer(friction, 1, recordScenarioRun('friction-only', 4)).answer, 'None (zero)');
+});
+
+test('runs that have not leveled off or not reached the time are not measured', () => {
+    const run = recordScenarioRun('terminal-velocity', 20);
+    assert.throws(() => measureRun(run, { quantity: 'velocity', at: 'plateau' }), /leveled off/);
+    assert.throws(() => measureRun(run, { quantity: 'velocity', at: 30 }), /t = 30 s/);
+    assert.throws(() => measureRun([], { quantity: 'velocity', at: 'end' }), /Run the sled/);
+
+    const inertia = recordScenarioRun('inertia', 8);
+    assert.ok(Math.abs(measureRun(inertia, { quantity: 'position', at: 'max' }) - 36) < 0.1);
+
+    assert.throws(() => parseQuizBank({
+        type: 'quiz-bank',
+        questions: [{ type: 'observe', prompt: 'Mood?', scenario: 'inertia', measure: { quantity: 'mood' } }]
+    }), /unknown quantity/);
+});
@@ -0,0 +1,69 @@
+/**
+ * Race mode tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { SCENARIO_PRESETS, normalizeScenario } = require('../src/js/scenarios.js');
+const { createRace } = require('../src/js/race.js');
+
+/**
+ * Run a race to the end with one simulation per lane, built like the race panel builds them
+ */
+function runRace(race) {
+    const result = createRace(race, race.lanes.map(lane => createSimulation(lane.settings)));
+    while (!result.isFinished()) result.step();
+    return result;
+}
+
+test('the same thrust on less mass wins: t = √(2d/a)', () => {
+    const results = runRace(SCENARIO_PRESETS['race-mass'].race).getResults();
+    assert.deepEqual(results.map(r => r.name), ['Light (250 kg)', 'Standard (500 kg)', 'Heavy (1000 kg)']);
+
+    // 2000 N gives 8, 4 and 2 m/s² over 100 m
+    [5, Math.sqrt(50), 10].forEach((expected, i) => {
+        assert.ok(Math.abs(results[i].time - expected) < 0.02, `${results[i].name}: ${results[i].time}`);
+    });
+    assert.ok(Math.abs(results[0].topSpeed - 40) < 0.1);
+});
+
+test('sleds with the same net force per kilogram tie', () => {
+    // With µk = 0.15: a = F/m − 1.5 gives 2.5, 2.5, 1.5 and 3.5 m/s²
+    const results = runRace(SCENARIO_PRESETS['race-force-mass'].race).getResults();
+    assert.deepEqual(results.map(r => r.place), [1, 2, 2, 4]);
+    assert.equal(results[0].name, '4000 N, 800 kg');
+    assert.equal(results[1].time, results[2].time);
+});
+
+test('a sled that cannot finish is ranked by distance when time runs out', () => {
+    const race = normalizeScenario({
+        id: 'stuck',
+        title: 'Stuck',
+        race: {
+            distance: 50,
+            timeLimit: 10,
+            lanes: [
+                { name: 'Held by friction', force: 500, settings: { sledMass: 1000, frictionEnabled: true } },
+                { name: 'Slow', force: 500, settings: { sledMass: 2000 } },
+                { name: 'Fast', force: 2000 }
+            ]
+        }
+    }).race;
+
+    const finished = runRace(race);
+    assert.ok(Math.abs(finished.getTime() - 10) < 1e-6);
+    const results = finished.getResults();
+    assert.deepEqual(results.map(r => [r.place, r.name]), [[1, 'Fast'], [2, 'Slow'], [3, 'Held by friction']]);
+    // 0.25 m/s² for 10 s covers 12.5 m; static friction never lets go
+    assert.equal(results[1].time, null);
+    assert.ok(Math.abs(results[1].distance - 12.5) < 0.1);
+    assert.equal(results[2].distance, 0);
+});
+
+test('races need two to four lanes', () => {
+    assert.throws(() => normalizeScenario({ id: 'solo', title: 'Solo', race: { lanes: [{ force: 2000 }] } }), /2 to 4 lanes/);
+    const race = normalizeScenario({ id: 'pair', title: 'Pair', race: { lanes: [{ force: 2000 }, { force: 1000 }] } }).race;
+    assert.deepEqual([race.distance, race.timeLimit, race.lanes[1].name], [100, 60, 'Lane 2']);
+    assert.throws(() => createRace(race, [createSimulation()]), /one simulation per lane/);
+});
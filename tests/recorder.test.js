@@ -0,0 +1,99 @@
+/**
+ * Run recorder tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { RECORDER_FIELDS, createRunRecorder } = require('../src/js/recorder.js');
+
+/**
+ * Record a sled pushed right from rest for a few seconds
+ */
+function recordPushedRun(recorder, duration) {
+    const sim = createSimulation();
+    sim.setThrustDirection(1);
+    recorder.capture(sim.getState());
+    sim.run(duration, (state) => recorder.capture(state));
+    return sim;
+}
+
+test('nothing is stored until recording starts, and stop ends it', () => {
+    const recorder = createRunRecorder();
+    recordPushedRun(recorder, 1);
+    assert.equal(recorder.getSampleCount(), 0);
+
+    recorder.start();
+    recordPushedRun(recorder, 1);
+    assert.equal(recorder.getSampleCount(), 121);
+
+    recorder.stop();
+    recordPushedRun(recorder, 1);
+    assert.equal(recorder.getSampleCount(), 121);
+});
+
+test('the sample interval thins the log and a reset starts a new run number', () => {
+    const recorder = createRunRecorder({ sampleInterval: 1 / 10 });
+    recorder.start();
+    recordPushedRun(recorder, 2);
+    recordPushedRun(recorder, 1);
+
+    const samples = recorder.getSamples();
+    assert.equal(samples.filter(s => s.run === 1).length, 21);
+    assert.equal(samples.filter(s => s.run === 2).length, 11);
+    assert.ok(Math.abs(samples[1].time - 0.1) < 1e-9);
+});
+
+test('CSV has one column per field with booleans as 1/0; JSON lists the columns', () => {
+    const recorder = createRunRecorder({ sampleInterval: 1 });
+    recorder.start();
+    recordPushedRun(recorder, 1);
+
+    const lines = recorder.toCSV().trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[0].split(','), RECORDER_FIELDS.map(f => f.header));
+
+    const last = Object.fromEntries(lines[2].split(',').map((value, i) => [RECORDER_FIELDS[i].key, value]));
+    assert.equal(last.time, '1');
+    assert.equal(last.velocity, '4');
+    assert.equal(last.frictionEnabled, '0');
+
+    const json = JSON.parse(recorder.toJSON());
+    assert.equal(json.sampleInterval, 1);
+    assert.equal(json.columns.length, RECORDER_FIELDS.length);
+    assert.deepEqual(json.samples.map(s => Number(s.time.toFixed(6))), [0, 1]);
+});
+
+test('recording stops when the log is full until it is cleared', () => {
+    const recorder = createRunRecorder({ maxSamples: 50 });
+    recorder.start();
+    recordPushedRun(recorder, 1);
+
+    assert.equal(recorder.getSampleCount(), 50);
+    assert.equal(recorder.isFull(), true);
+    assert.equal(recorder.isRecording(), false);
+
+    recorder.start();
+    assert.equal(recorder.isRecording(), false);
+
+    recorder.clear();
+    recorder.start();
+    assert.equal(recorder.isRecording(), true);
+});
+
+test('drag settings are recorded with every sample', () => {
+    const recorder = createRunRecorder({ sampleInterval: 1 });
+    const sim = createSimulation({ airDragEnabled: true, dragModel: 'linear', linearDragCoefficient: 80 });
+    const { model: dragModel, ...dragSettings } = sim.getDragSettings();
+    recorder.start();
+    recorder.capture({ ...sim.getState(), dragModel, ...dragSettings });
+
+    const [header, row] = recorder.toCSV().trim().split('\n').map(line => line.split(','));
+    const sample = Object.fromEntries(row.map((value, i) => [header[i], value]));
+    assert.equal(sample.air_drag_enabled, '1');
+    assert.equal(sample.drag_model, 'linear');
+    assert.equal(sample.linear_drag_coefficient_N_s_per_m, '80');
+    assert.equal(sample.drag_coefficient, '0.8');
+    assert.equal(sample.frontal_area_m2, '1');
+    assert.equal(sample.air_density_kg_per_m3, '1.25');
+});
@@ -0,0 +1,85 @@
+/**
+ * Replay history tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { createRunHistory } = require('../src/js/replay.js');
+
+/**
+ * Record a sled pushed right from rest for a few seconds
+ */
+function recordPushedRun(history, duration) {
+    const sim = createSimulation();
+    sim.setThrustDirection(1);
+    sim.setAppliedForceMagnitude(1000);
+    history.capture(sim.getState());
+    sim.run(duration, (state) => history.capture(state));
+    return sim;
+}
+
+test('any moment of the run can be recalled, between frames too', () => {
+    const history = createRunHistory();
+    const sim = recordPushedRun(history, 4);
+    assert.equal(history.getStartTime(), 0);
+    assert.ok(Math.abs(history.getEndTime() - sim.getState().time) < 1e-9);
+
+    // 1000 N on 500 kg: v = 2t and x ≈ t²
+    const mid = history.getStateAt(2.005);
+    assert.ok(Math.abs(mid.velocity - 4.01) < 1e-6);
+    assert.ok(Math.abs(mid.position - 4.02) < 0.05);
+    assert.equal(mid.frictionRegime, 'none');
+
+    // Times outside the run are clamped to its ends
+    assert.equal(history.getStateAt(-1).velocity, 0);
+    assert.ok(Math.abs(history.getStateAt(99).velocity - 8) < 1e-6);
+});
+
+test('frames are stored at the interval and stepped one at a time', () => {
+    const history = createRunHistory({ interval: 0.1 });
+    recordPushedRun(history, 1);
+    assert.equal(history.getFrameCount(), 11);
+
+    assert.ok(Math.abs(history.getAdjacentFrameTime(0.5, 1) - 0.6) < 1e-9);
+    assert.ok(Math.abs(history.getAdjacentFrameTime(0.5, -1) - 0.4) < 1e-9);
+    // Between frames, stepping back lands on the frame just passed
+    assert.ok(Math.abs(history.getAdjacentFrameTime(0.55, -1) - 0.5) < 1e-9);
+    assert.equal(history.getAdjacentFrameTime(0, -1), 0);
+    assert.ok(Math.abs(history.getAdjacentFrameTime(1, 1) - 1) < 1e-9);
+});
+
+test('a reset starts a new history and long runs keep only the latest part', () => {
+    const history = createRunHistory({ interval: 0.1 });
+    recordPushedRun(history, 2);
+    recordPushedRun(history, 1);
+    assert.equal(history.getEndTime(), history.getStateAt(5).time);
+    assert.ok(history.getEndTime() <= 1 + 1e-9);
+
+    const short = createRunHistory({ interval: 0.1, maxDuration: 3 });
+    recordPushedRun(short, 10);
+    assert.ok(Math.abs(short.getStartTime() - 7) < 0.11);
+    assert.ok(Math.abs(short.getEndTime() - 10) < 1e-9);
+
+    short.clear();
+    assert.equal(short.getStateAt(1), null);
+});
+
+test('discrete values come from the nearer frame instead of being blended', () => {
+    const history = createRunHistory({ interval: 1 });
+    const sim = recordPushedRun(history, 1);
+    sim.setThrustDirection(-1);
+    sim.setFrictionEnabled(true);
+    sim.run(1, (state) => history.capture(state));
+
+    const early = history.getStateAt(1.3);
+    assert.equal(early.thrustDirection, 1);
+    assert.equal(early.frictionEnabled, false);
+    const [v1, v2] = [history.getStateAt(1).velocity, history.getStateAt(2).velocity];
+    assert.ok(Math.abs(early.velocity - (v1 + 0.3 * (v2 - v1))) < 1e-9);
+
+    const late = history.getStateAt(1.7);
+    assert.equal(late.thrustDirection, -1);
+    assert.equal(late.frictionEnabled, true);
+    assert.equal(late.frictionRegime, history.getStateAt(2).frictionRegime);
+});
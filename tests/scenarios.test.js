@@ -0,0 +1,158 @@
+/**
+ * Worksheet scenario tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AIR_DRAG_COEFFICIENT, MAX_VELOCITY, createSimulation } = require('../src/js/physics.js');
+const { SCENARIO_PRESETS, SCENARIO_DEFAULT_SETTINGS, LOCKABLE_CONTROLS, applyScenario } = require('../src/js/scenarios.js');
+const { createGoalTracker } = require('../src/js/goals.js');
+
+const MAX_FORCE_SETTING = 2000; // Default max force slider value
+
+/**
+ * Load a preset into a fresh simulation
+ */
+function loadPreset(name) {
+    const sim = createSimulation();
+    applyScenario(sim, name, MAX_FORCE_SETTING);
+    return sim;
+}
+
+test('every scenario in the library is well-formed', () => {
+    const library = require('../src/data/scenarios.json');
+    const ids = library.scenarios.map(s => s.id);
+
+    assert.ok(ids.length > 0);
+    assert.equal(new Set(ids).size, ids.length, 'scenario ids must be unique');
+    for (const definition of library.scenarios) {
+        for (const name of definition.lockedControls || []) {
+            assert.ok(LOCKABLE_CONTROLS.includes(name), `${definition.id}: unknown control "${name}"`);
+        }
+        // Goals must pass validation (throws on unknown quantities or missing bounds)
+        createGoalTracker(definition.goals);
+    }
+});
+
+test('every handout section has a scenario', () => {
+    const sections = new Set(Object.values(SCENARIO_PRESETS).map(s => s.section));
+    for (let section = 1; section <= 6; section++) {
+        assert.ok(sections.has(section), `no scenario for section ${section}`);
+    }
+});
+
+test('scenarios can start with the sled already moving', () => {
+    const sim = loadPreset('stopping');
+    assert.equal(sim.state.time, 0);
+    assert.equal(sim.state.velocity, 15);
+
+    sim.run(1);
+    assert.equal(sim.state.velocity, 15); // no forces until the student acts
+});
+
+test('unknown scenarios just reset the sled', () => {
+    const sim = createSimulation();
+    sim.setThrustDirection(1);
+    sim.run(1);
+
+    assert.equal(applyScenario(sim, 'no-such-scenario', MAX_FORCE_SETTING), null);
+    assert.equal(sim.state.velocity, 0);
+});
+
+test('worksheet presets put the sled back on flat ground', () => {
+    const sim = createSimulation({ inclineAngle: 20 });
+    applyScenario(sim, 'friction-only', MAX_FORCE_SETTING);
+
+    assert.equal(sim.state.inclineAngle, 0);
+    assert.equal(sim.state.normalForce, sim.state.gravityForce);
+});
+
+test('scenario defaults are the engine defaults', () => {
+    const { appliedForceMagnitude, integrator, ...engineDefaults } = createSimulation().getConfig();
+    assert.deepEqual(SCENARIO_DEFAULT_SETTINGS, engineDefaults);
+});
+
+test('settings changed before a scenario loads go back to their defaults', () => {
+    const sim = createSimulation({ frictionCoefficient: 0.5, sledMass: 1000, payloadLoaded: true, airDensity: 2, integrator: 'rk4' });
+    applyScenario(sim, 'equilibrium', MAX_FORCE_SETTING);
+
+    assert.equal(sim.getFrictionCoefficient(), 0.15);
+    assert.equal(sim.getSledMass(), 500);
+    assert.equal(sim.isPayloadLoaded(), false);
+    assert.equal(sim.getDragSettings().airDensity, 1.25);
+    assert.equal(sim.getIntegrator(), 'rk4');
+
+    // 750 N of thrust against 0.15 × 5000 N: the pushed sled cruises
+    sim.state.velocity = 5;
+    sim.run(5);
+    assert.equal(sim.state.netForce, 0);
+    assert.equal(sim.state.velocity, 5);
+});
+
+test('no-forces: a moving sled coasts at constant velocity', () => {
+    const sim = loadPreset('no-forces');
+    assert.equal(sim.state.frictionEnabled, false);
+    assert.equal(sim.state.airDragEnabled, false);
+
+    sim.state.velocity = 8;
+    sim.run(5);
+    assert.equal(sim.state.netForce, 0);
+    assert.equal(sim.state.velocity, 8);
+});
+
+test('friction-only: a coasting sled slows down and stops', () => {
+    const sim = loadPreset('friction-only');
+    assert.equal(sim.state.frictionEnabled, true);
+    assert.equal(sim.state.airDragEnabled, false);
+
+    sim.state.velocity = 8;
+    sim.update(1 / 120);
+    assert.ok(sim.state.frictionForce < 0);
+
+    sim.run(10);
+    assert.equal(sim.state.velocity, 0);
+});
+
+test('air-only: drag slows a coasting sled without stopping it quickly', () => {
+    const sim = loadPreset('air-only');
+    assert.equal(sim.state.frictionEnabled, false);
+    assert.equal(sim.state.airDragEnabled, true);
+
+    sim.state.velocity = 20;
+    sim.run(5);
+    assert.ok(sim.state.velocity < 20);
+    assert.ok(sim.state.velocity > 0);
+    assert.equal(sim.state.frictionForce, 0);
+});
+
+test('all-forces: friction and drag both oppose motion', () => {
+    const sim = loadPreset('all-forces');
+    sim.state.velocity = 10;
+    sim.update(1 / 120);
+
+    assert.ok(sim.state.frictionForce < 0);
+    assert.ok(sim.state.airDragForce < 0);
+    assert.equal(sim.state.appliedForce, 0);
+});
+
+test('terminal-velocity: speed levels off at √(F/k) below the velocity cap', () => {
+    const sim = loadPreset('terminal-velocity');
+    assert.equal(sim.state.thrustDirection, 1);
+
+    sim.run(180);
+    const expected = Math.sqrt(sim.getAppliedForceMagnitude() / AIR_DRAG_COEFFICIENT);
+
+    assert.ok(expected < MAX_VELOCITY);
+    assert.ok(Math.abs(sim.state.velocity - expected) < 0.01);
+    assert.ok(Math.abs(sim.state.netForce) < 1);
+});
+
+test('equilibrium: net force is zero once the sled is moving', () => {
+    const sim = loadPreset('equilibrium');
+    sim.state.velocity = 5;
+    sim.run(5);
+
+    assert.equal(sim.state.netForce, 0);
+    assert.equal(sim.state.acceleration, 0);
+    assert.equal(sim.state.velocity, 5);
+});
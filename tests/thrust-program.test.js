@@ -0,0 +1,95 @@
+/**
+ * Thrust program tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_FORCE, MAX_FORCE, createSimulation } = require('../src/js/physics.js');
+const {
+    THRUST_PROGRAM_MIN_FORCE,
+    THRUST_PROGRAM_MAX_FORCE,
+    REVERSE_THRUST_PROGRAM,
+    createThrustProgram,
+    applyThrustProgramForce,
+    applyThrustProgramStep,
+    serializeThrustProgram,
+    parseThrustProgram
+} = require('../src/js/thrust-program.js');
+
+/**
+ * Step callback that lets the program set the thrust after every physics step
+ */
+function followProgram(sim, program) {
+    return (state) => applyThrustProgramStep(sim, program, state);
+}
+
+/**
+ * Start a program at the current state and run the simulation under it
+ */
+function runProgram(sim, program, duration) {
+    program.start(sim.getState());
+    applyThrustProgramForce(sim, program.update(sim.getState()));
+    sim.run(duration, followProgram(sim, program));
+}
+
+test('timed segments switch the thrust on schedule', () => {
+    const sim = createSimulation();
+    const program = createThrustProgram([
+        { force: 2000, duration: 3 },
+        { force: 0, duration: 5 }
+    ]);
+    runProgram(sim, program, 2);
+    assert.equal(sim.getState().appliedForce, 2000);
+
+    sim.run(4, followProgram(sim, program));
+    assert.equal(sim.getState().appliedForce, 0);
+    assert.equal(program.getProgress(sim.getState().time).index, 1);
+});
+
+test('the reverse-thrust program brakes the sled to rest', () => {
+    const sim = createSimulation();
+    const program = createThrustProgram(REVERSE_THRUST_PROGRAM.segments);
+    runProgram(sim, program, 15);
+    const state = sim.getState();
+
+    // a = ±4 m/s²: 12 m/s after 3 s, 60 m of coasting, then 3 s of braking
+    assert.equal(program.isRunning(), false);
+    assert.equal(state.appliedForce, 0);
+    assert.ok(Math.abs(state.position - 96) < 0.5);
+    assert.equal(state.velocity, 0);
+
+    // Nothing pushes the sled once the program is over, so it stays put
+    sim.run(5);
+    assert.equal(sim.getState().velocity, 0);
+    assert.equal(sim.getState().position, state.position);
+});
+
+test('a clock running backwards cancels the program', () => {
+    const sim = createSimulation();
+    const program = createThrustProgram([{ force: 2000, duration: 10 }]);
+    runProgram(sim, program, 1);
+    assert.equal(program.update({ time: 0, velocity: 0 }), null);
+    assert.equal(program.isRunning(), false);
+});
+
+test('programs round-trip through JSON and reject bad files', () => {
+    const text = serializeThrustProgram('Brake test', REVERSE_THRUST_PROGRAM.segments);
+    const program = parseThrustProgram(text);
+    assert.equal(program.name, 'Brake test');
+    assert.deepEqual(program.segments, REVERSE_THRUST_PROGRAM.segments);
+
+    assert.throws(() => parseThrustProgram('not json'), /invalid JSON/);
+    assert.throws(() => parseThrustProgram('{"type":"thrust-program","segments":[{"force":1000,"duration":0}]}'), /duration/);
+});
+
+test('forces the engine would clamp are rejected instead of run at a different size', () => {
+    assert.equal(THRUST_PROGRAM_MIN_FORCE, MIN_FORCE);
+    assert.equal(THRUST_PROGRAM_MAX_FORCE, MAX_FORCE);
+
+    const program = createThrustProgram([{ force: -500, duration: 1 }, { force: 0, duration: 1 }, { force: 5000, until: 'stop' }]);
+    assert.deepEqual(program.getSegments().map(s => s.force), [-500, 0, 5000]);
+
+    assert.throws(() => program.setSegments([{ force: 300, duration: 1 }]), /0 or 500–5000 N/);
+    assert.throws(() => program.setSegments([{ force: -8000, duration: 1 }]), /0 or 500–5000 N/);
+    assert.equal(program.getSegments().length, 3);
+});
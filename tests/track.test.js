@@ -0,0 +1,79 @@
+/**
+ * Start/finish timing tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../src/js/physics.js');
+const { createTrackTimer } = require('../src/js/track.js');
+
+/**
+ * Run a simulation for a duration, feeding the starting state and every step to the timer
+ */
+function runTimed(sim, timer, duration) {
+    timer.capture(sim.getState());
+    sim.run(duration, (state) => timer.capture(state));
+}
+
+test('a constant-acceleration run finishes at t = √(2d/a)', () => {
+    const sim = createSimulation();
+    const timer = createTrackTimer({ start: 0, finish: 100 });
+    sim.setAppliedForceMagnitude(2000);
+    sim.setThrustDirection(1);
+    runTimed(sim, timer, 10);
+
+    const splits = timer.getSplits();
+    assert.equal(timer.getStatus(), 'finished');
+    assert.equal(splits.length, 2);
+    assert.ok(Math.abs(splits[1].elapsed - Math.sqrt(2 * 100 / 4)) < 0.01);
+});
+
+test('split checkpoints are crossed in order with per-split times', () => {
+    const sim = createSimulation();
+    sim.state.velocity = 10;
+    const timer = createTrackTimer({ start: 5, finish: 35, splitInterval: 10 });
+    runTimed(sim, timer, 5);
+
+    const splits = timer.getSplits();
+    assert.deepEqual(splits.map(s => s.position), [5, 15, 25, 35]);
+    for (const s of splits.slice(1)) {
+        assert.ok(Math.abs(s.split - 1) < 1e-6);
+    }
+    assert.ok(Math.abs(splits[3].elapsed - 3) < 1e-6);
+});
+
+test('the timer waits until the start line is crossed', () => {
+    const sim = createSimulation();
+    sim.state.velocity = 2;
+    const timer = createTrackTimer({ start: 50, finish: 100 });
+    runTimed(sim, timer, 5);
+
+    assert.equal(timer.getStatus(), 'waiting');
+    assert.equal(timer.getElapsed(sim.state.time), 0);
+});
+
+test('a course can run leftward and ignores crossings the wrong way', () => {
+    const sim = createSimulation();
+    sim.state.velocity = -5;
+    const timer = createTrackTimer({ start: 0, finish: -20 });
+    runTimed(sim, timer, 5);
+    assert.equal(timer.getStatus(), 'finished');
+
+    const wrongWay = createSimulation();
+    wrongWay.state.velocity = 5;
+    const rightCourse = createTrackTimer({ start: 0, finish: -20 });
+    runTimed(wrongWay, rightCourse, 5);
+    assert.equal(rightCourse.getStatus(), 'waiting');
+});
+
+test('a reset clock starts a new run', () => {
+    const sim = createSimulation();
+    sim.state.velocity = 10;
+    const timer = createTrackTimer({ start: 0, finish: 10 });
+    runTimed(sim, timer, 2);
+    assert.equal(timer.getStatus(), 'finished');
+
+    sim.reset();
+    assert.equal(timer.capture(sim.getState()), true);
+    assert.equal(timer.getSplits().length, 0);
+});
@@ -0,0 +1,61 @@
+/**
+ * Shareable link tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCENARIO_PRESETS } = require('../src/js/scenarios.js');
+const { getBaseSettings, decodeSettings, normalizeSettings, encodeSettings } = require('../src/js/url-state.js');
+
+test('default settings encode to an empty query', () => {
+    assert.equal(encodeSettings(getBaseSettings(''), SCENARIO_PRESETS), '');
+});
+
+test('settings round-trip through a link', () => {
+    const settings = {
+        ...getBaseSettings(''),
+        thrust: -250,
+        frictionEnabled: true,
+        frictionCoefficient: 0.3,
+        dragModel: 'linear',
+        linearDragCoefficient: 120,
+        airDensity: 0.6,
+        inclineAngle: 12,
+        payloadLoaded: true,
+        showGraphs: false,
+        cameraMode: 'zoom'
+    };
+    const query = encodeSettings(settings, SCENARIO_PRESETS);
+    assert.deepEqual(decodeSettings(query, SCENARIO_PRESETS), settings);
+});
+
+test('a scenario link opens the preset and stores only the changes from it', () => {
+    const opened = decodeSettings('?scenario=terminal-velocity', SCENARIO_PRESETS);
+    assert.equal(opened.airDragEnabled, true);
+    assert.equal(opened.thrust, 500);
+
+    // Switching friction back off after an all-forces preset must survive the link
+    const settings = { ...getBaseSettings('all-forces', SCENARIO_PRESETS), frictionEnabled: false };
+    const query = encodeSettings(settings, SCENARIO_PRESETS);
+    assert.equal(query, 'scenario=all-forces&friction=0');
+    assert.equal(decodeSettings(query, SCENARIO_PRESETS).frictionEnabled, false);
+});
+
+test('out-of-range and malformed parameters are clamped or ignored', () => {
+    const settings = decodeSettings('?maxForce=99999&incline=-80&mu=abc&drag=maybe', SCENARIO_PRESETS);
+    assert.equal(settings.maxForce, 5000);
+    assert.equal(settings.inclineAngle, -30);
+    assert.equal(settings.frictionCoefficient, 0.15);
+    assert.equal(settings.airDragEnabled, false);
+    assert.equal(decodeSettings('?rho=9', SCENARIO_PRESETS).airDensity, 2.5);
+    assert.equal(decodeSettings('?tank=20', SCENARIO_PRESETS).fuelCapacity, 20);
+});
+
+test('stored settings are validated and completed from the base values', () => {
+    const settings = normalizeSettings({ scenario: 'air-only', sledMass: 5000, showGrid: 'yes', cameraMode: 'fixed' }, SCENARIO_PRESETS);
+    assert.equal(settings.airDragEnabled, true);
+    assert.equal(settings.sledMass, 2000);
+    assert.equal(settings.showGrid, false);
+    assert.equal(settings.cameraMode, 'fixed');
+    assert.equal(settings.maxForce, 2000);
+});
@@ -0,0 +1,81 @@
+/**
+ * User preset file tests (run with `node --test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCENARIO_PRESETS } = require('../src/js/scenarios.js');
+const { getBaseSettings, normalizeSettings } = require('../src/js/url-state.js');
+const {
+    serializeUserPresets,
+    parseUserPresets,
+    normalizeUserPresets,
+    removeUserPreset
+} = require('../src/js/user-presets.js');
+
+const withLibrary = (settings) => normalizeSettings(settings, SCENARIO_PRESETS);
+const withoutLibrary = (settings) => normalizeSettings(settings, {});
+
+test('presets round-trip through an exported file', () => {
+    const presets = {
+        'Period 3 ramp': { ...getBaseSettings(''), inclineAngle: 15, frictionEnabled: true },
+        'Drag demo': getBaseSettings('air-only', SCENARIO_PRESETS)
+    };
+    assert.deepEqual({ ...parseUserPresets(serializeUserPresets(presets)) }, presets);
+});
+
+test('files that are not preset files are rejected', () => {
+    assert.throws(() => parseUserPresets('{'), /invalid JSON/);
+    assert.throws(() => parseUserPresets('{"type":"thrust-program","segments":[]}'), /Not a preset file/);
+    assert.throws(() => parseUserPresets('{"type":"sled-presets","presets":[{"name":"","settings":{}}]}'), /name/);
+});
+
+test('stored presets keep their scenario when the scenario library is not loaded', () => {
+    const stored = { 'Drag demo': { ...getBaseSettings('air-only', SCENARIO_PRESETS), sledMass: 800 } };
+
+    const offline = normalizeUserPresets(JSON.parse(JSON.stringify(stored)), withoutLibrary);
+    assert.equal(offline['Drag demo'].scenario, 'air-only');
+    assert.equal(offline['Drag demo'].sledMass, 800);
+
+    // Saving while offline and loading again with the library restores the full preset
+    const online = normalizeUserPresets(JSON.parse(JSON.stringify(offline)), withLibrary);
+    assert.deepEqual({ ...online }, stored);
+});
+
+test('bad stored data is dropped or completed from the defaults', () => {
+    assert.deepEqual({ ...normalizeUserPresets(null, withLibrary) }, {});
+    assert.deepEqual({ ...normalizeUserPresets([1, 2], withLibrary) }, {});
+
+    const presets = normalizeUserPresets({
+        'Broken': 'not settings',
+        'Listed': [],
+        'Partial': { inclineAngle: 99, frictionEnabled: 'yes', scenario: 42 }
+    }, withLibrary);
+
+    assert.deepEqual(Object.keys(presets), ['Partial']);
+    assert.deepEqual(presets.Partial, { ...getBaseSettings(''), inclineAngle: 30 });
+});
+
+test('deleting a preset leaves the others untouched', () => {
+    const presets = { 'A': getBaseSettings(''), 'B': { ...getBaseSettings(''), sledMass: 900 } };
+    const remaining = removeUserPreset(presets, 'A');
+
+    assert.deepEqual({ ...remaining }, { 'B': presets.B });
+    assert.ok('A' in presets);
+    assert.deepEqual(removeUserPreset(remaining, 'missing'), remaining);
+});
+
+test('presets named like Object properties are stored like any other', () => {
+    const file = '{"type":"sled-presets","presets":[' +
+        '{"name":"__proto__","settings":{"sledMass":700}},{"name":"constructor","settings":{"sledMass":800}}]}';
+    const imported = parseUserPresets(file);
+    assert.deepEqual(Object.keys(imported), ['__proto__', 'constructor']);
+    assert.equal(imported.__proto__.sledMass, 700);
+
+    const presets = normalizeUserPresets(imported, withLibrary);
+    assert.equal(presets.__proto__.sledMass, 700);
+    assert.equal(presets.constructor.sledMass, 800);
+    assert.equal(JSON.parse(serializeUserPresets(presets)).presets.length, 2);
+
+    assert.deepEqual(Object.keys(removeUserPreset(presets, 'constructor')), ['__proto__']);
+});